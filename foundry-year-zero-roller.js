@@ -1,10 +1,20 @@
 // Imports Modules.
 import * as YZDice from './yearzero-dice.js';
+import { YearZeroDiceSoNice } from './yearzero-dicesonice.js';
+import { YearZeroCombat, YearZeroCombatTracker } from './yearzero-combat.js';
+import { SYSTEM_ID, registerSettings, getSetting, getGames, getCriticalTables } from './settings.js';
 
 // Imports Entities.
 
 // Imports Applications.
 
+/**
+ * The name of the socket channel of the system.
+ * @type {string}
+ * @constant
+ */
+const SOCKET_NAME = `system.${SYSTEM_ID}`;
+
 /* -------------------------------------------- */
 /*  Foundry VTT Initialization                  */
 /* -------------------------------------------- */
@@ -12,18 +22,79 @@ import * as YZDice from './yearzero-dice.js';
 Hooks.once('init', function() {
   // CONFIG.debug.hooks = true;
 
+  // Registers the config first, because the settings need the dice themes.
+  YZDice.YearZeroRollManager.registerConfig({
+    'ROLL.chatTemplate': `systems/${SYSTEM_ID}/templates/dice/roll.hbs`,
+    'ROLL.tooltipTemplate': `systems/${SYSTEM_ID}/templates/dice/tooltip.hbs`,
+    'ROLL.infosTemplate': `systems/${SYSTEM_ID}/templates/dice/infos.hbs`,
+    'ROLL.dialogTemplate': `systems/${SYSTEM_ID}/templates/dice/dialog.hbs`,
+    'ROLL.cufTemplate': `systems/${SYSTEM_ID}/templates/dice/cuf.hbs`,
+    'PANIC.template': `systems/${SYSTEM_ID}/templates/dice/panic.hbs`,
+    'TABLES.template': `systems/${SYSTEM_ID}/templates/dice/table.hbs`,
+    'CRITS.template': `systems/${SYSTEM_ID}/templates/dice/crit.hbs`,
+    'RESOURCES.template': `systems/${SYSTEM_ID}/templates/dice/resource.hbs`,
+    'INITIATIVE.template': `systems/${SYSTEM_ID}/templates/combat/initiative.hbs`,
+    'INITIATIVE.swapTemplate': `systems/${SYSTEM_ID}/templates/combat/swap.hbs`,
+    'CHAT.socket': SOCKET_NAME,
+    'DICE.THEMES.images.path': `systems/${SYSTEM_ID}/assets/dice`,
+  });
+  registerSettings();
+
   // Copy that in your Hooks.once(init)
-  YZDice.YearZeroRollManager.register('myz', {
-    'ROLL.chatTemplate': 'systems/foundry-year-zero-roller/templates/dice/roll.hbs',
-    'ROLL.tooltipTemplate': 'systems/foundry-year-zero-roller/templates/dice/tooltip.hbs',
-    'ROLL.infosTemplate': 'systems/foundry-year-zero-roller/templates/dice/infos.hbs',
+  const games = getGames();
+  YZDice.YearZeroRollManager.register(games, {
+    'ROLL.maxPush': getSetting('maxPush'),
+    'ROLL.seeded': getSetting('seedRolls'),
+    'CHAT.showInfos': getSetting('showInfos'),
+    'DICE.localizeDieTypes': getSetting('localizeDieTypes'),
+    'DICE.theme': getSetting('theme'),
+    'DICE.random': getSetting('randomSource'),
+    'PANIC.rollTable': getSetting('panicTable'),
+    'CRITS.rollTables': getCriticalTables(games),
+    'DARKNESS.setting': `${SYSTEM_ID}.darknessPoints`,
   });
+  // The initiative is drawn from a deck of cards.
+  CONFIG.Combat.entityClass = YearZeroCombat;
   game.yzdice = YZDice;
 });
 
+Hooks.on('renderChatMessage', (message, html) => {
+  YZDice.YearZeroChat.chatListeners(message, html);
+});
+
+Hooks.on('createChatMessage', (message, options, userId) => {
+  YZDice.YearZeroPanic.onChatMessage(message, userId);
+});
+
+Hooks.on('updateChatMessage', (message, data, options, userId) => {
+  YearZeroDiceSoNice.showPushedDice(message, data);
+  // A push can cause a panic.
+  if (data.roll) YZDice.YearZeroPanic.onChatMessage(message, userId);
+  // A push in Coriolis gives Darkness Points to the GM.
+  YZDice.YearZeroDarkness.onChatMessage(message, data);
+});
+
+Hooks.on('getCombatTrackerEntryContext', (html, options) => {
+  YearZeroCombatTracker.getEntryContext(html, options);
+});
+
+Hooks.on('chatMessage', (chatLog, message, chatData) => {
+  return YZDice.YearZeroChat.chatCommand(chatLog, message, chatData);
+});
+
+Hooks.once('diceSoNiceReady', dice3d => {
+  YearZeroDiceSoNice.register(dice3d);
+});
+
+Hooks.on('diceSoNiceRollStart', (messageId, context) => {
+  YearZeroDiceSoNice.onRollStart(messageId, context);
+});
+
 Hooks.once('ready', function() {
   console.warn('YZRoll | READY!');
 
+  game.socket.on(SOCKET_NAME, onSocketMessage);
+
   // Debugging
   if (CONFIG.debug.hooks === true) {
     try {
@@ -43,3 +114,32 @@ Hooks.once('ready', function() {
     }
   }
 });
+
+/* -------------------------------------------- */
+/*  Socket                                      */
+/* -------------------------------------------- */
+
+/**
+ * Handles the requests received through the socket channel.
+ * Only the first active GM executes them, and only the requester handles the replies.
+ * @param {Object} data
+ * @param {string} data.action    The requested action
+ * @param {string} data.userId    The ID of the user who sent the request
+ * @returns {Promise<ChatMessage|YearZeroCombat|null>|void}
+ */
+function onSocketMessage(data) {
+  if (data.action === 'pushRejected') return YZDice.YearZeroChat.onPushRejected(data);
+  if (data.action === 'initiativeRejected') return YearZeroCombat.onInitiativeRejected(data);
+
+  const activeGM = game.users.find(u => u.isGM && u.active);
+  if (!activeGM || activeGM._id !== game.user._id) return;
+
+  switch (data.action) {
+    case 'push':
+      return YZDice.YearZeroChat.onPushRequest(data);
+    case 'rollInitiative':
+      return YearZeroCombat.onInitiativeRequest(data);
+    default:
+      console.warn(`YZRoll | SOCKET | Unknown action: "${data.action}".`);
+  }
+}
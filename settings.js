@@ -0,0 +1,172 @@
+import { YearZeroRollManager, YearZeroDiceThemes, YearZeroRandom } from './yearzero-dice.js';
+
+/**
+ * The ID of the system, used as the namespace of its settings.
+ * @type {string}
+ * @constant
+ */
+export const SYSTEM_ID = 'foundry-year-zero-roller';
+
+/**
+ * Registers the settings of the system.
+ *
+ * The Year Zero config must be registered before,
+ * because the settings need the available dice themes and random sources.
+ */
+export function registerSettings() {
+  game.settings.register(SYSTEM_ID, 'game', {
+    name: 'YZUR.SETTINGS.game.name',
+    hint: 'YZUR.SETTINGS.game.hint',
+    scope: 'world',
+    config: true,
+    type: String,
+    default: 'myz',
+    choices: YearZeroRollManager.GAMES.reduce((choices, g) => {
+      choices[g] = `YZUR.GAMES.${g}`;
+      return choices;
+    }, {}),
+    // The dice are registered once, during the initialization.
+    onChange: () => window.location.reload(),
+  });
+
+  game.settings.register(SYSTEM_ID, 'crossoverGames', {
+    name: 'YZUR.SETTINGS.crossoverGames.name',
+    hint: 'YZUR.SETTINGS.crossoverGames.hint',
+    scope: 'world',
+    config: true,
+    type: String,
+    default: '',
+    onChange: () => window.location.reload(),
+  });
+
+  game.settings.register(SYSTEM_ID, 'maxPush', {
+    name: 'YZUR.SETTINGS.maxPush.name',
+    hint: 'YZUR.SETTINGS.maxPush.hint',
+    scope: 'world',
+    config: true,
+    type: Number,
+    default: 1,
+    range: { min: 1, max: 5, step: 1 },
+    onChange: value => CONFIG.YZUR.ROLL.maxPush = value,
+  });
+
+  game.settings.register(SYSTEM_ID, 'seedRolls', {
+    name: 'YZUR.SETTINGS.seedRolls.name',
+    hint: 'YZUR.SETTINGS.seedRolls.hint',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: false,
+    onChange: value => CONFIG.YZUR.ROLL.seeded = value,
+  });
+
+  game.settings.register(SYSTEM_ID, 'randomSource', {
+    name: 'YZUR.SETTINGS.randomSource.name',
+    hint: 'YZUR.SETTINGS.randomSource.hint',
+    scope: 'world',
+    config: true,
+    type: String,
+    default: 'foundry',
+    choices: YearZeroRandom.getSourceNames(),
+    onChange: value => YearZeroRandom.setSource(value),
+  });
+
+  game.settings.register(SYSTEM_ID, 'panicTable', {
+    name: 'YZUR.SETTINGS.panicTable.name',
+    hint: 'YZUR.SETTINGS.panicTable.hint',
+    scope: 'world',
+    config: true,
+    type: String,
+    default: '',
+    onChange: value => CONFIG.YZUR.PANIC.rollTable = value,
+  });
+
+  // A RollTable per game replaces its critical injury table: only the games in use show theirs.
+  const yzGames = getGames();
+  for (const yzGame of YearZeroRollManager.GAMES) {
+    game.settings.register(SYSTEM_ID, `${yzGame}CriticalTable`, {
+      name: `YZUR.SETTINGS.${yzGame}CriticalTable.name`,
+      hint: `YZUR.SETTINGS.${yzGame}CriticalTable.hint`,
+      scope: 'world',
+      config: yzGames.includes(yzGame),
+      type: String,
+      default: '',
+      onChange: value => CONFIG.YZUR.CRITS.rollTables[yzGame] = value,
+    });
+  }
+
+  game.settings.register(SYSTEM_ID, 'darknessPoints', {
+    name: 'YZUR.SETTINGS.darknessPoints.name',
+    hint: 'YZUR.SETTINGS.darknessPoints.hint',
+    scope: 'world',
+    config: true,
+    type: Number,
+    default: 0,
+  });
+
+  game.settings.register(SYSTEM_ID, 'showInfos', {
+    name: 'YZUR.SETTINGS.showInfos.name',
+    hint: 'YZUR.SETTINGS.showInfos.hint',
+    scope: 'client',
+    config: true,
+    type: Boolean,
+    default: true,
+    onChange: value => CONFIG.YZUR.CHAT.showInfos = value,
+  });
+
+  game.settings.register(SYSTEM_ID, 'localizeDieTypes', {
+    name: 'YZUR.SETTINGS.localizeDieTypes.name',
+    hint: 'YZUR.SETTINGS.localizeDieTypes.hint',
+    scope: 'client',
+    config: true,
+    type: Boolean,
+    default: true,
+    onChange: value => CONFIG.YZUR.DICE.localizeDieTypes = value,
+  });
+
+  game.settings.register(SYSTEM_ID, 'theme', {
+    name: 'YZUR.SETTINGS.theme.name',
+    hint: 'YZUR.SETTINGS.theme.hint',
+    scope: 'client',
+    config: true,
+    type: String,
+    default: 'images',
+    choices: YearZeroDiceThemes.getThemeNames(),
+    // The 3D dice and the chat messages are rendered with the theme.
+    onChange: () => window.location.reload(),
+  });
+}
+
+/**
+ * Gets the value of a setting of the system.
+ * @param {string} key The key of the setting
+ * @returns {*}
+ */
+export function getSetting(key) {
+  return game.settings.get(SYSTEM_ID, key);
+}
+
+/**
+ * Gets the games to register: the default game first, then the crossover games.
+ * @returns {GameTypeString[]}
+ */
+export function getGames() {
+  const yzGame = getSetting('game');
+  const crossoverGames = getSetting('crossoverGames')
+    .split(/[\s,]+/)
+    .map(g => g.toLowerCase())
+    .filter(g => g !== yzGame && YearZeroRollManager.GAMES.includes(g));
+  return [yzGame, ...new Set(crossoverGames)];
+}
+
+/**
+ * Gets the RollTables that replace the critical injury tables of the games.
+ * @param {GameTypeString[]} yzGames The games used
+ * @returns {Object<GameTypeString, string>} The names or the IDs of the RollTables, by game
+ */
+export function getCriticalTables(yzGames) {
+  return yzGames.reduce((tables, yzGame) => {
+    tables[yzGame] = getSetting(`${yzGame}CriticalTable`);
+    return tables;
+  }, {});
+}
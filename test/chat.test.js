@@ -0,0 +1,273 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { register } from './helpers/setup.js';
+import { setResults } from './helpers/rng.js';
+import { YearZeroRoll, YearZeroChat } from '../yearzero-dice.js';
+import { getDieAliases } from '../yearzero-core.js';
+
+register(['myz', 'fbl', 't2k']);
+
+describe('parseCommand', () => {
+  it('parses quantities followed by die types', () => {
+    const out = YearZeroChat.parseCommand('3b 2s 1g -1 "Sneak"');
+    assert.deepEqual(out.dice, { base: 3, skill: 2, gear: 1 });
+    assert.equal(out.modifier, -1);
+    assert.equal(out.name, 'Sneak');
+    assert.equal(out.yzGame, 'myz');
+  });
+
+  it('parses die types followed by quantities', () => {
+    const out = YearZeroChat.parseCommand('base 3 skill 2 maxpush=2');
+    assert.deepEqual(out.dice, { base: 3, skill: 2 });
+    assert.equal(out.maxPush, 2);
+  });
+
+  it('parses the dice of another game', () => {
+    const out = YearZeroChat.parseCommand('1b 1d8 3m game=t2k');
+    assert.deepEqual(out.dice, { b: 1, c: 1, ammo: 3 });
+    assert.equal(out.yzGame, 't2k');
+  });
+
+  it('uses the die aliases of the core engine', () => {
+    for (const yzGame of ['myz', 'fbl', 't2k']) {
+      assert.deepEqual(YearZeroChat.getDieAliases(yzGame), getDieAliases(yzGame));
+    }
+    assert.throws(() => YearZeroChat.getDieAliases('dnd'));
+  });
+
+  it('throws on invalid arguments', () => {
+    assert.throws(() => YearZeroChat.parseCommand('3x'), /unknownDieType/);
+    assert.throws(() => YearZeroChat.parseCommand('base'), /missingQuantity/);
+    assert.throws(() => YearZeroChat.parseCommand('"Sneak"'), /noDice/);
+    assert.throws(() => YearZeroChat.parseCommand('1b game=dnd'), /unknownGame/);
+  });
+});
+
+describe('chatCommand', () => {
+  let messages;
+  beforeEach(() => {
+    messages = [];
+    ChatMessage.create = async data => {
+      messages.push(data);
+      return data;
+    };
+  });
+  afterEach(() => {
+    ChatMessage.create = async data => data;
+  });
+
+  it('ignores the other messages', () => {
+    assert.equal(YearZeroChat.chatCommand(null, 'Hello', {}), true);
+  });
+
+  it('rolls the dice of the command', async () => {
+    setResults(6, 3, 2);
+    assert.equal(YearZeroChat.chatCommand(null, '/yz 2b 1s "Sneak"', { speaker: { alias: 'Vanja' } }), false);
+    await new Promise(resolve => setTimeout(resolve));
+    assert.equal(messages.length, 1);
+    assert.equal(messages[0].speaker.alias, 'Vanja');
+    assert.equal(JSON.parse(messages[0].roll).data.name, 'Sneak');
+  });
+
+  it('whispers the errors of the command', async () => {
+    const roll = await YearZeroChat._rollCommand('3x', {});
+    assert.equal(roll, null);
+    assert.equal(messages.length, 1);
+    assert.equal(messages[0].type, CONST.CHAT_MESSAGE_TYPES.WHISPER);
+    assert.match(messages[0].content, /unknownDieType/);
+    assert.match(messages[0].content, /YZUR\.CHAT\.COMMAND\.usage/);
+  });
+
+  it('lists the die aliases of the game of the command', async () => {
+    await YearZeroChat._rollCommand('3x game=t2k', {});
+    assert.match(messages[0].content, /game=t2k/);
+    assert.match(messages[0].content, /ammo/);
+    assert.doesNotMatch(messages[0].content, /gear/);
+  });
+
+  it('uses the roll mode of the chat log', async () => {
+    const { get } = game.settings;
+    const { toMessage } = Roll.prototype;
+    let options;
+    game.settings.get = (namespace, key) => (key === 'rollMode' ? 'gmroll' : undefined);
+    Roll.prototype.toMessage = async function(messageData, opts) {
+      options = opts;
+      return messageData;
+    };
+    try {
+      setResults(6);
+      await YearZeroChat._rollCommand('1b', {});
+    }
+    finally {
+      game.settings.get = get;
+      Roll.prototype.toMessage = toMessage;
+    }
+    assert.equal(options.rollMode, 'gmroll');
+  });
+
+  it('whispers the errors of the chat message', async () => {
+    ChatMessage.create = async data => {
+      if (data.roll) throw new Error('Cannot create the message.');
+      messages.push(data);
+      return data;
+    };
+    setResults(6);
+    assert.equal(await YearZeroChat._rollCommand('1b', {}), null);
+    assert.match(messages[0].content, /Cannot create the message/);
+  });
+});
+
+describe('Push requests', () => {
+  const { user, users, messages } = game;
+  const notifyError = ui.notifications.error;
+  let emitted;
+  let errors;
+  let chatMessages;
+  beforeEach(() => {
+    emitted = [];
+    errors = [];
+    chatMessages = {};
+    const list = [{ _id: 'gm', name: 'GM', isGM: true, active: true }, { _id: 'player', name: 'Player', isGM: false }];
+    game.users = Object.assign(list, { get: id => list.find(u => u._id === id) });
+    game.messages = { get: id => chatMessages[id] };
+    game.socket = { emit: (socketName, data) => emitted.push({ socketName, ...data }) };
+    CONFIG.YZUR.CHAT.socket = 'system.yzur';
+    ChatMessage.getSpeakerActor = () => null;
+    ui.notifications.error = message => errors.push(message);
+  });
+  afterEach(() => {
+    Object.assign(game, { user, users, messages });
+    delete game.socket;
+    delete globalThis.document;
+    CONFIG.YZUR.CHAT.socket = '';
+    delete ChatMessage.getSpeakerActor;
+    ui.notifications.error = notifyError;
+  });
+
+  /**
+   * Creates a chat message with an evaluated roll.
+   * @param {string} [author='player'] The ID of the author of the message
+   * @returns {Object}
+   */
+  const createMessage = (author = 'player') => {
+    const r = YearZeroRoll.createFromDiceQuantities({ base: 2 }, { yzGame: 'myz' });
+    setResults(2, 3);
+    r.evaluate();
+    const message = {
+      _id: 'message',
+      data: { user: author, speaker: {}, roll: JSON.stringify(r) },
+      update: async data => mergeObject(message.data, data) && message,
+    };
+    chatMessages[message._id] = message;
+    return message;
+  };
+
+  /**
+   * Creates the click event of a push button.
+   * @returns {Object}
+   */
+  const createEvent = () => ({
+    defaultPrevented: false,
+    preventDefault() { this.defaultPrevented = true; },
+    currentTarget: { disabled: false },
+  });
+
+  it('pushes the roll of the requester', async () => {
+    createMessage();
+    setResults(4, 5);
+    const message = await YearZeroChat.onPushRequest({ messageId: 'message', userId: 'player' });
+    assert.equal(YearZeroRoll.fromData(JSON.parse(message.data.roll)).pushCount, 1);
+    assert.deepEqual(emitted, []);
+  });
+
+  it('replies to the requester when the request is rejected', async () => {
+    createMessage('gm');
+    assert.equal(await YearZeroChat.onPushRequest({ messageId: 'message', userId: 'player' }), null);
+    assert.equal(await YearZeroChat.onPushRequest({ messageId: 'unknown', userId: 'player' }), null);
+    assert.deepEqual(emitted.map(e => [e.socketName, e.action, e.userId, e.error]), [
+      ['system.yzur', 'pushRejected', 'player', 'YZUR.WARNING.cannotPush'],
+      ['system.yzur', 'pushRejected', 'player', 'YZUR.ERROR.messageNotFound'],
+    ]);
+  });
+
+  it('replies to the requester when the roll cannot be pushed anymore', async () => {
+    const message = createMessage();
+    setResults(4, 5);
+    await YearZeroChat.pushMessage(message);
+    assert.equal(await YearZeroChat.onPushRequest({ messageId: 'message', userId: 'player' }), null);
+    assert.deepEqual(emitted.map(e => [e.action, e.error]), [['pushRejected', 'YZUR.WARNING.cannotPush']]);
+  });
+
+  it('replies to the requester when the push fails', async () => {
+    const message = createMessage();
+    message.update = async () => {
+      throw new Error('Cannot update the message.');
+    };
+    setResults(4, 5);
+    assert.equal(await YearZeroChat.onPushRequest({ messageId: 'message', userId: 'player' }), null);
+    assert.equal(emitted[0].error, 'Cannot update the message.');
+  });
+
+  it('notifies the requester of a rejection and enables the push button again', () => {
+    const button = { disabled: true };
+    globalThis.document = { querySelector: () => button };
+    game.user = game.users.get('gm');
+    YearZeroChat.onPushRejected({ messageId: 'message', userId: 'player', error: 'Rejected' });
+    assert.equal(button.disabled, true);
+
+    game.user = game.users.get('player');
+    YearZeroChat.onPushRejected({ messageId: 'message', userId: 'player', error: 'Rejected' });
+    assert.equal(button.disabled, false);
+    assert.deepEqual(errors, ['Rejected']);
+  });
+
+  it('keeps the push button disabled until the GM replies', async () => {
+    const message = createMessage('gm');
+    game.user = game.users.get('player');
+    ChatMessage.getSpeakerActor = () => ({ hasPerm: () => true });
+    const event = createEvent();
+    await YearZeroChat._onPush(event, message);
+    assert.equal(event.currentTarget.disabled, true);
+    assert.deepEqual(emitted.map(e => [e.action, e.userId]), [['push', 'player']]);
+  });
+
+  it('enables the push button again when the push cannot be done', async () => {
+    const message = createMessage('gm');
+    game.user = game.users.get('player');
+    // Not allowed to push.
+    let event = createEvent();
+    await YearZeroChat._onPush(event, message);
+    assert.equal(event.currentTarget.disabled, false);
+
+    // No active GM.
+    ChatMessage.getSpeakerActor = () => ({ hasPerm: () => true });
+    game.users[0].active = false;
+    event = createEvent();
+    await YearZeroChat._onPush(event, message);
+    assert.equal(event.currentTarget.disabled, false);
+    assert.deepEqual(errors, ['YZUR.ERROR.noActiveGM']);
+
+    // A failed push.
+    game.user = game.users.get('gm');
+    message.update = async () => {
+      throw new Error('Cannot update the message.');
+    };
+    setResults(4, 5);
+    event = createEvent();
+    await YearZeroChat._onPush(event, message);
+    assert.equal(event.currentTarget.disabled, false);
+    assert.equal(errors[1], 'Cannot update the message.');
+    assert.deepEqual(emitted, []);
+  });
+
+  it('enables the push button again when the roll cannot be pushed anymore', async () => {
+    const message = createMessage('gm');
+    game.user = game.users.get('gm');
+    setResults(4, 5);
+    await YearZeroChat.pushMessage(message);
+    assert.equal(await YearZeroChat.pushMessage(message), null);
+    const event = createEvent();
+    await YearZeroChat._onPush(event, message);
+    assert.equal(event.currentTarget.disabled, false);
+  });
+});
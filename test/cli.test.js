@@ -0,0 +1,105 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseArgs, run } from '../yzroll.js';
+import { YearZeroDicePool } from '../yearzero-core.js';
+
+/**
+ * Runs the command line and captures its output.
+ * @param {...string} argv The arguments
+ * @returns {{ code: number, out: string[], err: string[] }}
+ */
+function yzroll(...argv) {
+  const out = [], err = [];
+  const code = run(argv, { write: l => out.push(l), error: l => err.push(l) });
+  return { code, out, err };
+}
+
+describe('parseArgs', () => {
+  it('parses the dice, the modifier and the options', () => {
+    const options = parseArgs(['--game', 'fbl', '3b', 'skill', '2', '1d10', '-1', '--push', '--push', '--seed', '7']);
+    assert.deepEqual(options.dice, { base: 3, skill: 2, artoD10: 1 });
+    assert.equal(options.yzGame, 'fbl');
+    assert.equal(options.modifier, -1);
+    assert.equal(options.pushes, 2);
+    assert.equal(options.seed, 7);
+  });
+
+  it('uses the aliases of the game', () => {
+    assert.deepEqual(parseArgs(['--game=t2k', '1d8', '2m']).dice, { c: 1, ammo: 2 });
+    assert.throws(() => parseArgs(['1m']), /Unknown die type/);
+  });
+
+  it('throws on invalid arguments', () => {
+    assert.throws(() => parseArgs(['--game', 'dnd', '1b']), /Unknown game/);
+    assert.throws(() => parseArgs(['--simulate', '1b']), /Missing number/);
+    assert.throws(() => parseArgs(['base']), /Missing quantity/);
+    assert.throws(() => parseArgs(['--push']), /No dice/);
+    assert.throws(() => parseArgs(['--foo', '1b']), /Invalid argument/);
+  });
+});
+
+describe('run', () => {
+  it('prints the roll as JSON', () => {
+    const { code, out } = yzroll('--game', 'fbl', '3b', '2s', '1g', '--push', '--seed', '11', '--json');
+    assert.equal(code, 0);
+    const expected = new YearZeroDicePool({ base: 3, skill: 2, gear: 1 }, { yzGame: 'fbl', seed: 11 }).roll().push();
+    assert.deepEqual(JSON.parse(out.join('\n')), expected.toJSON());
+  });
+
+  it('prints the dice with their labels', () => {
+    const { out } = yzroll('--game', 'myz', '6b', '--seed', '3');
+    assert.equal(out[0], 'myz: 6db (seed 3)');
+    assert.match(out[1], /^Roll +base( \S+){6}$/);
+    assert.match(out[2], /^Successes: \d+ · Trauma: \d+$/);
+  });
+
+  it('applies the modifier', () => {
+    const { out } = yzroll('--game', 'myz', '2b', '-1', '--json', '--seed', '1');
+    assert.deepEqual(JSON.parse(out.join('\n')).dice, { base: 2, neg: 1 });
+  });
+
+  it('simulates many rolls', () => {
+    const { out } = yzroll('--game', 'alien', '3s', '1z', '--simulate', '500', '--seed', '1', '--json');
+    const data = JSON.parse(out.join('\n'));
+    assert.equal(data.rolls, 500);
+    assert.equal(Object.values(data.successes).reduce((a, b) => a + b, 0), 500);
+    assert.ok(data.exact.atLeast[1] > 0);
+  });
+
+  it('compares a pushed Alien pool with its exact odds', () => {
+    const { out } = yzroll('--game', 'alien', '3s', '2z', '--push', '--simulate', '2000', '--seed', '1', '--json');
+    const data = JSON.parse(out.join('\n'));
+    assert.deepEqual(data.dice, { skill: 3, stress: 2 });
+    assert.deepEqual(data.exact, new YearZeroDicePool({ skill: 3, stress: 2 }, { yzGame: 'alien' }).probability(1));
+    assert.ok(Math.abs(data.chances.panic / data.rolls - data.exact.chances.panic) < 0.05);
+
+    const text = yzroll('--game', 'alien', '3s', '2z', '--push', '--simulate', '100', '--seed', '1').out;
+    assert.match(text[0], /^alien: 3ds \+ 2dz — 100 rolls, 1 push$/);
+  });
+
+  it('skips the exact odds of a pool too large for the engine', () => {
+    const start = Date.now();
+    const { out } = yzroll('--game', 'myz', '40b', '40s', '--push', '--simulate', '10', '--seed', '1');
+    assert.ok(Date.now() - start < 5000, `${Date.now() - start} ms`);
+    assert.equal(out[1], 'The pool is too large to compute its exact odds.');
+    assert.equal(out[2], 'Successes   Simulated');
+
+    const json = yzroll('--game', 'myz', '40b', '40s', '--push', '--simulate', '10', '--json').out;
+    const data = JSON.parse(json.join('\n'));
+    assert.equal(data.exact, null);
+    assert.equal(data.rolls, 10);
+  });
+
+  it('prints the extra dice of a push apart from the dice asked for', () => {
+    const { out } = yzroll('--game', 'alien', '2s', '--push', '--seed', '3');
+    assert.equal(out[0], 'alien: 2ds (seed 3)');
+    assert.match(out[out.length - 1], /Stress: 1/);
+  });
+
+  it('prints the usage on errors', () => {
+    const { code, err } = yzroll('3x');
+    assert.equal(code, 1);
+    assert.match(err[0], /Unknown die type/);
+    assert.match(err[1], /^Usage: yzroll/);
+  });
+});
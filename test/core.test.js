@@ -0,0 +1,138 @@
+// The engine is imported without the Foundry stubs: it must not need them.
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DIE_RULES,
+  getResultCount,
+  isMishap,
+  modifyDice,
+  stepArtifactDice,
+  PUSH_CONSEQUENCES,
+  getPushConsequences,
+  probability,
+  YearZeroDicePool,
+} from '../yearzero-core.js';
+import { scriptedRandom } from './helpers/rng.js';
+
+describe('Core rules', () => {
+  it('does not depend on Foundry', () => {
+    assert.equal(typeof globalThis.CONFIG, 'undefined');
+    assert.equal(typeof globalThis.Roll, 'undefined');
+  });
+
+  it('counts the successes of each die type', () => {
+    assert.equal(getResultCount(DIE_RULES.base, 6), 1);
+    assert.equal(getResultCount(DIE_RULES.neg, 6), -1);
+    assert.equal(getResultCount(DIE_RULES.artoD12, 12), 4);
+    assert.equal(getResultCount(DIE_RULES.a, 10), 2);
+    assert.equal(getResultCount(DIE_RULES.loc, 6), 0);
+  });
+
+  it('detects the mishaps of Twilight 2000 only', () => {
+    assert.equal(isMishap('t2k', 2, 3), true);
+    assert.equal(isMishap('t2k', 1, 1), true);
+    assert.equal(isMishap('t2k', 1, 2), false);
+    assert.equal(isMishap('myz', 3, 3), false);
+  });
+
+  it('applies the difficulty modifiers', () => {
+    assert.deepEqual(modifyDice({ base: 3, skill: 1 }, -2, 'myz'), { base: 3, skill: 0, neg: 1 });
+    assert.deepEqual(modifyDice({ b: 1 }, 2, 't2k'), { a: 1, b: 0, c: 0, d: 1 });
+    assert.deepEqual(modifyDice({ skill: 2 }, -3, 'alien'), { skill: 1 });
+  });
+
+  it('steps the artifact dice', () => {
+    assert.deepEqual(stepArtifactDice({ artoD8: 2 }, 1), { artoD8: 1, artoD10: 1 });
+    assert.deepEqual(stepArtifactDice({ artoD8: 1 }, -1), { artoD8: 0 });
+    assert.deepEqual(stepArtifactDice({ skill: 1 }, 2), { skill: 1 });
+  });
+
+  it('gets the push consequences of a playbook', () => {
+    const stats = { pushed: true, attributeTrauma: 2, gearDamage: 1 };
+    const table = {
+      playbook: 'a',
+      resources: [
+        { resource: 'x', count: 'attributeTrauma', playbooks: ['a'] },
+        { resource: 'y', count: 'gearDamage' },
+      ],
+    };
+    assert.deepEqual(getPushConsequences(stats, table), [{ resource: 'x', value: 2 }, { resource: 'y', value: 1 }]);
+    assert.deepEqual(getPushConsequences(stats, table, 'b'), [{ resource: 'y', value: 1 }]);
+    assert.deepEqual(getPushConsequences({ ...stats, pushed: false }, table), []);
+    assert.deepEqual(getPushConsequences(stats, PUSH_CONSEQUENCES.alien), []);
+  });
+
+  it('computes the probabilities', () => {
+    const p = probability([{ n: 1, rules: DIE_RULES.base }], { yzGame: 'myz', pushes: 1 });
+    assert.ok(Math.abs(p.atLeast[1] - 10 / 36) < 1e-9);
+  });
+});
+
+describe('YearZeroDicePool', () => {
+  it('rolls and pushes the dice', () => {
+    const pool = new YearZeroDicePool({ base: 5, skill: 3, gear: 2 }, { yzGame: 'myz', seed: 3 });
+    pool.roll();
+    const before = pool.terms.map(t => t.results.filter(r => r.active).map(r => r.result));
+    pool.push();
+    assert.equal(pool.pushCount, 1);
+    pool.terms.forEach((t, i) => {
+      // The locked results are kept.
+      const locked = before[i].filter(r => t.rules.lockedValues.includes(r));
+      const kept = t.results.filter(r => r.active && r.indexPush === 0).map(r => r.result);
+      assert.deepEqual(kept, locked);
+      assert.equal(t.results.filter(r => r.active).length, t.number);
+    });
+    assert.equal(pool.pushable, false);
+  });
+
+  it('keeps the dice asked for when a push adds extra dice', () => {
+    // Skill: 2, 3, 4 — Stress: 2, 3 — Push: 5, 5, 5 — 4, 4 — Extra stress: 3
+    const random = scriptedRandom([2, 3, 4, 2, 3, 5, 5, 5, 4, 4, 3]);
+    const pool = new YearZeroDicePool({ skill: 3, stress: 2 }, { yzGame: 'alien', maxPush: 2, random });
+    const odds = pool.probability(1).panic;
+    pool.roll().push();
+    assert.equal(pool.pushCount, 1);
+    assert.deepEqual(pool.getDiceQuantities(), { skill: 3, stress: 2 });
+    assert.deepEqual(pool.toJSON().dice, { skill: 3, stress: 2 });
+    assert.equal(pool.probability(1).panic, odds);
+    // The extra stress die follows the indexes of the dice asked for.
+    const stress = pool.terms.find(t => t.dieType === 'stress').results.filter(r => r.active);
+    assert.equal(stress.length, 3);
+    assert.deepEqual(stress.map(r => r.indexResult).sort(), [0, 1, 2]);
+    assert.equal(pool.stress, 3);
+
+    const noStress = new YearZeroDicePool({ skill: 2 }, { yzGame: 'alien', random: scriptedRandom([2, 3, 4, 5, 2]) });
+    noStress.roll().push();
+    assert.deepEqual(noStress.getDiceQuantities(), { skill: 2 });
+    assert.equal(noStress.stress, 1);
+  });
+
+  it('gives the same results with the same seed', () => {
+    const roll = () => new YearZeroDicePool({ a: 1, c: 1, ammo: 3 }, { yzGame: 't2k', seed: 77 }).roll().push();
+    assert.deepEqual(roll().toJSON(), roll().toJSON());
+  });
+
+  it('modifies the dice', () => {
+    const pool = new YearZeroDicePool({ base: 2, skill: 2 }, { yzGame: 'fbl' }).modify(-3);
+    assert.deepEqual(pool.getDiceQuantities(), { base: 2, neg: 1 });
+  });
+
+  it('adds the die of a Pride and steps the artifact dice', () => {
+    const pool = new YearZeroDicePool({ base: 2, artoD8: 1 }, { yzGame: 'fbl', pride: true });
+    assert.deepEqual(pool.getDiceQuantities(), { base: 2, artoD8: 1, artoD12: 1 });
+    const modified = pool.modify(0, { artifactStep: 1 });
+    assert.deepEqual(modified.getDiceQuantities(), { base: 2, artoD10: 1, artoD12: 1 });
+    assert.equal(modified.pride, true);
+  });
+
+  it('counts the willpower gained by a push', () => {
+    const pool = new YearZeroDicePool({ base: 5 }, { yzGame: 'fbl', seed: 5 }).roll().push();
+    assert.equal(pool.willpower, pool.attributeTrauma);
+    assert.equal(pool.toJSON().willpower, pool.willpower);
+  });
+
+  it('throws on an unknown game or die type', () => {
+    assert.throws(() => new YearZeroDicePool({ base: 1 }, { yzGame: 'dnd' }), TypeError);
+    assert.throws(() => new YearZeroDicePool({ foo: 1 }), TypeError);
+  });
+});
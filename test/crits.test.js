@@ -0,0 +1,123 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { register } from './helpers/setup.js';
+import { setResults } from './helpers/rng.js';
+import { YearZeroRoll, YearZeroCriticals } from '../yearzero-dice.js';
+import {
+  CRITICAL_INJURY_TABLES,
+  shiftTableResult,
+  getCriticalModifier,
+  getCriticalInjury,
+} from '../yearzero-core.js';
+
+register(['myz', 'fbl', 'alien', 't2k']);
+
+describe('Critical injury tables', () => {
+  it('shifts a D66 result in its numbering', () => {
+    assert.equal(shiftTableResult(16, 1), 21);
+    assert.equal(shiftTableResult(34, 2), 36);
+    assert.equal(shiftTableResult(35, 3), 42);
+    assert.equal(shiftTableResult(21, -1), 16);
+    assert.equal(shiftTableResult(64, 9), 66);
+    assert.equal(shiftTableResult(12, -5), 11);
+  });
+
+  it('covers every D66 result', () => {
+    for (const table of Object.values(CRITICAL_INJURY_TABLES)) {
+      for (let tens = 1; tens <= 6; tens++) {
+        for (let ones = 1; ones <= 6; ones++) {
+          const result = tens * 10 + ones;
+          const entry = table.find(e => result >= e.range[0] && result <= e.range[1]);
+          assert.ok(entry, `No entry for ${result}`);
+          if (entry.lethal) assert.ok(entry.timeLimit || entry.range[0] === 66);
+        }
+      }
+    }
+  });
+
+  it('gets the modifier from the extra successes', () => {
+    assert.equal(getCriticalModifier(0), 0);
+    assert.equal(getCriticalModifier(1), 0);
+    assert.equal(getCriticalModifier(3), 2);
+  });
+
+  it('gets the nearest entry outside of the ranges', () => {
+    const table = CRITICAL_INJURY_TABLES.myz;
+    assert.equal(getCriticalInjury(5, table), table[0]);
+    assert.equal(getCriticalInjury(99, table), table[table.length - 1]);
+  });
+});
+
+describe('YearZeroRoll#critical', () => {
+  it('offers a critical injury to the successful damage rolls of MYZ, FBL and Alien', () => {
+    const r = YearZeroRoll.createFromDiceQuantities({ base: 3 }, { yzGame: 'myz', damage: true });
+    setResults(6, 6, 6);
+    assert.deepEqual(r.evaluate().critical, { modifier: 2 });
+    assert.deepEqual(YearZeroRoll.fromData(JSON.parse(JSON.stringify(r))).critical, { modifier: 2 });
+
+    const failed = YearZeroRoll.createFromDiceQuantities({ skill: 2 }, { yzGame: 'alien', damage: true });
+    setResults(2, 3);
+    assert.equal(failed.evaluate().critical, null);
+  });
+
+  it('does not offer a critical injury to the rolls without damage', () => {
+    const r = YearZeroRoll.createFromDiceQuantities({ base: 2 }, { yzGame: 'fbl' });
+    setResults(6, 6);
+    assert.equal(r.evaluate().damage, false);
+    assert.equal(r.critical, null);
+    r.damage = true;
+    assert.deepEqual(r.critical, { modifier: 1 });
+    assert.equal(r.modify(1).damage, true);
+  });
+
+  it('does not offer a critical injury in the other games', () => {
+    const r = YearZeroRoll.createFromDiceQuantities({ d: 1 }, { yzGame: 't2k', damage: true });
+    setResults(6);
+    assert.equal(r.evaluate().critical, null);
+  });
+});
+
+describe('YearZeroCriticals', () => {
+  afterEach(() => {
+    CONFIG.YZUR.CRITS.rollTables = {};
+    delete game.tables;
+  });
+
+  it('posts the injury with its data in the flags', async () => {
+    setResults(5, 2);
+    const card = await YearZeroCriticals.rollCritical('myz', { modifier: 3, originId: 'origin' });
+    const { critical } = card.flags.yzur;
+    assert.equal(critical.roll, 52);
+    assert.equal(critical.result, 55);
+    assert.equal(critical.name, 'Punctured Lung');
+    assert.equal(critical.lethal, true);
+    assert.deepEqual(critical.timeLimit, { amount: 1, unit: 'shift' });
+    assert.equal(critical.healingTime, '1d6');
+    assert.equal(card.content.data.timeUnit, 'YZUR.TIME.shift');
+    assert.equal(card.content.data.originId, 'origin');
+    assert.equal(JSON.parse(card.roll).total, 52);
+  });
+
+  it('reads a RollTable of the game', async () => {
+    game.tables = {
+      get: () => null,
+      getName: tableName => tableName === 'Crits' ? {
+        getResultsForRoll: total => total <= 16 ? [{
+          text: 'Bruised',
+          img: 'crit.png',
+          flags: { yzur: { critical: { healingTime: '1' } } },
+        }] : [],
+      } : null,
+    };
+    CONFIG.YZUR.CRITS.rollTables.fbl = 'Crits';
+    assert.deepEqual(await YearZeroCriticals.getInjury('fbl', 12), {
+      name: 'Bruised', effect: '', lethal: false, timeLimit: null, healingTime: '1', img: 'crit.png',
+    });
+    // Results outside of the RollTable use the built-in table.
+    assert.equal((await YearZeroCriticals.getInjury('fbl', 66)).name, 'Impaled Heart');
+  });
+
+  it('rejects the games without critical injuries', async () => {
+    await assert.rejects(YearZeroCriticals.rollCritical('t2k'), ReferenceError);
+  });
+});
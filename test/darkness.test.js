@@ -0,0 +1,117 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { register } from './helpers/setup.js';
+import { setResults } from './helpers/rng.js';
+import { YearZeroRoll, YearZeroDarkness } from '../yearzero-dice.js';
+
+register(['cor', 'myz']);
+
+/**
+ * Creates, evaluates and pushes a roll with scripted results.
+ * @param {GameTypeString} yzGame The game used
+ * @returns {YearZeroRoll}
+ */
+function pushedRoll(yzGame) {
+  const r = YearZeroRoll.createFromDiceQuantities({ skill: 2 }, { yzGame });
+  setResults(2, 3);
+  r.evaluate();
+  setResults(4, 5);
+  return r.push();
+}
+
+describe('Coriolis prayers', () => {
+  it('adds the extra push of a talent to the maximum number of pushes', () => {
+    const create = options => YearZeroRoll.createFromDiceQuantities({ skill: 2 }, { yzGame: 'cor', ...options });
+    assert.equal(create({ extraPush: 1 }).maxPush, 2);
+    assert.equal(create({ maxPush: 2, extraPush: 1 }).maxPush, 3);
+  });
+
+  it('labels the push button as a prayer', () => {
+    assert.equal(CONFIG.YZUR.ROLL.PUSH_LABELS.cor, 'YZUR.CHAT.ROLL.pray');
+  });
+
+  it('gives one Darkness Point per push in Coriolis only', () => {
+    assert.equal(YearZeroDarkness.getPushGain(pushedRoll('cor')), 1);
+    assert.equal(YearZeroDarkness.getPushGain(pushedRoll('myz')), 0);
+  });
+});
+
+describe('YearZeroDarkness', () => {
+  const { users, settings } = game;
+  let stored;
+  let messages;
+
+  beforeEach(() => {
+    stored = { 'yzur.darkness': 2 };
+    messages = [];
+    CONFIG.YZUR.DARKNESS.setting = 'yzur.darkness';
+    game.users = [{ _id: 'user', isGM: true, active: true }, { _id: 'player', isGM: false, active: true }];
+    game.settings = {
+      get: (namespace, key) => stored[`${namespace}.${key}`],
+      set: async (namespace, key, value) => stored[`${namespace}.${key}`] = value,
+    };
+    ChatMessage.create = async data => messages.push(data) && data;
+  });
+
+  afterEach(() => {
+    CONFIG.YZUR.DARKNESS.setting = '';
+    Object.assign(game, { users, settings });
+    ChatMessage.create = async data => data;
+  });
+
+  /**
+   * Creates a chat message with flags.
+   * @returns {ChatMessage}
+   */
+  const createMessage = () => new ChatMessage({ speaker: { alias: 'Kesh' } });
+
+  /**
+   * Creates the data of a pushed message.
+   * @param {YearZeroRoll} r
+   * @param {Object}      [message] The chat message
+   * @returns {Array<Object>} The message and the update data
+   */
+  const update = (r, message = createMessage()) => [message, { roll: JSON.stringify(r) }];
+
+  it('stores the Darkness Points of a push and whispers them to the GMs', async () => {
+    const total = await YearZeroDarkness.onChatMessage(...update(pushedRoll('cor')));
+    assert.equal(total, 3);
+    assert.equal(stored['yzur.darkness'], 3);
+    assert.equal(messages.length, 1);
+    assert.deepEqual(messages[0].whisper, ['user']);
+  });
+
+  it('gives the points of each push only once', async () => {
+    const message = createMessage();
+    const r = pushedRoll('cor');
+    assert.equal(await YearZeroDarkness.onChatMessage(...update(r, message)), 3);
+    assert.equal(message.getFlag('yzur', 'darknessPush'), 1);
+    // Another update of the message with the same roll.
+    assert.equal(await YearZeroDarkness.onChatMessage(...update(r, message)), undefined);
+    assert.equal(stored['yzur.darkness'], 3);
+
+    setResults(6, 6);
+    r.maxPush = 2;
+    r.push();
+    assert.equal(await YearZeroDarkness.onChatMessage(...update(r, message)), 4);
+    assert.equal(message.getFlag('yzur', 'darknessPush'), 2);
+    assert.equal(messages.length, 2);
+  });
+
+  it('ignores the other games and the other clients', async () => {
+    assert.equal(await YearZeroDarkness.onChatMessage(...update(pushedRoll('myz'))), undefined);
+    game.users[0].active = false;
+    assert.equal(await YearZeroDarkness.onChatMessage(...update(pushedRoll('cor'))), undefined);
+    assert.equal(stored['yzur.darkness'], 2);
+    assert.equal(messages.length, 0);
+  });
+
+  it('ignores the updates without a roll', () => {
+    assert.equal(YearZeroDarkness.onChatMessage({ data: {} }, { content: 'x' }), undefined);
+  });
+
+  it('throws on an invalid setting', () => {
+    CONFIG.YZUR.DARKNESS.setting = 'darkness';
+    assert.throws(() => YearZeroDarkness.getPoints(), ReferenceError);
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { register } from './helpers/setup.js';
+import { setResults } from './helpers/rng.js';
+import { YZRollDialog } from '../yearzero-dice.js';
+
+register('myz');
+
+/**
+ * Creates the HTML content of a roll dialog, like the one rendered by jQuery.
+ * @param {Object<string, number>} dice  The quantities of dice in the inputs
+ * @param {Object<string, *>}      [fields] The other fields, by name
+ * @returns {Object}
+ */
+function createHtml(dice, fields = {}) {
+  return {
+    find: selector => {
+      if (selector === 'input[data-die-type]') {
+        const inputs = Object.entries(dice).map(([dieType, value]) => ({ dataset: { dieType }, value }));
+        return { each: fn => inputs.forEach((input, i) => fn(i, input)) };
+      }
+      const fieldName = selector.match(/name="(\w+)"/)?.[1];
+      return { val: () => fields[fieldName] };
+    },
+  };
+}
+
+describe('YZRollDialog.create', () => {
+  const notifyError = ui.notifications.error;
+  let messages;
+  let errors;
+  beforeEach(() => {
+    messages = [];
+    errors = [];
+    ChatMessage.create = async data => {
+      messages.push(data);
+      return data;
+    };
+    ui.notifications.error = message => errors.push(message);
+  });
+  afterEach(() => {
+    ChatMessage.create = async data => data;
+    ui.notifications.error = notifyError;
+  });
+
+  it('resolves with the roll sent to the chat', async () => {
+    const promise = YZRollDialog.create({ name: 'Sneak', rollMode: 'roll' });
+    await new Promise(resolve => setTimeout(resolve));
+    setResults(6, 2);
+    Dialog.rendered.submit('roll', createHtml({ base: 1, skill: 1 }));
+    const roll = await promise;
+    assert.ok(roll);
+    assert.equal(roll.name, 'Sneak');
+    assert.equal(roll.successCount, 1);
+    assert.equal(messages.length, 1);
+  });
+
+  it('resolves with null when the dialog is closed', async () => {
+    const promise = YZRollDialog.create({ rollMode: 'roll' });
+    await new Promise(resolve => setTimeout(resolve));
+    Dialog.rendered.close();
+    assert.equal(await promise, null);
+    assert.equal(messages.length, 0);
+  });
+
+  it('reports the errors of the roll', async () => {
+    const promise = YZRollDialog.create({ rollMode: 'roll' });
+    await new Promise(resolve => setTimeout(resolve));
+    Dialog.rendered.submit('roll', createHtml({ unknown: 2 }));
+    assert.equal(await promise, null);
+    assert.equal(errors.length, 1);
+    assert.equal(messages.length, 0);
+  });
+});
+
+describe('YZRollDialog#_updatePreview', () => {
+  it('builds the roll once per change, for the preview and the odds, without logging', async () => {
+    const html = createHtml({ base: 2, skill: 1 }, { modifier: 1 });
+    const findField = html.find;
+    const texts = {};
+    const odds = [{ dataset: { odds: 'atLeast1' }, textContent: '' }];
+    html.find = selector => {
+      if (selector === '.formula-preview') return { text: str => texts.preview = str };
+      if (selector === '[data-odds]') {
+        return { text: str => texts.odds = str, each: fn => odds.forEach((el, i) => fn(i, el)) };
+      }
+      return findField(selector);
+    };
+    const createRoll = YZRollDialog.createRoll;
+    const warn = console.warn;
+    const delay = YZRollDialog.ODDS_DELAY;
+    let rolls = 0;
+    let warnings = 0;
+    YZRollDialog.createRoll = (...args) => {
+      rolls++;
+      return createRoll(...args);
+    };
+    console.warn = () => warnings++;
+    YZRollDialog.ODDS_DELAY = 0;
+    try {
+      const dialog = new YZRollDialog({ buttons: {} }, { yzGame: 'myz' });
+      dialog._updatePreview(html);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      assert.equal(rolls, 1);
+      assert.equal(warnings, 0);
+      assert.equal(texts.preview, '2db + 2ds');
+      const { atLeast1 } = YZRollDialog.getOdds({ base: 2, skill: 2 }, 'myz');
+      assert.equal(odds[0].textContent, `${Math.round(atLeast1 * 100)}%`);
+    }
+    finally {
+      YZRollDialog.createRoll = createRoll;
+      console.warn = warn;
+      YZRollDialog.ODDS_DELAY = delay;
+    }
+  });
+});
@@ -0,0 +1,174 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { register } from './helpers/setup.js';
+import { setResults } from './helpers/rng.js';
+import {
+  YearZeroDie,
+  BaseDie, SkillDie, GearDie, NegativeDie, StressDie,
+  D8ArtifactDie, D10ArtifactDie, D12ArtifactDie,
+  D6TwilightDie, D8TwilightDie, D10TwilightDie, D12TwilightDie,
+  AmmoDie, LocationDie,
+} from '../yearzero-dice.js';
+import { DIE_RULES } from '../yearzero-core.js';
+
+register(['myz', 'fbl', 'alien', 't2k']);
+
+/**
+ * Rolls a die with scripted results.
+ * @param {class}    cls     The class of the die
+ * @param {number[]} results The results of the dice
+ * @returns {YearZeroDie}
+ */
+function rollDie(cls, results) {
+  const die = new cls({ number: results.length });
+  setResults(...results.map(r => [r, die.faces]));
+  return die.evaluate();
+}
+
+describe('Faces', () => {
+  const cases = [
+    [BaseDie, 6], [SkillDie, 6], [GearDie, 6], [NegativeDie, 6], [StressDie, 6],
+    [D8ArtifactDie, 8], [D10ArtifactDie, 10], [D12ArtifactDie, 12],
+    [D6TwilightDie, 6], [D8TwilightDie, 8], [D10TwilightDie, 10], [D12TwilightDie, 12],
+    [AmmoDie, 6], [LocationDie, 6],
+  ];
+  for (const [cls, faces] of cases) {
+    it(`${cls.name} has ${faces} faces`, () => {
+      assert.equal(new cls({}).faces, faces);
+    });
+  }
+});
+
+describe('Rules', () => {
+  // The classes of the dice and the Foundry-agnostic engine must agree on the rules of each die.
+  for (const [type, cls] of Object.entries(CONFIG.YZUR.DICE.DIE_TYPES)) {
+    if (!(cls.prototype instanceof YearZeroDie)) continue;
+    it(`${cls.name} follows the rules of "${type}"`, () => {
+      const { faces, lockedValues, successes } = cls.getRules();
+      assert.deepEqual({ faces, lockedValues, successes }, {
+        faces: DIE_RULES[type].faces,
+        lockedValues: DIE_RULES[type].lockedValues,
+        successes: DIE_RULES[type].successes,
+      });
+    });
+  }
+});
+
+describe('Successes', () => {
+  it('YearZeroDie counts one success on a 6', () => {
+    assert.deepEqual([1, 2, 3, 4, 5, 6].map(r => YearZeroDie.getResultCount(r)), [0, 0, 0, 0, 0, 1]);
+  });
+
+  it('NegativeDie counts a negative success on a 6', () => {
+    assert.deepEqual([1, 5, 6].map(r => NegativeDie.getResultCount(r)), [0, 0, -1]);
+  });
+
+  it('ArtifactDie counts multiple successes', () => {
+    assert.deepEqual([5, 6, 7, 8].map(r => D8ArtifactDie.getResultCount(r)), [0, 1, 1, 2]);
+    assert.deepEqual([9, 10].map(r => D10ArtifactDie.getResultCount(r)), [2, 3]);
+    assert.deepEqual([11, 12].map(r => D12ArtifactDie.getResultCount(r)), [3, 4]);
+  });
+
+  it('TwilightDie counts two successes on 10+', () => {
+    assert.deepEqual([1, 5, 6, 9, 10, 12].map(r => D12TwilightDie.getResultCount(r)), [0, 0, 1, 1, 2, 2]);
+  });
+
+  it('AmmoDie counts a hit on a 6', () => {
+    assert.equal(AmmoDie.getResultCount(6), 1);
+    assert.equal(AmmoDie.getResultCount(1), 0);
+  });
+
+  it('LocationDie never counts successes', () => {
+    const die = rollDie(LocationDie, [6, 1]);
+    assert.equal(die.total, 0);
+  });
+
+  it('stores the successes and the indexes of the results', () => {
+    const die = rollDie(BaseDie, [1, 3, 6]);
+    assert.deepEqual(die.results.map(r => [r.result, r.count, r.indexResult, r.indexPush]), [
+      [1, 0, 0, 0],
+      [3, 0, 1, 0],
+      [6, 1, 2, 0],
+    ]);
+    assert.equal(die.total, 1);
+  });
+
+  it('sums the successes of the dice', () => {
+    assert.equal(rollDie(D12ArtifactDie, [12, 8, 2]).total, 6);
+    assert.equal(rollDie(NegativeDie, [6, 6, 4]).total, -2);
+  });
+});
+
+describe('Push', () => {
+  const cases = [
+    // [class, initial results, rerolls, results after the push]
+    [BaseDie, [1, 3, 6], [4], [1, 6, 4]],
+    [SkillDie, [1, 3, 6], [2, 6], [6, 2, 6]],
+    [GearDie, [1, 5, 6], [6], [1, 6, 6]],
+    [NegativeDie, [1, 6], [6], [6, 6]],
+    [StressDie, [1, 2, 6], [1], [1, 6, 1]],
+    [D8ArtifactDie, [5, 6, 8], [[7, 8]], [6, 8, 7]],
+    [D10ArtifactDie, [1, 10], [[3, 10]], [10, 3]],
+    [D12ArtifactDie, [12, 2], [[11, 12]], [12, 11]],
+    [D6TwilightDie, [1, 4], [5], [1, 5]],
+    [D8TwilightDie, [2, 7], [[8, 8]], [7, 8]],
+    [D10TwilightDie, [5, 10], [[1, 10]], [10, 1]],
+    [D12TwilightDie, [12, 1, 3], [[9, 12]], [12, 1, 9]],
+    [AmmoDie, [1, 6, 3], [2, 2, 6], [2, 2, 6]],
+  ];
+
+  for (const [cls, results, rerolls, pushedResults] of cases) {
+    it(`${cls.name} rerolls the non-locked results`, () => {
+      const die = rollDie(cls, results);
+      setResults(...rerolls.map(r => Array.isArray(r) ? r : [r, die.faces]));
+      die.push();
+      assert.deepEqual(die.values, pushedResults);
+      assert.equal(die.pushCount, 1);
+      assert.equal(die.pushed, true);
+    });
+  }
+
+  it('keeps the discarded results, marked as pushed', () => {
+    const die = rollDie(BaseDie, [1, 3, 6]);
+    setResults(5);
+    die.push();
+    const discarded = die.results.filter(r => r.discarded);
+    assert.deepEqual(discarded.map(r => [r.result, r.active, r.pushed]), [[3, false, true]]);
+    const pushed = die.results.find(r => r.indexPush === 1);
+    assert.deepEqual([pushed.result, pushed.indexResult], [5, 1]);
+  });
+
+  it('is not pushable when all the results are locked', () => {
+    assert.equal(rollDie(BaseDie, [1, 6]).pushable, false);
+    assert.equal(rollDie(BaseDie, [1, 2]).pushable, true);
+    assert.equal(rollDie(SkillDie, [1]).pushable, true);
+    assert.equal(rollDie(D8ArtifactDie, [6, 7]).pushable, false);
+    assert.equal(rollDie(AmmoDie, [6]).pushable, true);
+  });
+});
+
+describe('Labels', () => {
+  beforeEach(() => {
+    CONFIG.YZUR.DICE.theme = 'emoji';
+  });
+
+  it('uses the icons of the default game', () => {
+    assert.equal(BaseDie.getResultLabel(1), '☣');
+    assert.equal(BaseDie.getResultLabel(6), '☢');
+    assert.equal(GearDie.getResultLabel(1), '💥');
+    assert.equal(NegativeDie.getResultLabel(6), '➖');
+    assert.equal(SkillDie.getResultLabel(3), '3');
+  });
+
+  it('uses the icons of the game of the roll', () => {
+    assert.equal(StressDie.getResultLabel(1, 'alien'), '😱');
+    assert.equal(SkillDie.getResultLabel(6, 'alien'), '💠');
+    assert.equal(AmmoDie.getResultLabel(6, 't2k'), '🎯');
+    assert.equal(BaseDie.getResultLabel(1, 't2k'), '•');
+  });
+
+  it('falls back to the result when the game has no icon for the die', () => {
+    assert.equal(StressDie.getResultLabel(1), '1');
+    assert.equal(D8ArtifactDie.getResultLabel(7), '7');
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { register } from './helpers/setup.js';
+import { setResults } from './helpers/rng.js';
+import { YearZeroRoll, D8TwilightDie, AmmoDie, LocationDie } from '../yearzero-dice.js';
+import { YearZeroDiceSoNice } from '../yearzero-dicesonice.js';
+
+register(['t2k']);
+
+/**
+ * Creates a fake "Dice So Nice!" API that records the registered presets.
+ * @returns {Object}
+ */
+function createDice3d() {
+  return {
+    systems: [],
+    colorsets: [],
+    presets: [],
+    addSystem(system, mode) { this.systems.push({ system, mode }); },
+    addColorset(colorset) { this.colorsets.push(colorset); },
+    addDicePreset(preset, shape) { this.presets.push({ ...preset, shape }); },
+  };
+}
+
+/**
+ * Gets the results of the dice of a class of a roll.
+ * @param {YearZeroRoll} roll The roll
+ * @param {class}        cls  The class of the dice
+ * @returns {number[]}
+ */
+function getResults(roll, cls) {
+  return roll.terms.filter(t => t instanceof cls).flatMap(t => t.results.map(r => r.result));
+}
+
+const dice3d = createDice3d();
+YearZeroDiceSoNice.register(dice3d);
+
+describe('Dice So Nice!', () => {
+  it('registers a 3D die per die class, apart from the plain dice', () => {
+    const types = dice3d.presets.map(p => p.type);
+    assert.equal(new Set(types).size, types.length);
+    for (const type of ['d6', 'd8', 'd10', 'd12']) assert.ok(!types.includes(type));
+
+    const preset = dice3d.presets.find(p => p.type === YearZeroDiceSoNice.getDiceType(D8TwilightDie));
+    assert.equal(preset.type, 'dyzurc');
+    assert.equal(preset.shape, 'd8');
+    assert.equal(preset.labels.length, 8);
+    assert.equal(preset.system, 'yzur');
+  });
+
+  it('shows the Year Zero dice of a roll with their 3D dice', () => {
+    const roll = YearZeroRoll.createFromDiceQuantities({ c: 1, ammo: 1 }, { yzGame: 't2k' });
+    setResults([7, 8], 4);
+    roll.evaluate();
+
+    const context = { roll };
+    YearZeroDiceSoNice.onRollStart('message', context);
+    assert.notEqual(context.roll, roll);
+    assert.deepEqual(
+      context.roll.terms.filter(t => t instanceof DiceTerm).map(t => t.constructor.DENOMINATION).sort(),
+      ['yzurammo', 'yzurc'],
+    );
+    const term = context.roll.terms.find(t => t.constructor.DENOMINATION === 'yzurc');
+    assert.ok(term instanceof D8TwilightDie);
+    assert.deepEqual(term.results.map(r => r.result), [7]);
+    // The roll of the message is unchanged.
+    assert.equal(roll.terms.find(t => t instanceof AmmoDie).constructor, AmmoDie);
+
+    const plainContext = { roll: new Roll('1d6') };
+    YearZeroDiceSoNice.onRollStart('message', plainContext);
+    assert.ok(plainContext.roll instanceof Roll);
+  });
+
+  it('shows the location dice of a ranged attack with their 3D dice', () => {
+    // Ammo: 6 — Attribute: 7 — Locations: 4, 1
+    const roll = YearZeroRoll.createRangedFire({ attribute: 'c', ammo: 1 });
+    setResults(6, [7, 8], 4, 1);
+    roll.evaluate();
+
+    const context = { roll };
+    YearZeroDiceSoNice.onRollStart('message', context);
+    assert.deepEqual(
+      context.roll.terms.filter(t => t instanceof DiceTerm).map(t => t.constructor.DENOMINATION).sort(),
+      ['yzurammo', 'yzurc', 'yzurloc'],
+    );
+    assert.deepEqual(getResults(context.roll, LocationDie), [4, 1]);
+  });
+
+  it('gets the dice rolled by the last push', () => {
+    // Attribute: 3 — Ammo: 6, 2
+    const roll = YearZeroRoll.createFromDiceQuantities({ c: 1, ammo: 2 }, { yzGame: 't2k' });
+    setResults([3, 8], 6, 2);
+    roll.evaluate();
+    // Attribute: 7 — Ammo: 6, 6 (the ammo dice are all rerolled)
+    setResults([7, 8], 6, 6);
+    roll.push();
+
+    const pushed = YearZeroDiceSoNice.getPushedDice(roll);
+    assert.deepEqual(getResults(pushed, D8TwilightDie), [7]);
+    assert.deepEqual(getResults(pushed, AmmoDie), [6, 6]);
+  });
+
+  it('gets the dice rolled by the last push, with the location dice of the new hits', () => {
+    // Ammo: 6, 2 — Attribute: 3
+    const roll = YearZeroRoll.createRangedFire({ attribute: 'c', ammo: 2 });
+    setResults(6, 2, [3, 8]);
+    roll.evaluate();
+    assert.deepEqual(roll.locations, []);
+    // Ammo: 6, 6 (the ammo dice are all rerolled) — Attribute: 7 — Locations: 5, 2, 3
+    setResults(6, 6, [7, 8], 5, 2, 3);
+    roll.push();
+
+    const pushed = YearZeroDiceSoNice.getPushedDice(roll);
+    assert.deepEqual(getResults(pushed, AmmoDie), [6, 6]);
+    assert.deepEqual(getResults(pushed, D8TwilightDie), [7]);
+    assert.deepEqual(getResults(pushed, LocationDie), [5, 2, 3]);
+  });
+});
@@ -0,0 +1,391 @@
+/*
+ * Minimal stubs of the Foundry VTT API used by the Year Zero roller.
+ * Import this module BEFORE the library, as the library extends `Roll` and `Die` when it is loaded.
+ */
+
+/* -------------------------------------------- */
+/*  Utilities                                   */
+/* -------------------------------------------- */
+
+/**
+ * Expands an object with dot-notation keys.
+ * @param {Object} obj
+ * @returns {Object}
+ */
+function expandObject(obj) {
+  const out = {};
+  for (const [k, v] of Object.entries(obj)) {
+    const keys = k.split('.');
+    let target = out;
+    for (const key of keys.slice(0, -1)) target = target[key] = target[key] || {};
+    target[keys[keys.length - 1]] = v;
+  }
+  return out;
+}
+
+/**
+ * Deeply merges an object into another one (in place), like Foundry's `mergeObject`.
+ * @param {Object} original
+ * @param {Object} [other]
+ * @returns {Object} The original object, merged
+ */
+function mergeObject(original, other = {}) {
+  for (const [k, v] of Object.entries(expandObject(other))) {
+    const isObject = v && typeof v === 'object' && !Array.isArray(v);
+    if (isObject && original[k] && typeof original[k] === 'object') mergeObject(original[k], v);
+    else original[k] = v;
+  }
+  return original;
+}
+
+/**
+ * Gets a property of an object from its dotted path, like Foundry's `getProperty`.
+ * @param {Object} object
+ * @param {string} key
+ * @returns {*}
+ */
+function getProperty(object, key) {
+  return key.split('.').reduce((target, k) => target?.[k], object);
+}
+
+/**
+ * Clamps a number between a minimum and a maximum, like Foundry's `clampNumber`.
+ * @param {number} num
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function clampNumber(num, min, max) {
+  return Math.min(max, Math.max(num, min));
+}
+
+Number.isNumeric = n => typeof n === 'number' && !isNaN(n) && isFinite(n);
+
+/* -------------------------------------------- */
+/*  Dice                                        */
+/* -------------------------------------------- */
+
+class DiceTerm {
+  constructor({ number = 1, faces = 6, modifiers = [], results = [], options = {} } = {}) {
+    this.number = number;
+    this.faces = faces;
+    this.modifiers = modifiers;
+    this.results = results;
+    this.options = options;
+    this._evaluated = false;
+  }
+
+  get values() {
+    return this.results.filter(r => r.active).map(r => r.result);
+  }
+
+  get total() {
+    if (!this._evaluated) return null;
+    return this.results.reduce((t, r) => {
+      if (!r.active) return t;
+      return t + (r.count !== undefined ? r.count : r.result);
+    }, 0);
+  }
+
+  get formula() {
+    const deno = this.constructor.DENOMINATION === 'd' ? this.faces : this.constructor.DENOMINATION;
+    return `${this.number}d${deno}${this.modifiers.join('')}`;
+  }
+
+  roll() {
+    const rand = CONFIG.Dice.randomUniform();
+    const result = { result: Math.ceil(rand * this.faces), active: true };
+    this.results.push(result);
+    return result;
+  }
+
+  evaluate() {
+    for (let n = 1; n <= this.number; n++) this.roll({});
+    for (const m of this.modifiers) {
+      const method = this.constructor.MODIFIERS[m];
+      if (method) this[method](m);
+    }
+    this._evaluated = true;
+    return this;
+  }
+
+  static getResultLabel(result) {
+    return String(result);
+  }
+
+  toJSON() {
+    return {
+      class: this.constructor.name,
+      number: this.number,
+      faces: this.faces,
+      modifiers: this.modifiers,
+      options: this.options,
+      results: this.results,
+    };
+  }
+
+  static fromData(data) {
+    const cls = Object.values(CONFIG.Dice.terms).find(c => c.name === data.class) || Die;
+    const term = new cls({ ...data, results: data.results.map(r => ({ ...r })) });
+    term._evaluated = true;
+    return term;
+  }
+}
+DiceTerm.MODIFIERS = {};
+
+class Die extends DiceTerm {}
+Die.DENOMINATION = 'd';
+Die.MODIFIERS = {};
+
+/**
+ * Stub of Foundry's Dialog. The last rendered dialog is stored in `Dialog.rendered`,
+ * and `submit()` clicks a button of the dialog.
+ */
+class Dialog {
+  constructor(data, options = {}) {
+    this.data = data;
+    this.options = options;
+  }
+
+  render() {
+    Dialog.rendered = this;
+    return this;
+  }
+
+  // Like Foundry, closes the dialog right after the callback of the button.
+  submit(button, html) {
+    this.data.buttons[button].callback?.(html);
+    this.close();
+  }
+
+  close() {
+    this.data.close?.();
+  }
+}
+
+class Roll {
+  constructor(formula, data = {}) {
+    this.data = data;
+    this.results = [];
+    this._dice = [];
+    this._rolled = false;
+    this._total = undefined;
+    this.terms = Roll._identifyTerms(formula);
+    this._formula = this.terms.map(t => t.formula || t).join(' ');
+  }
+
+  get formula() {
+    return this._formula;
+  }
+
+  get total() {
+    return this._total;
+  }
+
+  get dice() {
+    return this._dice.concat(this.terms.filter(t => t instanceof DiceTerm));
+  }
+
+  evaluate() {
+    if (this._rolled) throw new Error('This Roll object has already been rolled.');
+    this.terms.forEach(t => t instanceof DiceTerm ? t.evaluate() : t);
+    this.results = this.terms.map(t => t instanceof DiceTerm ? t.total : t);
+    this._total = this._safeEval(this.results.join(' '));
+    this._rolled = true;
+    return this;
+  }
+
+  roll() {
+    return this.evaluate();
+  }
+
+  async toMessage(messageData = {}, { create = true } = {}) {
+    if (!this._rolled) this.evaluate();
+    messageData.roll = JSON.stringify(this);
+    return create ? ChatMessage.create(messageData) : messageData;
+  }
+
+  _safeEval(expression) {
+    return Function(`"use strict"; return (${expression});`)();
+  }
+
+  toJSON() {
+    return {
+      class: this.constructor.name,
+      formula: this._formula,
+      terms: this.terms.map(t => t instanceof DiceTerm ? t.toJSON() : t),
+      results: this.results,
+      total: this._total,
+    };
+  }
+
+  static fromData(data) {
+    const roll = new this(data.formula, data.data);
+    roll.terms = data.terms.map(t => typeof t === 'string' ? t : DiceTerm.fromData(t));
+    roll.results = data.results;
+    roll._total = data.total;
+    roll._rolled = true;
+    return roll;
+  }
+
+  static validate(formula) {
+    try {
+      return Roll._identifyTerms(formula).some(t => t instanceof DiceTerm);
+    }
+    catch (err) {
+      return false;
+    }
+  }
+
+  static _identifyTerms(formula) {
+    return formula.split(/\s+/).filter(s => s).map(str => {
+      if (['+', '-'].includes(str)) return str;
+      if (/^\d+$/.test(str)) return str;
+      const match = str.match(/^(\d+)d([a-z]|\d+)([a-z]*)$/i);
+      if (!match) throw new Error(`Unresolved term: "${str}"`);
+      const [, number, deno, modifiers] = match;
+      const cls = CONFIG.Dice.terms[deno.toLowerCase()] || Die;
+      return new cls({
+        number: parseInt(number),
+        faces: cls === Die ? parseInt(deno) : undefined,
+        modifiers: modifiers ? modifiers.split('') : [],
+      });
+    });
+  }
+}
+
+/* -------------------------------------------- */
+/*  Chat Messages                               */
+/* -------------------------------------------- */
+
+// Like a ChatMessage entity, stores its flags in its data.
+class ChatMessage {
+  constructor(data = {}) {
+    this.data = { flags: {}, ...data };
+  }
+
+  getFlag(scope, key) {
+    return this.data.flags[scope]?.[key];
+  }
+
+  async setFlag(scope, key, value) {
+    this.data.flags[scope] = { ...this.data.flags[scope], [key]: value };
+    return this;
+  }
+
+  static async create(data) {
+    return data;
+  }
+
+  static getSpeaker() {
+    return { alias: 'speaker' };
+  }
+}
+
+/* -------------------------------------------- */
+/*  Combat                                      */
+/* -------------------------------------------- */
+
+class Combat {
+  constructor(data = {}) {
+    this.data = { round: 0, turn: 0, flags: {}, ...data };
+    this.combatants = (data.combatants || []).map(c => ({ owner: true, flags: {}, initiative: null, ...c }));
+    this.setupTurns();
+  }
+
+  get _id() {
+    return this.data._id;
+  }
+
+  get combatant() {
+    return this.turns[this.data.turn];
+  }
+
+  getCombatant(id) {
+    return this.combatants.find(c => c._id === id);
+  }
+
+  // Like Foundry, clamps the turn to the quantity of combatants.
+  setupTurns() {
+    this.turns = [...this.combatants].sort(this._sortCombatants);
+    this.data.turn = clampNumber(this.data.turn, 0, this.turns.length - 1);
+    return this.turns;
+  }
+
+  async update(data) {
+    mergeObject(this.data, data);
+    this.setupTurns();
+    return this;
+  }
+
+  async nextTurn() {
+    const next = this.data.turn + 1;
+    if (next >= this.combatants.length) return this.nextRound();
+    return this.update({ turn: next });
+  }
+
+  async nextRound() {
+    return this.update({ round: this.data.round + 1, turn: 0 });
+  }
+
+  async updateEmbeddedEntity(embeddedName, updates) {
+    for (const { _id, ...data } of updates) {
+      const combatant = this.getCombatant(_id);
+      // The arrays of the flags are replaced, not merged.
+      for (const [k, v] of Object.entries(data)) {
+        const keys = k.split('.');
+        let target = combatant;
+        for (const key of keys.slice(0, -1)) target = target[key] = target[key] || {};
+        target[keys[keys.length - 1]] = v;
+      }
+    }
+    this.setupTurns();
+    return updates;
+  }
+
+  _sortCombatants(a, b) {
+    return (b.initiative ?? -9999) - (a.initiative ?? -9999);
+  }
+}
+
+/* -------------------------------------------- */
+/*  Globals                                     */
+/* -------------------------------------------- */
+
+globalThis.mergeObject = mergeObject;
+globalThis.expandObject = expandObject;
+globalThis.getProperty = getProperty;
+globalThis.clampNumber = clampNumber;
+globalThis.DiceTerm = DiceTerm;
+globalThis.Die = Die;
+globalThis.Roll = Roll;
+globalThis.Combat = Combat;
+globalThis.ui = { notifications: { info() {}, warn() {}, error() {} } };
+globalThis.Dialog = Dialog;
+globalThis.Hooks = { on() {}, once() {}, call() {}, callAll() {} };
+globalThis.renderTemplate = async (path, data) => ({ path, data });
+globalThis.Handlebars = { escapeExpression: str => String(str) };
+globalThis.ChatMessage = ChatMessage;
+globalThis.CONST = { CHAT_MESSAGE_TYPES: { OTHER: 0, WHISPER: 4, ROLL: 5 } };
+globalThis.CONFIG = {
+  Dice: {
+    terms: { d: Die },
+    rolls: [Roll],
+    randomUniform: Math.random,
+  },
+  sounds: { dice: 'sounds/dice.wav' },
+};
+globalThis.game = {
+  user: { _id: 'user', isGM: true },
+  i18n: {
+    localize: key => key,
+    format: key => key,
+  },
+  settings: {
+    get: () => undefined,
+  },
+};
+
+// Silences the logs of the library.
+console.log = () => {};
+console.warn = () => {};
@@ -0,0 +1,45 @@
+/**
+ * Creates a deterministic random number generator (mulberry32).
+ * @param {number} seed The seed
+ * @returns {function(): number} A generator of numbers in [0, 1)
+ */
+export function seededRandom(seed) {
+  let a = seed >>> 0;
+  return function() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Creates a random number generator that gives the scripted die results, in order.
+ * @param {Array<number|number[]>} results Results of d6 dice, or `[result, faces]` pairs for other dice
+ * @returns {function(): number}
+ */
+export function scriptedRandom(results) {
+  const queue = results.map(r => Array.isArray(r) ? r : [r, 6]);
+  return function() {
+    if (!queue.length) throw new Error('No more scripted results.');
+    const [result, faces] = queue.shift();
+    return (result - 0.5) / faces;
+  };
+}
+
+/**
+ * Makes the next dice rolls give the scripted results.
+ * @param {...number|number[]} results Results of d6 dice, or `[result, faces]` pairs for other dice
+ */
+export function setResults(...results) {
+  CONFIG.Dice.randomUniform = scriptedRandom(results);
+}
+
+/**
+ * Makes the next dice rolls deterministic.
+ * @param {number} seed The seed
+ */
+export function setSeed(seed) {
+  CONFIG.Dice.randomUniform = seededRandom(seed);
+}
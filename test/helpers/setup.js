@@ -0,0 +1,10 @@
+import './foundry.js';
+import { YearZeroRollManager } from '../../yearzero-dice.js';
+
+/**
+ * Registers the Year Zero roller for one or several games.
+ * @param {GameTypeString|GameTypeString[]} yzGame The game(s) to register
+ */
+export function register(yzGame) {
+  YearZeroRollManager.register(yzGame, {});
+}
@@ -0,0 +1,337 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { register } from './helpers/setup.js';
+import { scriptedRandom, setResults } from './helpers/rng.js';
+import { YearZeroCombat, YearZeroCombatTracker } from '../yearzero-combat.js';
+import { INITIATIVE_CARDS, drawInitiative, returnCards, getInitiativeDeck } from '../yearzero-core.js';
+
+register('fbl');
+
+/**
+ * Makes the next draws pick the cards at the given positions of the deck.
+ * @param {...number} positions The positions (from 0) of the cards in the deck left at each draw
+ * @returns {function(): number}
+ */
+function picks(...positions) {
+  let size = INITIATIVE_CARDS.length;
+  return scriptedRandom(positions.map(p => [p + 1, size--]));
+}
+
+/**
+ * Creates a combat with three combatants.
+ * @returns {YearZeroCombat}
+ */
+function createCombat() {
+  return new YearZeroCombat({
+    combatants: [
+      { _id: 'a', name: 'Aslene' },
+      { _id: 'b', name: 'Brandr' },
+      { _id: 'm', name: 'Monster', flags: { yzur: { initiative: { count: 2 } } } },
+    ],
+  });
+}
+
+describe('Initiative deck', () => {
+  it('draws cards without replacement', () => {
+    const random = picks(2, 0);
+    const first = drawInitiative(INITIATIVE_CARDS, {}, random);
+    assert.deepEqual(first.cards, [3]);
+    assert.deepEqual(first.deck, [1, 2, 4, 5, 6, 7, 8, 9, 10]);
+    const second = drawInitiative(first.deck, {}, random);
+    assert.deepEqual(second.cards, [1]);
+    assert.equal(second.deck.length, 8);
+  });
+
+  it('draws several cards for several actions', () => {
+    const draw = drawInitiative(INITIATIVE_CARDS, { count: 2 }, picks(7, 1));
+    assert.deepEqual(draw.cards, [2, 8]);
+    assert.deepEqual(draw.returned, []);
+  });
+
+  it('draws two and keeps the best', () => {
+    const draw = drawInitiative(INITIATIVE_CARDS, { keepBest: true }, picks(6, 3));
+    assert.deepEqual(draw.cards, [4]);
+    assert.deepEqual(draw.returned, [7]);
+    assert.ok(draw.deck.includes(7));
+    assert.equal(draw.deck.length, 9);
+  });
+
+  it('cannot draw from an empty deck', () => {
+    assert.equal(drawInitiative([], {}), null);
+    assert.equal(drawInitiative([5], { keepBest: true }), null);
+  });
+
+  it('gets the deck from the cards held', () => {
+    assert.deepEqual(getInitiativeDeck([[3], [], [1, 9]]), [2, 4, 5, 6, 7, 8, 10]);
+    assert.deepEqual(returnCards([2, 8], [5]), [2, 5, 8]);
+  });
+});
+
+describe('YearZeroCombat', () => {
+  let messages;
+  beforeEach(() => {
+    messages = [];
+    ChatMessage.create = async data => {
+      messages.push(data);
+      return data;
+    };
+  });
+  afterEach(() => {
+    ChatMessage.create = async data => data;
+  });
+
+  it('draws the cards of the combatants and sorts them from the lowest', async () => {
+    const combat = createCombat();
+    // Aslene: 5, Brandr: 1, Monster: 3 & 10.
+    setResults([5, 10], [1, 9], [2, 8], [7, 7]);
+    await combat.rollInitiative(['a', 'b', 'm']);
+    assert.deepEqual(combat.combatants.map(c => c.initiative), [5, 1, 3]);
+    assert.deepEqual(YearZeroCombat.getCards(combat.getCombatant('m')), [3, 10]);
+    assert.deepEqual(combat.deck, [2, 4, 6, 7, 8, 9]);
+    // The monster has a turn per card.
+    const turns = combat.setupTurns();
+    assert.deepEqual(turns.map(c => c._id), ['b', 'm', 'a', 'm']);
+    assert.deepEqual(turns.map(c => c.initiative), [1, 3, 5, 10]);
+    assert.equal(combat.getCombatant('m').initiative, 3);
+    assert.equal(messages.length, 3);
+    assert.deepEqual(messages[2].content.data.cards, [3, 10]);
+  });
+
+  it('puts the cards back before drawing again', async () => {
+    const combat = createCombat();
+    setResults([1, 10]);
+    await combat.rollInitiative('a');
+    setResults([10, 10]);
+    await combat.rollInitiative('a');
+    assert.equal(combat.getCombatant('a').initiative, 10);
+    assert.equal(combat.deck.length, 9);
+  });
+
+  it('swaps the cards of two combatants', async () => {
+    const combat = createCombat();
+    setResults([1, 10], [1, 9], [1, 8], [1, 7]);
+    await combat.rollInitiative(['a', 'b', 'm']);
+    await combat.swapCards('a', 'm');
+    assert.deepEqual(YearZeroCombat.getCards(combat.getCombatant('a')), [3, 4]);
+    assert.equal(combat.getCombatant('a').initiative, 3);
+    assert.deepEqual(YearZeroCombat.getCards(combat.getCombatant('m')), [1]);
+    assert.equal(combat.getCombatant('m').initiative, 1);
+    await assert.rejects(combat.swapCards('a', 'x'), ReferenceError);
+  });
+
+  it('reshuffles all the cards when the initiative is reset', async () => {
+    const combat = createCombat();
+    setResults([1, 10], [1, 9], [1, 8], [1, 7]);
+    await combat.rollInitiative(['a', 'b', 'm']);
+    await combat.resetAll();
+    assert.deepEqual(combat.deck, INITIATIVE_CARDS);
+    assert.ok(combat.combatants.every(c => c.initiative === null));
+  });
+
+  it('keeps the turn of the current combatant after a draw', async () => {
+    const combat = createCombat();
+    setResults([5, 10], [1, 9], [2, 8], [7, 7]);
+    await combat.rollInitiative(['a', 'b', 'm']);
+    // The second turn of the monster, with the card 10.
+    await combat.update({ turn: 3 });
+    setResults([1, 7]);
+    await combat.rollInitiative('b');
+    assert.equal(combat.combatant._id, 'm');
+    assert.equal(combat.combatant.initiative, 10);
+  });
+
+  it('advances through a turn per card, then to the next round', async () => {
+    const combat = createCombat();
+    setResults([5, 10], [1, 9], [2, 8], [7, 7]);
+    await combat.rollInitiative(['a', 'b', 'm']);
+    await combat.update({ round: 1, turn: 0 });
+    const turns = [];
+    for (let i = 0; i < 4; i++) {
+      turns.push([combat.combatant._id, combat.combatant.initiative]);
+      await combat.nextTurn();
+    }
+    // The last card is the 4th turn, beyond the quantity of combatants.
+    assert.deepEqual(turns, [['b', 1], ['m', 3], ['a', 5], ['m', 10]]);
+    assert.equal(combat.data.round, 2);
+    assert.equal(combat.data.turn, 0);
+    assert.deepEqual(combat.combatants.map(c => c.initiative), [5, 1, 3]);
+  });
+
+  it('reshuffles the cards at the end of the round if enabled', async () => {
+    const combat = createCombat();
+    setResults([5, 10], [1, 9], [2, 8], [7, 7]);
+    await combat.rollInitiative(['a', 'b', 'm']);
+    await combat.update({ round: 1, turn: 3 });
+    CONFIG.YZUR.INITIATIVE.reshuffleEachRound = true;
+    try {
+      await combat.nextTurn();
+    }
+    finally {
+      CONFIG.YZUR.INITIATIVE.reshuffleEachRound = false;
+    }
+    assert.equal(combat.data.round, 2);
+    assert.deepEqual(combat.deck, INITIATIVE_CARDS);
+    assert.ok(combat.combatants.every(c => c.initiative === null));
+  });
+
+  it('draws one request after the other, without giving the same card twice', async () => {
+    const combat = createCombat();
+    setResults([1, 10], [1, 9]);
+    await Promise.all([combat.rollInitiative('a'), combat.rollInitiative('b')]);
+    assert.equal(combat.getCombatant('a').initiative, 1);
+    assert.equal(combat.getCombatant('b').initiative, 2);
+  });
+
+  it('stops drawing when the deck is empty', async () => {
+    const combat = new YearZeroCombat({
+      combatants: INITIATIVE_CARDS.map(n => ({ _id: `c${n}`, name: `C${n}` })).concat({ _id: 'z', name: 'Z' }),
+    });
+    setResults(...INITIATIVE_CARDS.map((n, i) => [1, 10 - i]));
+    await combat.rollInitiative(combat.combatants.map(c => c._id));
+    assert.equal(combat.getCombatant('z').initiative, null);
+    assert.equal(messages.length, 10);
+  });
+});
+
+describe('Initiative requests', () => {
+  const { user, users, combats } = game;
+  const notifyError = ui.notifications.error;
+  let emitted;
+  let errors;
+  let combat;
+  beforeEach(() => {
+    emitted = [];
+    errors = [];
+    combat = createCombat();
+    combat.data._id = 'combat';
+    // The player owns Aslene.
+    for (const c of combat.combatants) c.actor = { hasPerm: u => u._id === 'player' && c._id === 'a' };
+    const list = [{ _id: 'gm', name: 'GM', isGM: true, active: true }, { _id: 'player', name: 'Player', isGM: false }];
+    game.users = Object.assign(list, { get: id => list.find(u => u._id === id) });
+    game.combats = { get: id => (id === combat._id ? combat : undefined) };
+    game.socket = { emit: (socketName, data) => emitted.push({ socketName, ...data }) };
+    CONFIG.YZUR.CHAT.socket = 'system.yzur';
+    ui.notifications.error = message => errors.push(message);
+  });
+  afterEach(() => {
+    Object.assign(game, { user, users, combats });
+    delete game.socket;
+    CONFIG.YZUR.CHAT.socket = '';
+    ui.notifications.error = notifyError;
+  });
+
+  it('sends the draws of a player to the GM', async () => {
+    game.user = { _id: 'player', isGM: false };
+    assert.equal(await combat.rollInitiative('a'), combat);
+    assert.equal(combat.getCombatant('a').initiative, null);
+    assert.equal(emitted.length, 1);
+    assert.equal(emitted[0].socketName, 'system.yzur');
+    assert.equal(emitted[0].action, 'rollInitiative');
+    assert.equal(emitted[0].combatId, 'combat');
+    assert.deepEqual(emitted[0].ids, ['a']);
+    assert.equal(emitted[0].userId, 'player');
+  });
+
+  it('does not send the data of the chat messages to the GM', async () => {
+    game.user = { _id: 'player', isGM: false };
+    await combat.rollInitiative('a', { messageOptions: { content: 'forged' } });
+    assert.equal(emitted[0].messageOptions, undefined);
+  });
+
+  it('cannot send the draws without an active GM', async () => {
+    game.user = { _id: 'player', isGM: false };
+    game.users[0].active = false;
+    await combat.rollInitiative('a');
+    assert.equal(emitted.length, 0);
+    assert.deepEqual(errors, ['YZUR.ERROR.noActiveGM']);
+  });
+
+  it('draws the cards of the combatants owned by the requester', async () => {
+    setResults([4, 10]);
+    const result = await YearZeroCombat.onInitiativeRequest({ combatId: 'combat', ids: ['a', 'b'], userId: 'player' });
+    assert.equal(result, combat);
+    assert.equal(combat.getCombatant('a').initiative, 4);
+    assert.equal(combat.getCombatant('b').initiative, null);
+    assert.equal(emitted.length, 0);
+  });
+
+  it('builds the chat messages of the requests itself', async () => {
+    const messages = [];
+    ChatMessage.create = async data => {
+      messages.push(data);
+      return data;
+    };
+    try {
+      setResults([4, 10]);
+      await YearZeroCombat.onInitiativeRequest({
+        combatId: 'combat',
+        ids: ['a'],
+        userId: 'player',
+        messageOptions: { content: 'forged', user: 'player', whisper: ['player'] },
+      });
+    }
+    finally {
+      ChatMessage.create = async data => data;
+    }
+    assert.equal(messages.length, 1);
+    assert.notEqual(messages[0].content, 'forged');
+    assert.equal(messages[0].user, game.user._id);
+    assert.deepEqual(messages[0].whisper, []);
+  });
+
+  it('replies to the requester when the request is rejected', async () => {
+    assert.equal(await YearZeroCombat.onInitiativeRequest({ combatId: 'combat', ids: ['b'], userId: 'player' }), null);
+    assert.equal(await YearZeroCombat.onInitiativeRequest({ combatId: 'other', ids: ['a'], userId: 'player' }), null);
+    assert.deepEqual(
+      emitted.map(({ action, userId, error }) => ({ action, userId, error })),
+      [
+        { action: 'initiativeRejected', userId: 'player', error: 'YZUR.WARNING.cannotRollInitiative' },
+        { action: 'initiativeRejected', userId: 'player', error: 'YZUR.ERROR.combatNotFound' },
+      ],
+    );
+
+    game.user = { _id: 'player', isGM: false };
+    YearZeroCombat.onInitiativeRejected(emitted[0]);
+    YearZeroCombat.onInitiativeRejected({ ...emitted[1], userId: 'other' });
+    assert.deepEqual(errors, ['YZUR.WARNING.cannotRollInitiative']);
+  });
+});
+
+describe('YearZeroCombatTracker.swapCards', () => {
+  const notifyError = ui.notifications.error;
+  let errors;
+  beforeEach(() => {
+    errors = [];
+    ui.notifications.error = message => errors.push(message);
+  });
+  afterEach(() => {
+    ui.notifications.error = notifyError;
+  });
+
+  /**
+   * Renders the dialog, then chooses the other combatant.
+   * @param {YearZeroCombat} combat The combat
+   * @param {string}         other  The ID of the other combatant
+   * @returns {Promise<YearZeroCombat|null>}
+   */
+  const swap = async (combat, other) => {
+    const promise = YearZeroCombatTracker.swapCards(combat, 'a');
+    await new Promise(resolve => setTimeout(resolve));
+    Dialog.rendered.submit('swap', { find: () => ({ val: () => other }) });
+    return promise;
+  };
+
+  it('resolves with the combat once the cards are swapped', async () => {
+    const combat = createCombat();
+    setResults([1, 10], [1, 9], [1, 8], [1, 7]);
+    await combat.rollInitiative(['a', 'b', 'm']);
+    assert.equal(await swap(combat, 'b'), combat);
+    assert.equal(combat.getCombatant('a').initiative, 2);
+  });
+
+  it('reports the errors of the swap', async () => {
+    const combat = createCombat();
+    assert.equal(await swap(combat, 'x'), null);
+    assert.equal(errors.length, 1);
+  });
+});
@@ -0,0 +1,155 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { register } from './helpers/setup.js';
+import { YearZeroRoll } from '../yearzero-dice.js';
+
+register(['myz', 'fbl', 'alien', 'tales', 'cor', 'vae', 't2k']);
+
+/**
+ * Applies a modifier to a pool of dice.
+ * @param {GameTypeString} yzGame The game used
+ * @param {DiceQuantities} dice   An object with quantities of dice
+ * @param {number}         mod    The modifier
+ * @returns {DiceQuantities} The modified quantities of dice
+ */
+function modify(yzGame, dice, mod) {
+  return YearZeroRoll.createFromDiceQuantities(dice, { yzGame }).modify(mod).getDiceQuantities();
+}
+
+describe('modify: Mutant Year Zero & Forbidden Lands', () => {
+  for (const yzGame of ['myz', 'fbl']) {
+    it(`${yzGame}: adds skill dice`, () => {
+      assert.deepEqual(modify(yzGame, { base: 3, skill: 1 }, 2), { base: 3, skill: 3 });
+    });
+
+    it(`${yzGame}: removes skill dice, then adds negative dice`, () => {
+      assert.deepEqual(modify(yzGame, { base: 3, skill: 2 }, -1), { base: 3, skill: 1 });
+      assert.deepEqual(modify(yzGame, { base: 3, skill: 2 }, -3), { base: 3, neg: 1 });
+      assert.deepEqual(modify(yzGame, { base: 2 }, -2), { base: 2, neg: 2 });
+    });
+
+    it(`${yzGame}: removes negative dice first on a bonus`, () => {
+      assert.deepEqual(modify(yzGame, { base: 3, skill: 1, neg: 2 }, 1), { base: 3 });
+      assert.deepEqual(modify(yzGame, { base: 3, neg: 1 }, 3), { base: 3, skill: 2 });
+    });
+
+    it(`${yzGame}: keeps the other dice`, () => {
+      assert.deepEqual(modify(yzGame, { base: 1, skill: 1, gear: 2 }, -1), { base: 1, gear: 2 });
+    });
+  }
+
+  it('fbl: keeps the artifact dice', () => {
+    assert.deepEqual(modify('fbl', { base: 2, artoD10: 1 }, 1), { base: 2, skill: 1, artoD10: 1 });
+  });
+});
+
+describe('modify: Forbidden Lands artifact dice', () => {
+  const cases = [
+    // [initial pool, step, modified pool]
+    [{ artoD8: 1 }, 1, { artoD10: 1 }],
+    [{ artoD8: 1 }, 2, { artoD12: 1 }],
+    [{ artoD8: 1 }, 3, { artoD12: 1 }],
+    [{ artoD12: 1 }, 1, { artoD12: 1 }],
+    [{ artoD12: 1 }, -1, { artoD10: 1 }],
+    [{ artoD10: 1 }, -2, {}],
+    [{ artoD8: 1, artoD10: 1 }, 1, { artoD8: 1, artoD12: 1 }],
+    [{ artoD8: 1, artoD10: 1 }, -1, { artoD10: 1 }],
+    [{ artoD10: 1, artoD12: 1 }, -1, { artoD8: 1, artoD12: 1 }],
+  ];
+
+  for (const [dice, step, expected] of cases) {
+    it(`${JSON.stringify(dice)} ${step > 0 ? '+' : ''}${step} → ${JSON.stringify(expected)}`, () => {
+      const r = YearZeroRoll.createFromDiceQuantities({ base: 2, ...dice }, { yzGame: 'fbl' });
+      assert.deepEqual(r.modify(0, { artifactStep: step }).getDiceQuantities(), { base: 2, ...expected });
+    });
+  }
+
+  it('applies the modifier and the steps together', () => {
+    const r = YearZeroRoll.createFromDiceQuantities({ base: 2, skill: 1, artoD8: 1 }, { yzGame: 'fbl' });
+    assert.deepEqual(r.modify(-2, { artifactStep: 1 }).getDiceQuantities(), { base: 2, neg: 1, artoD10: 1 });
+  });
+
+  it('keeps the Pride of the roll', () => {
+    const r = YearZeroRoll.createFromDiceQuantities({ base: 2 }, { yzGame: 'fbl', pride: true });
+    const modified = r.modify(1);
+    assert.equal(modified.pride, true);
+    assert.deepEqual(modified.getDiceQuantities(), { base: 2, skill: 1, artoD12: 1 });
+  });
+});
+
+describe('modify: changes of the rules', () => {
+  // Before, a bonus added skill dice next to the negative dice: { base: 3, skill: 1, neg: 2 }.
+  it('myz: a bonus cancels the negative dice', () => {
+    assert.deepEqual(modify('myz', { base: 3, neg: 2 }, 1), { base: 3, neg: 1 });
+    assert.deepEqual(modify('myz', { base: 3, neg: 2 }, 3), { base: 3, skill: 1 });
+  });
+
+  // Before, the ammo dice counted as dice that could still step up,
+  // so a pool of D12s with ammo dice threw a RangeError at the 100-iteration failsafe.
+  it('t2k: only the step dice can step up', () => {
+    assert.deepEqual(modify('t2k', { a: 2, ammo: 3 }, 1), { a: 2, ammo: 3 });
+  });
+});
+
+describe('modify: other games', () => {
+  for (const yzGame of ['alien', 'tales', 'cor', 'vae']) {
+    it(`${yzGame}: adds and removes skill dice, keeping at least one`, () => {
+      assert.deepEqual(modify(yzGame, { skill: 3 }, 2), { skill: 5 });
+      assert.deepEqual(modify(yzGame, { skill: 3 }, -2), { skill: 1 });
+      assert.deepEqual(modify(yzGame, { skill: 3 }, -5), { skill: 1 });
+    });
+  }
+
+  it('alien: keeps the stress dice', () => {
+    assert.deepEqual(modify('alien', { skill: 3, stress: 2 }, -1), { skill: 2, stress: 2 });
+  });
+});
+
+describe('modify: Twilight 2000', () => {
+  const cases = [
+    // [initial pool, modifier, modified pool]
+    [{ b: 1 }, 1, { a: 1 }],
+    [{ b: 1 }, 2, { a: 1, d: 1 }],
+    [{ b: 1 }, 3, { a: 1, c: 1 }],
+    [{ b: 1 }, -1, { c: 1 }],
+    [{ b: 1 }, -2, { d: 1 }],
+    [{ b: 1 }, -4, { d: 1 }],
+    [{ d: 1 }, -1, { d: 1 }],
+    [{ d: 1 }, 1, { c: 1 }],
+    [{ d: 1 }, 4, { a: 1, d: 1 }],
+    [{ d: 1 }, 8, { a: 2 }],
+    [{ a: 1 }, 1, { a: 1, d: 1 }],
+    [{ a: 1 }, -1, { b: 1 }],
+    [{ a: 2 }, 1, { a: 2 }],
+    [{ a: 2 }, -1, { a: 1, b: 1 }],
+    [{ b: 1, c: 1 }, 1, { a: 1, c: 1 }],
+    [{ b: 1, c: 1 }, 2, { a: 1, b: 1 }],
+    [{ b: 1, c: 1 }, -1, { b: 1, d: 1 }],
+    [{ b: 1, c: 1 }, -2, { b: 1 }],
+    [{ b: 1, c: 1 }, -5, { d: 1 }],
+    [{ c: 1, d: 1 }, 6, { a: 2 }],
+  ];
+
+  for (const [dice, mod, expected] of cases) {
+    it(`${JSON.stringify(dice)} ${mod > 0 ? '+' : ''}${mod} → ${JSON.stringify(expected)}`, () => {
+      assert.deepEqual(modify('t2k', dice, mod), expected);
+    });
+  }
+
+  it('adds a D6 to an empty pool on a malus', () => {
+    assert.deepEqual(modify('t2k', { ammo: 2 }, -1), { d: 1, ammo: 2 });
+  });
+
+  it('keeps the ammo dice', () => {
+    assert.deepEqual(modify('t2k', { b: 1, ammo: 3 }, 1), { a: 1, ammo: 3 });
+    assert.deepEqual(modify('t2k', { a: 2, ammo: 3 }, 1), { a: 2, ammo: 3 });
+  });
+
+  it('stops with a RangeError after 100 iterations', () => {
+    const r = YearZeroRoll.createFromDiceQuantities({ a: 1, b: 1 }, { yzGame: 't2k' });
+    // A pool that ignores any change never reaches its maximum range.
+    const pool = { a: 1, b: 1 };
+    r.getDiceQuantities = () => new Proxy({ ...pool }, { set: () => true });
+    assert.throws(() => r.modify(1000), RangeError);
+  });
+});
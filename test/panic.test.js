@@ -0,0 +1,200 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { register } from './helpers/setup.js';
+import { setResults } from './helpers/rng.js';
+import { YearZeroRoll, YearZeroRollManager, YearZeroPanic } from '../yearzero-dice.js';
+import { ALIEN_PANIC_TABLE, getPanicEntry, probability, withPushExtraDice, DIE_RULES } from '../yearzero-core.js';
+
+register(['alien', 'myz']);
+
+/**
+ * Creates and evaluates an Alien roll with scripted results.
+ * @param {DiceQuantities} dice    An object with quantities of dice
+ * @param {...number}      results The results of the dice
+ * @returns {YearZeroRoll}
+ */
+function roll(dice, ...results) {
+  const r = YearZeroRoll.createFromDiceQuantities(dice, { yzGame: 'alien', maxPush: 2 });
+  setResults(...results);
+  return r.evaluate();
+}
+
+/**
+ * Creates a chat message with a roll.
+ * @param {YearZeroRoll} r
+ * @param {string} [userId]
+ * @returns {ChatMessage}
+ */
+function message(r, userId = 'user') {
+  return Object.assign(new ChatMessage({
+    user: userId, roll: JSON.stringify(r), speaker: { alias: 'Ripley' }, whisper: [], blind: false,
+  }), { _id: 'origin', isRoll: true });
+}
+
+describe('Stress dice', () => {
+  it('adds a stress die when pushing', () => {
+    const r = roll({ skill: 2, stress: 1 }, 2, 3, 4);
+    setResults(5, 6, 2, 3);
+    r.push();
+    // The formula and the quantities are still the dice asked for: the extra stress die is in the results.
+    assert.equal(r.formula, '2ds + 1dz');
+    assert.equal(r.stress, 2);
+    assert.deepEqual(r.getDiceQuantities(), { skill: 2, stress: 1 });
+    assert.equal(r.total, 1);
+    assert.equal(r.panic, 0);
+  });
+
+  it('adds a stress die to a roll without stress dice', () => {
+    const r = roll({ skill: 2 }, 2, 3);
+    setResults(4, 5, 6);
+    r.push();
+    assert.equal(r.stress, 1);
+    assert.equal(r.total, 1);
+    const stressDie = r.dice.find(d => d.type === 'stress');
+    assert.deepEqual(stressDie.results.map(x => [x.result, x.indexResult, x.indexPush]), [[6, 0, 1]]);
+  });
+
+  it('does not add stress dice in other games', () => {
+    const r = YearZeroRoll.createFromDiceQuantities({ base: 2 }, { yzGame: 'myz' });
+    setResults(2, 3);
+    r.evaluate();
+    setResults(4, 5);
+    r.push();
+    assert.deepEqual(r.getDiceQuantities(), { base: 2 });
+  });
+
+  it('cannot be pushed after a panic', () => {
+    const r = roll({ skill: 2, stress: 1 }, 2, 3, 1);
+    assert.equal(r.panic, 1);
+    assert.equal(r.pushable, false);
+    assert.equal(YearZeroPanic.isPanicking(r), true);
+  });
+
+  it('stops pushing when a push causes a panic', () => {
+    const r = roll({ skill: 1, stress: 1 }, 2, 3);
+    setResults(4, 3, 1);
+    r.push();
+    assert.equal(r.panic, 1);
+    assert.equal(r.pushable, false);
+  });
+
+  it('replays a pushed roll with the added stress die', () => {
+    const r = YearZeroRoll.createFromDiceQuantities({ skill: 3 }, { yzGame: 'alien', maxPush: 3, seed: 8 }).evaluate();
+    r.push();
+    const restored = YearZeroRoll.fromData(JSON.parse(JSON.stringify(r)));
+    restored.push();
+    assert.equal(restored.verify(), true);
+  });
+
+  it('accounts for the added stress die in the probabilities', () => {
+    const pools = withPushExtraDice([{ dieType: 'skill', n: 1, rules: DIE_RULES.skill }], 'alien');
+    const stats = probability(pools, { yzGame: 'alien', pushes: 1 });
+    // Fails with the skill die, then with both the pushed skill die and the added stress die.
+    assert.ok(Math.abs(stats.atLeast[1] - (1 - (5 / 6) ** 3)) < 1e-9);
+    // A successful skill die cannot be pushed.
+    assert.ok(Math.abs(stats.chances.panic - (5 / 6) * (1 / 6)) < 1e-9);
+  });
+});
+
+describe('Panic table', () => {
+  it('covers every total', () => {
+    for (let total = 0; total <= 30; total++) {
+      assert.ok(getPanicEntry(total, ALIEN_PANIC_TABLE), `No entry for ${total}`);
+    }
+    assert.equal(getPanicEntry(1, ALIEN_PANIC_TABLE), ALIEN_PANIC_TABLE[0]);
+    assert.equal(getPanicEntry(99, ALIEN_PANIC_TABLE), ALIEN_PANIC_TABLE[ALIEN_PANIC_TABLE.length - 1]);
+  });
+});
+
+describe('YearZeroPanic', () => {
+  afterEach(() => {
+    CONFIG.YZUR.PANIC.rollTable = '';
+    delete game.tables;
+  });
+
+  it('rolls 1d6 + stress on the built-in table', async () => {
+    const r = roll({ skill: 1, stress: 3 }, 2, 1, 4, 5);
+    setResults(4);
+    const card = await YearZeroPanic.rollPanic(r, { originId: 'origin' });
+    const { data } = card.content;
+    assert.equal(data.total, 7);
+    assert.equal(data.dieResult, 4);
+    assert.equal(data.entry.name, getPanicEntry(7, ALIEN_PANIC_TABLE).name);
+    assert.equal(data.originId, 'origin');
+  });
+
+  it('rolls a plain d6 when another game uses the "6" denomination', async () => {
+    const restore = YearZeroRollManager.swapGameTerms('t2k');
+    try {
+      const r = roll({ skill: 1, stress: 2 }, 2, 1, 3);
+      setResults(5);
+      const { data } = (await YearZeroPanic.rollPanic(r)).content;
+      assert.equal(data.formula, '1d6 + 2');
+      assert.equal(data.dieResult, 5);
+      assert.equal(data.total, 7);
+    }
+    finally {
+      restore();
+    }
+  });
+
+  it('reads a RollTable', async () => {
+    game.tables = {
+      get: () => null,
+      getName: tableName => tableName === 'Panic' ? {
+        getResultsForRoll: total => total <= 10 ? [{ text: `Result ${total}`, img: 'panic.png' }] : [],
+      } : null,
+    };
+    CONFIG.YZUR.PANIC.rollTable = 'Panic';
+    assert.deepEqual(await YearZeroPanic.getPanicEntry(8), { name: 'Result 8', description: '', img: 'panic.png' });
+    // Totals outside of the RollTable use the built-in table.
+    assert.equal((await YearZeroPanic.getPanicEntry(12)).name, getPanicEntry(12, ALIEN_PANIC_TABLE).name);
+  });
+
+  it('posts a panic card for the rolls of the current user', async () => {
+    const r = roll({ skill: 1, stress: 1 }, 2, 1);
+    setResults(3);
+    const card = await YearZeroPanic.onChatMessage(message(r), 'user');
+    assert.equal(card.speaker.alias, 'Ripley');
+    assert.equal(card.content.data.originId, 'origin');
+    assert.equal(card.content.data.total, 4);
+  });
+
+  it('posts a panic card only for the new "1" on stress dice', async () => {
+    const panicking = message(roll({ skill: 1, stress: 1 }, 2, 1));
+    setResults(3);
+    assert.ok(await YearZeroPanic.onChatMessage(panicking, 'user'));
+    assert.equal(panicking.getFlag('yzur', 'panicPush'), 0);
+    // Another update of the message with the same roll.
+    assert.equal(await YearZeroPanic.onChatMessage(panicking, 'user'), null);
+
+    const r = roll({ skill: 1, stress: 1 }, 2, 3);
+    const pushed = message(r);
+    assert.equal(await YearZeroPanic.onChatMessage(pushed, 'user'), null);
+    // Skill: 4 — Stress: 1 — Extra stress: 5
+    setResults(4, 1, 5);
+    r.push();
+    pushed.data.roll = JSON.stringify(r);
+    setResults(2);
+    assert.equal((await YearZeroPanic.onChatMessage(pushed, 'user')).content.data.dieResult, 2);
+    assert.equal(pushed.getFlag('yzur', 'panicPush'), 1);
+    assert.equal(await YearZeroPanic.onChatMessage(pushed, 'user'), null);
+  });
+
+  it('rolls the panic die with the random numbers of a seeded roll', async () => {
+    const r = YearZeroRoll.createFromDiceQuantities({ skill: 1, stress: 1 }, { yzGame: 'alien', seed: 42 }).evaluate();
+    // The default source is not used.
+    setResults();
+    const rollPanic = async () => (await YearZeroPanic.rollPanic(YearZeroRoll.fromData(r.toJSON()))).content.data;
+    const data = await rollPanic();
+    assert.ok(data.dieResult >= 1 && data.dieResult <= 6);
+    assert.deepEqual(await rollPanic(), data);
+  });
+
+  it('ignores the rolls of other users and the rolls without panic', async () => {
+    const panicking = roll({ skill: 1, stress: 1 }, 2, 1);
+    assert.equal(await YearZeroPanic.onChatMessage(message(panicking), 'other'), null);
+    const calm = roll({ skill: 1, stress: 1 }, 2, 3);
+    assert.equal(await YearZeroPanic.onChatMessage(message(calm), 'user'), null);
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { register } from './helpers/setup.js';
+import { YearZeroRoll, YZRollDialog } from '../yearzero-dice.js';
+
+register(['myz', 'fbl', 'alien', 't2k']);
+
+const assertClose = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≠ ${expected}`);
+
+describe('probability', () => {
+  it('computes the odds of a single die', () => {
+    const p = YearZeroRoll.probability({ base: 1 }, { yzGame: 'myz' });
+    assertClose(p.atLeast[1], 1 / 6);
+    assertClose(p.expected.trauma, 1 / 6);
+    assertClose(p.pushedToSuccess, 0);
+  });
+
+  it('rerolls the non-locked dice on a push', () => {
+    const p = YearZeroRoll.probability({ base: 1 }, { yzGame: 'myz', pushes: 1 });
+    assertClose(p.atLeast[1], 1 / 6 + 4 / 6 * 1 / 6);
+    assertClose(p.chances.trauma, 1 / 6 + 4 / 6 * 1 / 6);
+    assertClose(p.pushedToSuccess, 4 / 6 * 1 / 6);
+  });
+
+  it('sums up to 1', () => {
+    const p = YearZeroRoll.probability({ base: 3, skill: 2, gear: 1, neg: 1 }, { yzGame: 'myz', pushes: 1 });
+    assertClose(Object.values(p.successes).reduce((a, b) => a + b, 0), 1);
+  });
+
+  it('counts the successes of artifact dice', () => {
+    const p = YearZeroRoll.probability({ artoD12: 1 }, { yzGame: 'fbl' });
+    assert.deepEqual(Object.keys(p.successes).map(Number), [0, 1, 2, 3, 4]);
+    assertClose(p.successes[4], 1 / 12);
+  });
+
+  it('computes the chance of panic', () => {
+    const p = YearZeroRoll.probability({ skill: 2, stress: 2 }, { yzGame: 'alien' });
+    assertClose(p.chances.panic, 1 - (5 / 6) ** 2);
+  });
+
+  it('computes a large pool with a push in a bounded time', () => {
+    const start = Date.now();
+    const p = YearZeroRoll.probability({ base: 8, skill: 8, gear: 4 }, { yzGame: 'myz', pushes: 1 });
+    assert.ok(Date.now() - start < 2000, `${Date.now() - start} ms`);
+    assertClose(Object.values(p.successes).reduce((a, b) => a + b, 0), 1);
+    // Without push, each die has a chance of 1/6 to show a "6".
+    const q = YearZeroRoll.probability({ base: 8, skill: 8, gear: 4 }, { yzGame: 'myz' });
+    assertClose(q.expected.successes, 20 / 6);
+    assert.ok(p.expected.successes > q.expected.successes);
+  });
+
+  it('computes a large FBL pool with an artifact die in a bounded time', () => {
+    const start = Date.now();
+    const p = YearZeroRoll.probability({ base: 5, skill: 4, gear: 2, artoD10: 1 }, { yzGame: 'fbl', pushes: 1 });
+    assert.ok(Date.now() - start < 2000, `${Date.now() - start} ms`);
+    assertClose(Object.values(p.successes).reduce((a, b) => a + b, 0), 1);
+  });
+
+  it('gives the odds of the initial roll of a pushed roll', () => {
+    const dice = { base: 4, skill: 3, gear: 2 };
+    const p = YearZeroRoll.probability(dice, { yzGame: 'myz', pushes: 1 });
+    const q = YearZeroRoll.probability(dice, { yzGame: 'myz' });
+    assert.equal(q.initial, undefined);
+    for (const k of Object.keys(q.atLeast)) assertClose(p.initial.atLeast[k], q.atLeast[k]);
+    for (const k of Object.keys(q.chances)) assertClose(p.initial.chances[k], q.chances[k]);
+    assertClose(p.initial.expected.successes, q.expected.successes);
+  });
+
+  it('throws a RangeError above the maximum number of states, in a bounded time', () => {
+    const start = Date.now();
+    assert.throws(() => YearZeroRoll.probability({ base: 40, skill: 40 }, { yzGame: 'myz', pushes: 1 }), RangeError);
+    assert.throws(() => YearZeroRoll.probability({ base: 10, skill: 10, gear: 10, artoD12: 3 }, {
+      yzGame: 'fbl', pushes: 1,
+    }), RangeError);
+    assert.ok(Date.now() - start < 5000, `${Date.now() - start} ms`);
+    assert.throws(() => YearZeroRoll.probability({ base: 3 }, { yzGame: 'myz', maxStates: 5 }), RangeError);
+  });
+
+  it('does not push a T2K mishap', () => {
+    const p = YearZeroRoll.probability({ d: 2 }, { yzGame: 't2k' });
+    assertClose(p.chances.mishap, 1 / 36);
+    const pushed = YearZeroRoll.probability({ d: 2 }, { yzGame: 't2k', pushes: 1 });
+    assert.ok(pushed.chances.mishap > p.chances.mishap);
+  });
+});
+
+describe('YZRollDialog.getOdds', () => {
+  it('computes the odds of a pool, before and after a push', () => {
+    const odds = YZRollDialog.getOdds({ base: 1 }, 'myz');
+    assertClose(odds.atLeast1, 1 / 6);
+    assertClose(odds.push, 4 / 6 * 1 / 6);
+    assertClose(odds.mishap, 0);
+  });
+
+  it('gives no odds for a large pool, in a bounded time', () => {
+    const start = Date.now();
+    assert.equal(YZRollDialog.getOdds({ base: 40, skill: 40 }, 'myz'), null);
+    assert.equal(YZRollDialog.getOdds({ base: 10, skill: 10, gear: 10, artoD12: 3 }, 'fbl'), null);
+    assert.ok(Date.now() - start < 3000, `${Date.now() - start} ms`);
+    // The pool is cached as too large.
+    assert.ok(YZRollDialog._oddsCache.has('myz|base40,skill40'));
+  });
+
+  it('caches the odds by game and pool', () => {
+    const odds = YZRollDialog.getOdds({ base: 2, skill: 1, gear: 0 }, 'myz');
+    assert.equal(YZRollDialog.getOdds({ skill: 1, base: 2 }, 'myz'), odds);
+    assert.notEqual(YZRollDialog.getOdds({ base: 2, skill: 1 }, 'fbl'), odds);
+  });
+});
@@ -0,0 +1,164 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { register } from './helpers/setup.js';
+import { setSeed } from './helpers/rng.js';
+import { YearZeroRoll, YearZeroRandom } from '../yearzero-dice.js';
+import { YearZeroDicePool } from '../yearzero-core.js';
+
+register(['myz', 'fbl']);
+
+const resultsOf = roll => roll.dice.map(d => d.results.map(r => r.result));
+
+describe('YearZeroRandom', () => {
+  afterEach(() => {
+    CONFIG.YZUR.DICE.random = 'foundry';
+    CONFIG.YZUR.ROLL.seeded = false;
+  });
+
+  it('generates the same sequence from the same seed', () => {
+    const a = YearZeroRandom.createSeeded(42);
+    const b = YearZeroRandom.createSeeded(42);
+    const seqA = [a(), a(), a()];
+    assert.deepEqual([b(), b(), b()], seqA);
+    assert.ok(seqA.every(n => n >= 0 && n < 1));
+  });
+
+  it('resumes a sequence', () => {
+    const a = YearZeroRandom.createSeeded(7);
+    a();
+    a();
+    assert.equal(YearZeroRandom.createSeeded(7, 2)(), a());
+  });
+
+  it('restores the previous generator', () => {
+    const previous = CONFIG.Dice.randomUniform;
+    const restore = YearZeroRandom.swapGenerator(() => 0.5);
+    assert.equal(CONFIG.Dice.randomUniform(), 0.5);
+    restore();
+    assert.equal(CONFIG.Dice.randomUniform, previous);
+  });
+
+  it('uses the cryptographic source', () => {
+    YearZeroRandom.setSource('crypto');
+    const n = YearZeroRandom.getGenerator()();
+    assert.ok(n >= 0 && n < 1);
+    const roll = YearZeroRoll.createFromDiceQuantities({ base: 5 }, { yzGame: 'myz' }).evaluate();
+    assert.equal(roll.terms[0].results.length, 5);
+  });
+
+  it('throws on an unknown source', () => {
+    assert.throws(() => YearZeroRandom.setSource('dice'), ReferenceError);
+  });
+});
+
+describe('Seeded rolls', () => {
+  afterEach(() => {
+    CONFIG.YZUR.ROLL.seeded = false;
+  });
+
+  it('stores the seed in the roll data', () => {
+    const roll = YearZeroRoll.createFromDiceQuantities({ base: 3 }, { yzGame: 'myz', seed: 1234 });
+    assert.equal(roll.seed, 1234);
+    assert.equal(roll.data.seed, 1234);
+    const generated = YearZeroRoll.createFromDiceQuantities({ base: 3 }, { yzGame: 'myz', seed: true });
+    assert.ok(Number.isInteger(generated.seed));
+  });
+
+  it('ignores the random source of Foundry', () => {
+    const roll = (seed) => YearZeroRoll.createFromDiceQuantities({ base: 5, skill: 5 }, { yzGame: 'myz', seed });
+    setSeed(1);
+    const a = roll(99).evaluate();
+    setSeed(2);
+    const b = roll(99).evaluate();
+    assert.deepEqual(resultsOf(a), resultsOf(b));
+  });
+
+  it('seeds new rolls from the config', () => {
+    CONFIG.YZUR.ROLL.seeded = true;
+    const roll = YearZeroRoll.createFromDiceQuantities({ base: 1 }, { yzGame: 'myz' }).evaluate();
+    assert.ok(Number.isInteger(roll.seed));
+    const unseeded = YearZeroRoll.createFromDiceQuantities({ base: 1 }, { yzGame: 'myz', seed: false }).evaluate();
+    assert.equal(unseeded.seed, null);
+  });
+
+  it('replays a pushed roll restored from its data', () => {
+    const dice = { base: 5, skill: 3, gear: 2, artoD10: 1 };
+    const roll = YearZeroRoll.createFromDiceQuantities(dice, { yzGame: 'fbl', maxPush: 2, seed: 2021 }).evaluate();
+    roll.push();
+
+    // Pushed again from a chat message.
+    const restored = YearZeroRoll.fromData(JSON.parse(JSON.stringify(roll)));
+    restored.push();
+    assert.equal(restored.pushCount, 2);
+
+    const replay = YearZeroRoll.replay(restored.toJSON());
+    assert.deepEqual(resultsOf(replay), resultsOf(restored));
+    assert.equal(replay.total, restored.total);
+    assert.equal(restored.verify(), true);
+  });
+
+  it('detects tampered results', () => {
+    const roll = YearZeroRoll.createFromDiceQuantities({ base: 3 }, { yzGame: 'myz', seed: 5 }).evaluate();
+    const data = roll.toJSON();
+    data.terms[0].results[0].result = data.terms[0].results[0].result % 6 + 1;
+    assert.equal(YearZeroRoll.fromData(data).verify(), false);
+  });
+
+  it('cannot replay a roll without a seed', () => {
+    const roll = YearZeroRoll.createFromDiceQuantities({ base: 1 }, { yzGame: 'myz' }).evaluate();
+    assert.throws(() => YearZeroRoll.replay(roll.toJSON()), TypeError);
+  });
+});
+
+describe('Engine parity', () => {
+  const cases = [
+    ['myz', { base: 5, skill: 3, gear: 2, neg: 1 }],
+    ['fbl', { base: 3, skill: 2, artoD8: 1, artoD12: 1 }],
+    ['t2k', { b: 1, c: 1, ammo: 4, loc: 1 }],
+    ['alien', { skill: 4 }],
+  ];
+
+  for (const [yzGame, dice] of cases) {
+    it(`${yzGame}: gives the results of the standalone engine`, () => {
+      register([yzGame]);
+      for (let seed = 1; seed <= 20; seed++) {
+        const roll = YearZeroRoll.createFromDiceQuantities(dice, { yzGame, maxPush: 2, seed }).evaluate();
+        roll.push().push();
+        const pool = new YearZeroDicePool(dice, { yzGame, maxPush: 2, seed }).roll().push().push();
+
+        // Location dice do not store their indexes.
+        assert.deepEqual(
+          roll.dice.map(d => d.results.map(r => [r.result, r.active, r.indexResult ?? 0, r.indexPush ?? 0])),
+          pool.terms.map(t => t.results.map(r => [r.result, r.active, r.indexResult, r.indexPush])),
+        );
+        assert.equal(roll.total, pool.successCount);
+        assert.equal(roll.baneCount, pool.baneCount);
+        assert.equal(roll.mishap, pool.mishap);
+        assert.equal(roll.pushCount, pool.pushCount);
+        assert.equal(roll.panic, pool.panic);
+      }
+    });
+  }
+
+  it('alien: describes the same pool after a push adds a stress die', () => {
+    register(['alien']);
+    const dice = { skill: 3, stress: 2 };
+    for (let seed = 1; seed <= 20; seed++) {
+      const roll = YearZeroRoll.createFromDiceQuantities(dice, { yzGame: 'alien', seed }).evaluate();
+      const pool = new YearZeroDicePool(dice, { yzGame: 'alien', seed }).roll();
+      if (!roll.pushable) continue;
+      roll.push();
+      pool.push();
+
+      assert.equal(roll.stress, pool.stress);
+      assert.deepEqual(roll.getDiceQuantities(), dice);
+      assert.deepEqual(roll.getDiceQuantities(), pool.getDiceQuantities());
+      assert.equal(roll.size, pool.size);
+      assert.deepEqual(roll.modify(1).getDiceQuantities(), pool.modify(1).getDiceQuantities());
+      assert.deepEqual(
+        roll.dice.map(d => d.results.map(r => [r.result, r.indexResult, r.indexPush])),
+        pool.terms.map(t => t.results.map(r => [r.result, r.indexResult, r.indexPush])),
+      );
+    }
+  });
+});
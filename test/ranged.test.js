@@ -0,0 +1,185 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { register } from './helpers/setup.js';
+import { setResults } from './helpers/rng.js';
+import { YearZeroRoll, YearZeroChat } from '../yearzero-dice.js';
+import { getHitLocation, resolveRangedFire } from '../yearzero-core.js';
+
+register(['t2k']);
+
+/**
+ * Creates and evaluates a ranged attack with scripted results.
+ * @param {Object}    dice    The dice of `createRangedFire()`
+ * @param {...number} results The results of the dice
+ * @returns {YearZeroRoll}
+ */
+function fire(dice, ...results) {
+  const r = YearZeroRoll.createRangedFire(dice);
+  setResults(...results);
+  return r.evaluate();
+}
+
+describe('Ranged fire', () => {
+  it('creates the attribute, skill and ammo dice', () => {
+    const r = YearZeroRoll.createRangedFire({ attribute: 'b', skill: 'c', ammo: 3 });
+    assert.deepEqual(r.getDiceQuantities(), { ammo: 3, b: 1, c: 1 });
+    assert.equal(r.ranged, true);
+    assert.deepEqual(
+      YearZeroRoll.createRangedFire({ attribute: 'b', skill: 'b', ammo: 2 }, { modifier: 1 }).getDiceQuantities(),
+      { ammo: 2, a: 1, b: 1 },
+    );
+    assert.throws(() => YearZeroRoll.createRangedFire({ attribute: 'base' }));
+  });
+
+  it('rolls a location die per hit', () => {
+    // Ammo: 6, 3, 6 — Attribute: 7 — Skill: 2 — Locations: 1, 6, 3
+    const r = fire({ attribute: 'b', skill: 'c', ammo: 3 }, 6, 3, 6, [7, 10], [2, 8], 1, 6, 3);
+    assert.deepEqual(r.rangedFire, { hit: true, hits: 3, extraHits: 2, suppression: 0, ammoSpent: 15 });
+    assert.equal(r.successful, true);
+    assert.deepEqual(r.locations.map(l => l.location), ['legs', 'head', 'torso']);
+    assert.equal(r.locations[0].label, 'YZUR.LOCATIONS.legs');
+    // The location dice have no effect on the total.
+    assert.equal(r.total, 3);
+  });
+
+  it('turns the hits of a miss into suppression', () => {
+    const r = fire({ attribute: 'b', skill: 'c', ammo: 2 }, 6, 6, [3, 10], [2, 8]);
+    assert.deepEqual(r.rangedFire, { hit: false, hits: 0, extraHits: 0, suppression: 2, ammoSpent: 12 });
+    assert.equal(r.successful, false);
+    assert.deepEqual(r.locations, []);
+  });
+
+  it('rolls the locations of the new hits of a push and counts the ammo spent', () => {
+    const r = fire({ attribute: 'b', ammo: 2 }, 6, 2, [3, 10]);
+    assert.equal(r.rangedFire.suppression, 1);
+    // Ammo: 6, 4 — Attribute: 8 — Locations: 5, 2
+    setResults(6, 4, [8, 10], 5, 2);
+    r.push();
+    assert.deepEqual(r.rangedFire, { hit: true, hits: 2, extraHits: 1, suppression: 0, ammoSpent: 18 });
+    assert.deepEqual(r.locations.map(l => l.location), ['arms', 'torso']);
+  });
+
+  it('discards the locations of the hits lost by a push', () => {
+    // Ammo: 6, 6 — Attribute: 7 — Locations: 1, 2, 3
+    const r = fire({ attribute: 'b', ammo: 2 }, 6, 6, [7, 10], 1, 2, 3);
+    assert.equal(r.locations.length, 3);
+    // The ammo dice are rerolled: 2, 3.
+    setResults(2, 3);
+    r.push();
+    assert.equal(r.rangedFire.hits, 1);
+    assert.deepEqual(r.locations.map(l => l.location), ['legs']);
+  });
+
+  it('replays a seeded ranged attack', () => {
+    for (let seed = 1; seed <= 20; seed++) {
+      const r = YearZeroRoll.createRangedFire({ attribute: 'a', skill: 'b', ammo: 4 }, { seed, maxPush: 2 }).evaluate();
+      r.push();
+      const restored = YearZeroRoll.fromData(JSON.parse(JSON.stringify(r)));
+      assert.equal(restored.verify(), true);
+      assert.equal(restored.locations.length, restored.rangedFire.hits);
+    }
+  });
+});
+
+describe('Ranged fire rules', () => {
+  it('maps the location die to body locations', () => {
+    assert.deepEqual([1, 2, 3, 4, 5, 6].map(getHitLocation), ['legs', 'torso', 'torso', 'torso', 'arms', 'head']);
+  });
+
+  it('resolves extra hits and suppression', () => {
+    assert.equal(resolveRangedFire({ successCount: 3, hitCount: 2, ammoSpent: 9 }).hits, 3);
+    assert.equal(resolveRangedFire({ successCount: 2, hitCount: 2, ammoSpent: 9 }).suppression, 2);
+  });
+});
+
+describe('Coolness Under Fire', () => {
+  /**
+   * Creates and evaluates a Coolness Under Fire roll with scripted results.
+   * @param {string}    dieType     The type of the die
+   * @param {number}    suppression The suppression suffered
+   * @param {...number} results     The results of the dice
+   * @returns {YearZeroRoll}
+   */
+  const cuf = (dieType, suppression, ...results) => {
+    const r = YearZeroRoll.createCoolnessUnderFire(dieType, { suppression });
+    setResults(...results);
+    return r.evaluate();
+  };
+
+  it('applies the suppression as a negative modifier', () => {
+    const r = YearZeroRoll.createCoolnessUnderFire('b', { suppression: 2 });
+    assert.deepEqual(r.getDiceQuantities(), { d: 1 });
+    assert.equal(r.cuf, true);
+    assert.equal(r.suppression, 2);
+    assert.deepEqual(YearZeroRoll.createCoolnessUnderFire('a').getDiceQuantities(), { a: 1 });
+    assert.throws(() => YearZeroRoll.createCoolnessUnderFire('ammo'));
+  });
+
+  it('keeps cool with a success', () => {
+    const r = cuf('c', 1, [6, 6]);
+    assert.deepEqual(r.coolnessUnderFire, { suppressed: false, stress: 0 });
+  });
+
+  it('is suppressed and gains stress without a success', () => {
+    const r = cuf('c', 0, [4, 8]);
+    assert.deepEqual(r.coolnessUnderFire, { suppressed: true, stress: 1 });
+    assert.equal(r.pushable, false);
+  });
+
+  it('survives a serialization', () => {
+    const r = YearZeroRoll.fromData(JSON.parse(JSON.stringify(cuf('b', 1, [2, 8]))));
+    assert.equal(r.cuf, true);
+    assert.equal(r.suppression, 1);
+    assert.equal(r.coolnessUnderFire.suppressed, true);
+  });
+});
+
+describe('YearZeroChat.rollCoolnessUnderFire', () => {
+  const notifyError = ui.notifications.error;
+  let messages;
+  let errors;
+  beforeEach(() => {
+    messages = [];
+    errors = [];
+    ChatMessage.create = async data => {
+      messages.push(data);
+      return data;
+    };
+    ui.notifications.error = message => errors.push(message);
+  });
+  afterEach(() => {
+    ChatMessage.create = async data => data;
+    ui.notifications.error = notifyError;
+  });
+
+  /**
+   * Creates the HTML content of the dialog, like the one rendered by jQuery.
+   * @param {Object<string, *>} fields The fields, by name
+   * @returns {Object}
+   */
+  const createHtml = fields => ({
+    find: selector => ({ val: () => fields[selector.match(/name="(\w+)"/)[1]] }),
+  });
+
+  it('resolves with the roll sent to the chat', async () => {
+    const promise = YearZeroChat.rollCoolnessUnderFire();
+    await new Promise(resolve => setTimeout(resolve));
+    // The suppression steps the D8 down to a D6.
+    setResults(6);
+    Dialog.rendered.submit('roll', createHtml({ dieType: 'c', suppression: '1' }));
+    const roll = await promise;
+    assert.ok(roll);
+    assert.equal(roll.suppression, 1);
+    assert.equal(roll.coolnessUnderFire.suppressed, false);
+    assert.equal(messages.length, 1);
+  });
+
+  it('reports the errors of the roll', async () => {
+    const promise = YearZeroChat.rollCoolnessUnderFire();
+    await new Promise(resolve => setTimeout(resolve));
+    Dialog.rendered.submit('roll', createHtml({ dieType: 'ammo', suppression: '0' }));
+    assert.equal(await promise, null);
+    assert.equal(errors.length, 1);
+    assert.equal(messages.length, 0);
+  });
+});
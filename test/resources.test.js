@@ -0,0 +1,115 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { register } from './helpers/setup.js';
+import { setResults } from './helpers/rng.js';
+import { YearZeroResources, D6ResourceDie, D8ResourceDie, D12ResourceDie, D8ArtifactDie } from '../yearzero-dice.js';
+import { getResourceDieType, stepResourceDie } from '../yearzero-core.js';
+
+register('fbl');
+
+/**
+ * Creates an item holding a resource die.
+ * @param {number} size The size of the die
+ * @returns {Object}
+ */
+function createItem(size) {
+  const item = {
+    name: 'Food',
+    data: { data: { resource: { value: size } } },
+    updates: [],
+    async update(data) {
+      this.updates.push(data);
+      mergeObject(this.data, data);
+      return this;
+    },
+  };
+  return item;
+}
+
+describe('Resource dice', () => {
+  it('reads the size of the die', () => {
+    assert.equal(getResourceDieType(8), 'resD8');
+    assert.equal(getResourceDieType('d10'), 'resD10');
+    assert.equal(getResourceDieType('resD12'), 'resD12');
+    assert.equal(getResourceDieType(4), null);
+    assert.equal(getResourceDieType(0), null);
+  });
+
+  it('steps down on a 1 or a 2', () => {
+    assert.deepEqual(stepResourceDie('resD12', 2), { steppedDown: true, from: 12, to: 10 });
+    assert.deepEqual(stepResourceDie('resD8', 3), { steppedDown: false, from: 8, to: 8 });
+    assert.deepEqual(stepResourceDie('resD6', 1), { steppedDown: true, from: 6, to: 0 });
+    assert.throws(() => stepResourceDie('resD4', 1), RangeError);
+  });
+
+  it('builds on the artifact dice, without success', () => {
+    assert.ok(new D8ResourceDie({}) instanceof D8ArtifactDie);
+    assert.equal(new D6ResourceDie({}).faces, 6);
+    assert.equal(new D12ResourceDie({}).faces, 12);
+    assert.ok(D12ResourceDie.SUCCESS_TABLE.every(s => !s));
+  });
+
+  it('is not registered in Foundry', () => {
+    assert.notEqual(CONFIG.Dice.terms['8'], D8ResourceDie);
+  });
+});
+
+describe('YearZeroResources', () => {
+  let messages;
+  beforeEach(() => {
+    messages = [];
+    ChatMessage.create = async data => {
+      messages.push(data);
+      return data;
+    };
+  });
+  afterEach(() => {
+    ChatMessage.create = async data => data;
+  });
+
+  it('rolls a resource die and posts the drop', async () => {
+    setResults([2, 10]);
+    const resource = await YearZeroResources.rollResource('d10', { flavor: 'Water' });
+    assert.deepEqual(resource, { type: 'resD10', result: 2, steppedDown: true, from: 10, to: 8 });
+    assert.equal(messages.length, 1);
+    const { data } = messages[0].content;
+    assert.equal(data.flavor, 'Water');
+    assert.equal(data.to, 8);
+    assert.deepEqual(messages[0].flags.yzur.resource, resource);
+  });
+
+  it('keeps the die on a higher result', async () => {
+    setResults(5);
+    const { steppedDown, to } = await YearZeroResources.rollResource(6);
+    assert.equal(steppedDown, false);
+    assert.equal(to, 6);
+  });
+
+  it('updates the die of an item', async () => {
+    const item = createItem(6);
+    setResults(1);
+    const { to } = await YearZeroResources.rollResource(null, { item });
+    assert.equal(to, 0);
+    assert.deepEqual(item.updates, [{ 'data.resource.value': 0 }]);
+    assert.equal(messages[0].content.data.flavor, 'Food');
+  });
+
+  it('updates the item through a custom data path', async () => {
+    const item = { ...createItem(0), data: { data: { torches: 12 } } };
+    setResults([1, 12]);
+    await YearZeroResources.rollResource(null, { item, dataPath: 'data.torches' });
+    assert.equal(item.data.data.torches, 10);
+  });
+
+  it('does not update the item when the die holds', async () => {
+    const item = createItem(8);
+    setResults([7, 8]);
+    await YearZeroResources.rollResource(null, { item });
+    assert.deepEqual(item.updates, []);
+  });
+
+  it('rejects a depleted or unknown resource', async () => {
+    await assert.rejects(YearZeroResources.rollResource(null, { item: createItem(0) }), RangeError);
+    await assert.rejects(YearZeroResources.rollResource('d20'), RangeError);
+  });
+});
@@ -0,0 +1,219 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { register } from './helpers/setup.js';
+import { setResults } from './helpers/rng.js';
+import {
+  YearZeroRoll,
+  D8ArtifactDie, D8TwilightDie,
+} from '../yearzero-dice.js';
+
+register(['myz', 'fbl', 'alien', 't2k']);
+
+/**
+ * Creates and evaluates a roll with scripted results.
+ * @param {DiceQuantities} dice    An object with quantities of dice
+ * @param {Object}         options Options for `createFromDiceQuantities()`
+ * @param {...number}      results The results of the dice
+ * @returns {YearZeroRoll}
+ */
+function roll(dice, options, ...results) {
+  const r = YearZeroRoll.createFromDiceQuantities(dice, options);
+  setResults(...results);
+  return r.evaluate();
+}
+
+describe('createFromDiceQuantities', () => {
+  it('builds the formula from the quantities of dice', () => {
+    const r = YearZeroRoll.createFromDiceQuantities({ base: 3, skill: 2, gear: 0 }, { yzGame: 'myz' });
+    assert.equal(r.formula, '3db + 2ds');
+    assert.equal(r.game, 'myz');
+    assert.equal(r.maxPush, 1);
+    assert.equal(r.size, 5);
+  });
+
+  it('stores the game and the maximum number of pushes', () => {
+    const r = YearZeroRoll.createFromDiceQuantities({ skill: 2 }, { yzGame: 'alien', maxPush: 3 });
+    assert.equal(r.game, 'alien');
+    assert.equal(r.maxPush, 3);
+  });
+
+  it('falls back to a single die when there are no dice', () => {
+    assert.equal(YearZeroRoll.createFromDiceQuantities({}, { yzGame: 'myz' }).formula, '1ds');
+    assert.equal(YearZeroRoll.createFromDiceQuantities({}, { yzGame: 't2k' }).formula, '1d6');
+  });
+
+  it('throws on an unknown game or die type', () => {
+    assert.throws(() => YearZeroRoll.createFromDiceQuantities({ base: 1 }, { yzGame: 'dnd' }), TypeError);
+    assert.throws(() => YearZeroRoll.createFromDiceQuantities({ foo: 1 }, { yzGame: 'myz' }), TypeError);
+  });
+
+  it('uses the dice of the roll\'s game on shared denominations', () => {
+    const fbl = YearZeroRoll.createFromDiceQuantities({ artoD8: 1 }, { yzGame: 'fbl' });
+    const t2k = YearZeroRoll.createFromDiceQuantities({ c: 1 }, { yzGame: 't2k' });
+    assert.ok(fbl.terms[0] instanceof D8ArtifactDie);
+    assert.ok(t2k.terms[0] instanceof D8TwilightDie);
+  });
+});
+
+describe('Counts', () => {
+  it('counts successes, banes, trauma and gear damage', () => {
+    const r = roll({ base: 3, skill: 2, gear: 2 }, { yzGame: 'myz' }, 1, 6, 4, 6, 2, 1, 1);
+    assert.equal(r.total, 2);
+    assert.equal(r.baneCount, 3);
+    assert.equal(r.attributeTrauma, 1);
+    assert.equal(r.gearDamage, 2);
+    assert.equal(r.count('skill', 6), 1);
+    assert.equal(r.count('skill'), 2);
+  });
+
+  // Before, each result counted the quantity of dice of its term: 3 base dice counted 9.
+  it('counts one die per result', () => {
+    const r = roll({ base: 3, skill: 2 }, { yzGame: 'myz' }, 1, 2, 3, 4, 5);
+    assert.equal(r.count('base'), 3);
+    assert.equal(r.count('skill'), 2);
+    assert.equal(r.count('base', 1), 1);
+  });
+
+  it('counts stress and panic', () => {
+    const r = roll({ skill: 2, stress: 3 }, { yzGame: 'alien' }, 6, 2, 1, 3, 6);
+    assert.equal(r.total, 2);
+    assert.equal(r.stress, 3);
+    assert.equal(r.panic, 1);
+  });
+
+  it('subtracts negative dice', () => {
+    const r = roll({ skill: 2, neg: 1 }, { yzGame: 'myz' }, 6, 6, 6);
+    assert.equal(r.total, 1);
+  });
+
+  it('counts the hits on ammo dice', () => {
+    const r = roll({ b: 1, ammo: 3 }, { yzGame: 't2k' }, [7, 10], 6, 6, 3);
+    assert.equal(r.total, 3);
+    assert.equal(r.hitCount, 2);
+  });
+
+  it('detects a T2K mishap on two banes', () => {
+    const r = roll({ b: 1, c: 1 }, { yzGame: 't2k' }, [1, 10], [1, 8]);
+    assert.equal(r.mishap, true);
+    assert.equal(r.pushable, false);
+  });
+
+  it('never detects a mishap outside T2K', () => {
+    const r = roll({ base: 2 }, { yzGame: 'myz' }, 1, 1);
+    assert.equal(r.mishap, false);
+  });
+
+  it('counts the willpower gained by a pushed FBL roll', () => {
+    const r = roll({ base: 3, skill: 1 }, { yzGame: 'fbl' }, 1, 2, 3, 4);
+    assert.equal(r.willpower, 0);
+    setResults(1, 5, 2);
+    r.push();
+    assert.equal(r.attributeTrauma, 2);
+    assert.equal(r.willpower, 2);
+  });
+
+  it('never counts willpower outside FBL', () => {
+    const r = roll({ base: 2 }, { yzGame: 'myz' }, 2, 3);
+    setResults(1, 1);
+    r.push();
+    assert.equal(r.willpower, 0);
+  });
+
+  it('gets the resources gained by pushing a MYZ roll', () => {
+    const r = roll({ base: 3, gear: 1 }, { yzGame: 'myz' }, 2, 3, 4, 2);
+    assert.deepEqual(r.getPushConsequences(), []);
+    setResults(1, 1, 5, 1);
+    r.push();
+    assert.deepEqual(r.getPushConsequences(), [
+      { resource: 'mutationPoints', value: 2, label: 'YZUR.RESOURCES.mutationPoints' },
+    ]);
+    assert.deepEqual(r.getPushConsequences('animal').map(e => e.resource), ['feralPoints']);
+    assert.deepEqual(r.pushConsequences, r.getPushConsequences());
+  });
+
+  it('gets the resources of the playbook of the roll', () => {
+    const r = roll({ base: 2 }, { yzGame: 'myz', playbook: 'robot' }, 2, 3);
+    setResults(1, 4);
+    r.push();
+    assert.deepEqual(r.getPushConsequences().map(e => [e.resource, e.value]), [['energyPoints', 1]]);
+    assert.equal(r.modify(1).playbook, 'robot');
+  });
+
+  it('gets no resources in games without push consequences', () => {
+    const r = roll({ skill: 2 }, { yzGame: 'alien' }, 2, 3);
+    setResults(4, 5, 2);
+    r.push();
+    assert.deepEqual(r.getPushConsequences(), []);
+  });
+
+  it('adds the D12 artifact die of a Pride', () => {
+    const r = YearZeroRoll.createFromDiceQuantities({ base: 2, artoD12: 1 }, { yzGame: 'fbl', pride: true });
+    assert.equal(r.pride, true);
+    assert.deepEqual(r.getDiceQuantities(), { base: 2, artoD12: 2 });
+    assert.equal(YearZeroRoll.createFromDiceQuantities({ base: 2 }, { yzGame: 'fbl' }).pride, false);
+  });
+
+  it('gets the quantities of each die type', () => {
+    const r = YearZeroRoll.createFromDiceQuantities({ base: 3, skill: 2, gear: 1 }, { yzGame: 'myz' });
+    assert.deepEqual(r.getDiceQuantities(), { base: 3, skill: 2, gear: 1 });
+  });
+});
+
+describe('Push', () => {
+  it('rerolls the non-locked dice and updates the total', () => {
+    const r = roll({ base: 2, skill: 2 }, { yzGame: 'myz' }, 1, 3, 6, 2);
+    assert.equal(r.total, 1);
+    assert.equal(r.pushable, true);
+
+    setResults(6, 6);
+    r.push();
+    assert.equal(r.pushCount, 1);
+    assert.equal(r.pushed, true);
+    assert.equal(r.total, 3);
+    assert.equal(r.attributeTrauma, 1);
+    assert.equal(r.pushable, false);
+  });
+
+  it('can be pushed up to the maximum number of pushes', () => {
+    const r = roll({ skill: 1 }, { yzGame: 'cor', maxPush: 2 }, 2);
+    setResults(3);
+    r.push();
+    assert.equal(r.pushable, true);
+    setResults(4);
+    r.push();
+    assert.equal(r.pushCount, 2);
+    assert.equal(r.pushable, false);
+    // Further pushes are ignored.
+    r.push();
+    assert.equal(r.pushCount, 2);
+  });
+});
+
+describe('Serialization', () => {
+  it('restores a pushed roll from its data', () => {
+    const r = roll({ base: 1, artoD8: 1 }, { yzGame: 'fbl', maxPush: 2 }, 3, [2, 8]);
+    setResults(6, [8, 8]);
+    r.push();
+
+    const copy = YearZeroRoll.fromData(JSON.parse(JSON.stringify(r)));
+    assert.equal(copy.game, 'fbl');
+    assert.equal(copy.maxPush, 2);
+    assert.equal(copy.total, 3);
+    assert.equal(copy.pushCount, 1);
+    assert.ok(copy.terms[2] instanceof D8ArtifactDie);
+    assert.deepEqual(copy.terms[2].values, [8]);
+  });
+});
+
+describe('Tooltip', () => {
+  it('builds a matrix of the pushed results', async () => {
+    const r = roll({ base: 2 }, { yzGame: 'myz' }, 1, 3);
+    setResults(5);
+    r.push();
+    const { data } = await r.getTooltip();
+    const rows = data.parts[0].rolls;
+    assert.equal(rows.length, 2);
+    assert.deepEqual(rows[0].map(c => c.result), ['☣', '3']);
+    assert.deepEqual(rows[1].map(c => c?.result), [undefined, '5']);
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { register } from './helpers/setup.js';
+import { setResults } from './helpers/rng.js';
+import { YearZeroRoll, YearZeroSupply, YearZeroPanic, StressDie } from '../yearzero-dice.js';
+import { resolveSupply } from '../yearzero-core.js';
+
+register('alien');
+
+/**
+ * Creates a document (actor or item) with some data.
+ * @param {Object} data The data of the document
+ * @param {Object} [props] Other properties of the document
+ * @returns {Object}
+ */
+function createDocument(data, props = {}) {
+  return {
+    data: { data },
+    updates: [],
+    async update(changes) {
+      this.updates.push(changes);
+      mergeObject(this.data, changes);
+      return this;
+    },
+    ...props,
+  };
+}
+
+describe('Supply rolls', () => {
+  it('drops the supply by one for each "1"', () => {
+    assert.deepEqual(
+      resolveSupply({ supply: 4, ones: 2 }),
+      { from: 4, to: 2, dropped: 2, low: false, stress: 0 },
+    );
+    assert.deepEqual(
+      resolveSupply({ supply: 2, ones: 0 }, { stress: 1 }),
+      { from: 2, to: 2, dropped: 0, low: true, stress: 1 },
+    );
+    assert.equal(resolveSupply({ supply: 5, ones: 0 }, { lowSupply: 5 }).low, true);
+  });
+
+  it('rolls a stress die per supply point', () => {
+    const roll = YearZeroRoll.createSupply(4);
+    setResults(1, 3, 1, 6);
+    roll.evaluate();
+    assert.ok(roll.terms[0] instanceof StressDie);
+    assert.equal(roll.size, 4);
+    assert.equal(roll.supply, 4);
+    assert.deepEqual(roll.supplyDrop, { from: 4, to: 2, dropped: 2, low: false, stress: 0 });
+  });
+
+  it('does not panic and cannot be pushed', () => {
+    const roll = YearZeroRoll.createSupply(3);
+    setResults(1, 1, 2);
+    roll.evaluate();
+    assert.equal(roll.panic, 0);
+    assert.equal(YearZeroPanic.isPanicking(roll), false);
+    assert.equal(roll.pushable, false);
+  });
+
+  it('keeps the supply after a restore', () => {
+    const roll = YearZeroRoll.createSupply(2, { stress: 1 });
+    setResults(1, 4);
+    roll.evaluate();
+    const restored = YearZeroRoll.fromData(roll.toJSON());
+    assert.deepEqual(restored.supplyDrop, { from: 2, to: 1, dropped: 1, low: true, stress: 1 });
+  });
+
+  it('rejects an empty supply', () => {
+    assert.throws(() => YearZeroRoll.createSupply(0), RangeError);
+    assert.throws(() => YearZeroRoll.createSupply(null), RangeError);
+  });
+
+  it('is not a supply roll by default', () => {
+    const roll = YearZeroRoll.createFromDiceQuantities({ stress: 2 }, { yzGame: 'alien' });
+    setResults(1, 4);
+    roll.evaluate();
+    assert.equal(roll.panic, 1);
+    assert.equal(roll.supply, null);
+    assert.equal(roll.supplyDrop, null);
+  });
+});
+
+describe('YearZeroSupply', () => {
+  let messages;
+  beforeEach(() => {
+    messages = [];
+    ChatMessage.create = async data => {
+      messages.push(data);
+      return data;
+    };
+  });
+  afterEach(() => {
+    ChatMessage.create = async data => data;
+  });
+
+  it('posts the supply roll', async () => {
+    setResults(1, 5, 6);
+    const roll = await YearZeroSupply.rollSupply(3, { flavor: 'Air' });
+    assert.equal(roll.name, 'Air');
+    assert.equal(roll.supplyDrop.dropped, 1);
+    assert.equal(messages.length, 1);
+    assert.equal(JSON.parse(messages[0].roll).data.supply, 3);
+  });
+
+  it('updates the supply of an item', async () => {
+    const actor = createDocument({ header: { stress: { value: 2 } } });
+    const item = createDocument({ supply: { value: 3 } }, { name: 'Power Supply', actor });
+    setResults(1, 1, 4);
+    const roll = await YearZeroSupply.rollSupply(null, { item });
+    assert.equal(roll.name, 'Power Supply');
+    assert.deepEqual(item.updates, [{ 'data.supply.value': 1 }]);
+    assert.deepEqual(actor.updates, []);
+  });
+
+  it('updates the supply of an actor through a custom data path', async () => {
+    const actor = createDocument({ air: 5 });
+    setResults(1, 2, 3, 4, 1);
+    await YearZeroSupply.rollSupply(null, { actor, dataPath: 'data.air' });
+    assert.equal(actor.data.data.air, 3);
+  });
+
+  it('adds stress when rolling under low supply', async () => {
+    const actor = createDocument({ header: { stress: { value: 2 } } });
+    const item = createDocument({ supply: { value: 2 } }, { name: 'Air', actor });
+    setResults(3, 4);
+    const roll = await YearZeroSupply.rollSupply(null, { item, stress: 1 });
+    assert.equal(roll.supplyDrop.stress, 1);
+    assert.deepEqual(item.updates, []);
+    assert.equal(actor.data.data.header.stress.value, 3);
+  });
+
+  it('does not add stress above low supply', async () => {
+    const actor = createDocument({ supply: { value: 4 }, header: { stress: { value: 2 } } });
+    setResults(1, 4, 5, 6);
+    await YearZeroSupply.rollSupply(null, { actor, stress: 1 });
+    assert.deepEqual(actor.updates, [{ 'data.supply.value': 3 }]);
+  });
+});
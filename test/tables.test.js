@@ -0,0 +1,103 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { register } from './helpers/setup.js';
+import { setResults, scriptedRandom } from './helpers/rng.js';
+import { YearZeroRoll, YearZeroTables, D66Die, D666Die } from '../yearzero-dice.js';
+import { TABLE_DICE, rollTableDie, getTableDigits } from '../yearzero-core.js';
+
+register(['myz', 't2k']);
+
+/**
+ * Creates a RollTable with D66 ranges: one entry per tens digit.
+ * @param {string} tableName
+ * @returns {Object}
+ */
+function createTable(tableName) {
+  return {
+    name: tableName,
+    getResultsForRoll: total => total >= 11 && total <= 56
+      ? [{ data: { text: `Entry ${Math.floor(total / 10)}`, img: 'entry.png' } }]
+      : [],
+  };
+}
+
+describe('Table dice', () => {
+  it('rolls a D6 per digit', () => {
+    assert.deepEqual(rollTableDie(TABLE_DICE.d66, scriptedRandom([3, 5])), { result: 35, digits: [3, 5] });
+    assert.deepEqual(rollTableDie(TABLE_DICE.d666, scriptedRandom([6, 1, 2])), { result: 612, digits: [6, 1, 2] });
+    assert.deepEqual(getTableDigits(246), [2, 4, 6]);
+  });
+
+  it('is registered for all the games', () => {
+    assert.equal(CONFIG.Dice.terms['66'], D66Die);
+    assert.equal(CONFIG.Dice.terms['666'], D666Die);
+  });
+
+  it('rolls a D66 in a roll', () => {
+    const r = new YearZeroRoll('1d66');
+    setResults(4, 2);
+    r.evaluate();
+    assert.equal(r.formula, '1d66');
+    assert.equal(r.total, 42);
+    assert.deepEqual(r.dice[0].results, [{ result: 42, digits: [4, 2], active: true }]);
+    assert.equal(r.dice[0].type, 'd66');
+  });
+
+  it('shows the digits in the tooltip', async () => {
+    const r = new YearZeroRoll('1d666');
+    setResults(1, 5, 3);
+    r.evaluate();
+    const { data } = await r.getTooltip();
+    const [roll] = data.parts[0].rolls;
+    assert.equal(
+      roll.result,
+      '<span class="yzur-digit" data-digit="hundreds">1</span>'
+      + '<span class="yzur-digit" data-digit="tens">5</span>'
+      + '<span class="yzur-digit" data-digit="ones">3</span>',
+    );
+    assert.match(roll.classes, /d666/);
+  });
+
+  it('resumes the seeded sequence after a D66', () => {
+    const r = new YearZeroRoll('2db + 1d66', { game: 'myz', seed: 2021 }).evaluate();
+    const restored = YearZeroRoll.fromData(r.toJSON());
+    r.push();
+    restored.push();
+    const results = roll => roll.dice.map(d => d.results.map(x => x.result));
+    assert.deepEqual(results(restored), results(r));
+  });
+});
+
+describe('YearZeroTables', () => {
+  afterEach(() => {
+    delete game.tables;
+  });
+
+  it('draws an entry of a RollTable with a D66', async () => {
+    const table = createTable('Mutations');
+    game.tables = { get: () => null, getName: tableName => tableName === 'Mutations' ? table : null };
+    setResults(3, 4);
+    const card = await YearZeroTables.draw('Mutations', { speaker: { alias: 'Vanja' } });
+    const { data } = card.content;
+    assert.equal(data.flavor, 'Mutations');
+    assert.equal(data.formula, '1d66');
+    assert.equal(data.total, 34);
+    assert.deepEqual(data.entry, { text: 'Entry 3', img: 'entry.png', flags: {} });
+    assert.equal(card.speaker.alias, 'Vanja');
+    assert.equal(card.type, CONST.CHAT_MESSAGE_TYPES.ROLL);
+    assert.equal(JSON.parse(card.roll).total, 34);
+  });
+
+  it('posts a card without entry when the total is outside of the ranges', async () => {
+    setResults(6, 6);
+    const card = await YearZeroTables.draw(createTable('Mutations'), { flavor: 'Roll' });
+    assert.equal(card.content.data.flavor, 'Roll');
+    assert.equal(card.content.data.entry, null);
+  });
+
+  it('rejects unknown RollTables and table dice', async () => {
+    game.tables = { get: () => null, getName: () => null };
+    await assert.rejects(YearZeroTables.draw('Unknown'), ReferenceError);
+    await assert.rejects(YearZeroTables.draw(createTable('Mutations'), { type: 'd6' }), TypeError);
+  });
+});
@@ -2,10 +2,11 @@
  * Generates a random integer between [min, max] (included).
  * @param {number} min Minimum threshold
  * @param {number} max Maximum threshold
+ * @param {function(): number} [random=Math.random] Generator of numbers in [0, 1)
  * @returns {number} The randomized integer
  */
-export function rand(min, max) {
-	return Math.floor(Math.random() * (max - min + 1) + min);
+export function rand(min, max, random = Math.random) {
+	return Math.floor(random() * (max - min + 1) + min);
 }
 
 /**
@@ -0,0 +1,450 @@
+/*
+ * ===============================================================================
+ *  YZUR
+ *    INITIATIVE CARDS
+ * ===============================================================================
+ * The Year Zero games draw their initiative from a deck of ten cards:
+ * the combatant with the lowest card acts first.
+ *
+ * - YearZeroCombat: Custom implementation of the default Foundry Combat class,
+ *     which draws the initiative cards of the combatants from the deck of the combat.
+ *
+ * - YearZeroCombatTracker: Interface for the hooks of the combat tracker
+ *     (the cards of the combatants and the swapping of cards).
+ *
+ * The rules of the deck are in the Foundry-agnostic `yearzero-core.js`.
+ * ===============================================================================
+ */
+
+import { drawInitiative, returnCards, getInitiativeDeck } from './yearzero-core.js';
+import { YearZeroRandom } from './yearzero-dice.js';
+
+/**
+ * Custom Combat class for Year Zero games.
+ *
+ * Each combat has its own deck: the cards not held by its combatants.
+ * The cards are drawn without replacement, and are reshuffled in the deck
+ * when the initiative is reset, at the end of each round if `CONFIG.YZUR.INITIATIVE.reshuffleEachRound`,
+ * or when the combat ends, as its combatants are deleted with it.
+ *
+ * The draw of each combatant is set by `CONFIG.YZUR.INITIATIVE.getDrawOptions()`:
+ * by default, the `yzur.initiative` flags of the combatant or its actor,
+ * e.g. `{ count: 2 }` for a monster with two actions per round,
+ * or `{ keepBest: true }` for a "draw two, keep the best" talent.
+ * A combatant who holds several cards has a turn per card.
+ *
+ * Only the GM draws the cards: the players send their draws to the first active GM
+ * through the socket channel defined in `CONFIG.YZUR.CHAT.socket` (see `onInitiativeRequest()`).
+ *
+ * @extends {Combat}
+ *
+ * @example
+ * CONFIG.Combat.entityClass = YearZeroCombat;
+ */
+export class YearZeroCombat extends Combat {
+  /**
+   * The cards left in the deck of the combat.
+   * @type {number[]}
+   * @readonly
+   */
+  get deck() {
+    return getInitiativeDeck(this.combatants.map(c => YearZeroCombat.getCards(c)));
+  }
+
+  /**
+   * Gets the initiative cards held by a combatant, from the lowest.
+   * @param {Object} combatant The combatant
+   * @returns {number[]}
+   * @static
+   */
+  static getCards(combatant) {
+    return combatant.flags?.yzur?.cards || [];
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Sets up the turns of the combat: a combatant who holds several cards has a turn per card.
+   * @returns {Object[]} The turns, from the lowest card
+   * @override
+   */
+  setupTurns() {
+    // Foundry clamps the turn to the quantity of combatants, which is lower than the quantity of turns.
+    const turn = this.data.turn;
+    const turns = super.setupTurns().flatMap(c => {
+      const cards = YearZeroCombat.getCards(c);
+      return cards.length > 1 ? cards.map(card => ({ ...c, initiative: card })) : [c];
+    });
+    this.turns = turns.sort((a, b) => this._sortCombatants(a, b));
+    if (Number.isNumeric(turn)) this.data.turn = Math.max(0, Math.min(turn, this.turns.length - 1));
+    return this.turns;
+  }
+
+  /**
+   * Advances to the next turn, or to the next round after the last turn.
+   * @returns {Promise<YearZeroCombat>}
+   * @override
+   */
+  async nextTurn() {
+    const skipDefeated = !!this.settings?.skipDefeated;
+    const next = this.turns.findIndex((t, i) => i > this.data.turn && !(skipDefeated && t.defeated));
+    if (this.data.round === 0 || next < 0) return this.nextRound();
+    return this.update({ turn: next });
+  }
+
+  /**
+   * Advances to the next round, and reshuffles the cards first
+   * if `CONFIG.YZUR.INITIATIVE.reshuffleEachRound` is enabled.
+   * @returns {Promise<YearZeroCombat>}
+   * @override
+   */
+  async nextRound() {
+    if (CONFIG.YZUR.INITIATIVE.reshuffleEachRound) await this.reshuffle();
+    return super.nextRound();
+  }
+
+  /**
+   * Finds the index of a turn, or of the first turn of its combatant if its card has changed.
+   * @param {Object} turn The turn
+   * @returns {number}
+   * @private
+   */
+  _findTurn({ _id, initiative }) {
+    const index = this.turns.findIndex(t => t._id === _id && t.initiative === initiative);
+    return index >= 0 ? index : this.turns.findIndex(t => t._id === _id);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Draws the initiative cards of combatants and posts them in the chat.
+   * A combatant who already holds cards puts them back in the deck before drawing.
+   *
+   * The players ask the GM to draw their cards. The draws of the GM are made one after the other,
+   * so that two draws cannot take the same card.
+   *
+   * @param {string|string[]} ids A combatant ID or an array of IDs
+   * @param {Object}  [options]
+   * @param {boolean} [options.updateTurn=true]  Whether to keep the turn of the current combatant
+   * @param {Object}  [options.messageOptions]   Additional data of the chat messages (not sent by the players)
+   * @returns {Promise<YearZeroCombat>}
+   * @override
+   */
+  async rollInitiative(ids, { updateTurn = true, messageOptions = {} } = {}) {
+    ids = typeof ids === 'string' ? [ids] : ids;
+    if (!game.user.isGM) return this._requestInitiative(ids, { updateTurn });
+
+    const draw = (this._initiativeQueue || Promise.resolve())
+      .then(() => this._drawInitiative(ids, { updateTurn, messageOptions }));
+    this._initiativeQueue = draw.catch(() => null);
+    return draw;
+  }
+
+  /**
+   * Asks the first active GM to draw the initiative cards of combatants (see `onInitiativeRequest()`).
+   * The GM builds the chat messages of the draws: the players cannot send their data.
+   * @param {string[]} ids The IDs of the combatants
+   * @param {Object}   options
+   * @param {boolean}  options.updateTurn Whether to keep the turn of the current combatant
+   * @returns {YearZeroCombat}
+   * @private
+   */
+  _requestInitiative(ids, { updateTurn }) {
+    const socketName = CONFIG.YZUR.CHAT.socket;
+    if (!socketName) {
+      ui.notifications.warn(game.i18n.localize('YZUR.WARNING.cannotRollInitiative'));
+      return this;
+    }
+    if (!game.users.find(u => u.isGM && u.active)) {
+      ui.notifications.error(game.i18n.localize('YZUR.ERROR.noActiveGM'));
+      return this;
+    }
+    game.socket.emit(socketName, {
+      action: 'rollInitiative',
+      combatId: this._id,
+      ids,
+      updateTurn,
+      userId: game.user._id,
+    });
+    return this;
+  }
+
+  /**
+   * Draws the initiative cards of combatants, from the deck of the combat.
+   * @param {string[]} ids The IDs of the combatants
+   * @param {Object}   options The options of `rollInitiative()`
+   * @returns {Promise<YearZeroCombat>}
+   * @private
+   */
+  async _drawInitiative(ids, { updateTurn, messageOptions }) {
+    const current = this.combatant;
+    const random = YearZeroRandom.getGenerator() || CONFIG.Dice.randomUniform;
+
+    let deck = this.deck;
+    const updates = [];
+    const draws = [];
+    for (const id of ids) {
+      const combatant = this.getCombatant(id);
+      if (!combatant?.owner) continue;
+
+      const options = CONFIG.YZUR.INITIATIVE.getDrawOptions(combatant);
+      const draw = drawInitiative(returnCards(deck, YearZeroCombat.getCards(combatant)), options, random);
+      if (!draw) {
+        ui.notifications.warn(game.i18n.format('YZUR.WARNING.emptyDeck', { name: combatant.name }));
+        continue;
+      }
+      deck = draw.deck;
+      updates.push({ _id: id, initiative: draw.cards[0], 'flags.yzur.cards': draw.cards });
+      draws.push({ combatant, draw, keepBest: !!options.keepBest });
+    }
+    if (!updates.length) return this;
+
+    await this.updateEmbeddedEntity('Combatant', updates);
+    if (updateTurn && current) await this.update({ turn: this._findTurn(current) });
+    for (const { combatant, draw, keepBest } of draws) {
+      await this._postDraw(combatant, draw, { keepBest, messageOptions });
+    }
+    return this;
+  }
+
+  /**
+   * Handles a request of initiative received through the socket channel:
+   * draws the cards of the combatants owned by the requester,
+   * or replies to the requester with the reason of the rejection.
+   *
+   * Only the first active GM must call this method.
+   *
+   * @param {Object}   data
+   * @param {string}   data.combatId The ID of the combat
+   * @param {string[]} data.ids      The IDs of the combatants
+   * @param {string}   data.userId   The ID of the user who sent the request
+   * @param {boolean} [data.updateTurn] Whether to keep the turn of the current combatant
+   * @returns {Promise<YearZeroCombat|null>} The combat, or `null` if the request was rejected
+   * @static
+   * @async
+   */
+  static async onInitiativeRequest({ combatId, ids, userId, updateTurn }) {
+    const combat = game.combats.get(combatId);
+    const user = game.users.get(userId);
+    if (!user) return null;
+
+    let error;
+    const owned = combat instanceof YearZeroCombat
+      ? ids.filter(id => combat.getCombatant(id)?.actor?.hasPerm(user, 'OWNER'))
+      : [];
+    if (!(combat instanceof YearZeroCombat)) {
+      error = game.i18n.localize('YZUR.ERROR.combatNotFound');
+    }
+    else if (!owned.length) {
+      console.warn(`${YearZeroCombat.name} | ${user.name} is not allowed to draw the cards of ${ids.join(', ')}.`);
+      error = game.i18n.localize('YZUR.WARNING.cannotRollInitiative');
+    }
+    else {
+      try {
+        return await combat.rollInitiative(owned, { updateTurn });
+      }
+      catch (err) {
+        console.error(err);
+        error = err.message;
+      }
+    }
+    game.socket.emit(CONFIG.YZUR.CHAT.socket, { action: 'initiativeRejected', userId, error });
+    return null;
+  }
+
+  /**
+   * Handles the rejection of a request of initiative received through the socket channel.
+   * @param {Object} data
+   * @param {string} data.userId The ID of the user who sent the request
+   * @param {string} data.error  The reason of the rejection
+   * @static
+   */
+  static onInitiativeRejected({ userId, error }) {
+    if (userId === game.user._id) ui.notifications.error(error);
+  }
+
+  /**
+   * Posts the initiative cards drawn by a combatant in the chat.
+   * The draws of hidden combatants are whispered to the GMs.
+   * @param {Object}         combatant The combatant
+   * @param {InitiativeDraw} draw      The draw
+   * @param {Object}  [options]
+   * @param {boolean} [options.keepBest=false] Whether the draw kept the best cards
+   * @param {Object}  [options.messageOptions] Additional data of the chat message
+   * @returns {Promise<ChatMessage>}
+   * @private
+   */
+  async _postDraw(combatant, { cards, returned }, { keepBest = false, messageOptions = {} } = {}) {
+    const content = await renderTemplate(CONFIG.YZUR.INITIATIVE.template, {
+      name: combatant.name,
+      img: combatant.img,
+      cards,
+      returned,
+      keepBest,
+    });
+    return ChatMessage.create(mergeObject({
+      user: game.user._id,
+      speaker: {
+        scene: this.scene?._id,
+        actor: combatant.actor?._id,
+        token: combatant.tokenId,
+        alias: combatant.name,
+      },
+      content,
+      whisper: combatant.hidden ? game.users.filter(u => u.isGM).map(u => u._id) : [],
+      type: CONST.CHAT_MESSAGE_TYPES.OTHER,
+      sound: CONFIG.sounds.dice,
+    }, messageOptions));
+  }
+
+  /**
+   * Swaps the initiative cards of two combatants, and posts the swap in the chat.
+   * @param {string} idA The ID of the first combatant
+   * @param {string} idB The ID of the second combatant
+   * @returns {Promise<YearZeroCombat>}
+   * @throws {ReferenceError} When a combatant is not found
+   */
+  async swapCards(idA, idB) {
+    const a = this.getCombatant(idA);
+    const b = this.getCombatant(idB);
+    if (!a || !b) throw new ReferenceError(`${YearZeroCombat.name} | Combatant not found: "${a ? idB : idA}".`);
+
+    const current = this.combatant;
+    const cardsA = YearZeroCombat.getCards(a);
+    const cardsB = YearZeroCombat.getCards(b);
+    await this.updateEmbeddedEntity('Combatant', [
+      { _id: a._id, initiative: cardsB[0] ?? null, 'flags.yzur.cards': cardsB },
+      { _id: b._id, initiative: cardsA[0] ?? null, 'flags.yzur.cards': cardsA },
+    ]);
+    if (current) await this.update({ turn: this._findTurn(current) });
+
+    await ChatMessage.create({
+      user: game.user._id,
+      speaker: ChatMessage.getSpeaker(),
+      content: game.i18n.format('YZUR.CHAT.INITIATIVE.swapped', { a: a.name, b: b.name }),
+      type: CONST.CHAT_MESSAGE_TYPES.OTHER,
+    });
+    return this;
+  }
+
+  /**
+   * Reshuffles the cards of all the combatants in the deck, and resets their initiative.
+   * @returns {Promise<YearZeroCombat>}
+   */
+  async reshuffle() {
+    const updates = this.combatants.map(c => ({ _id: c._id, initiative: null, 'flags.yzur.cards': [] }));
+    await this.updateEmbeddedEntity('Combatant', updates);
+    return this;
+  }
+
+  /**
+   * Resets the initiative of all the combatants, and reshuffles their cards in the deck.
+   * @returns {Promise<YearZeroCombat>}
+   * @override
+   */
+  async resetAll() {
+    await this.reshuffle();
+    return this.update({ turn: 0 });
+  }
+
+  /**
+   * Sorts the combatants by their initiative: the lowest card acts first,
+   * and the combatants without a card act last.
+   * @param {Object} a A combatant
+   * @param {Object} b Another combatant
+   * @returns {number}
+   * @override
+   */
+  _sortCombatants(a, b) {
+    const ia = Number.isNumeric(a.initiative) ? a.initiative : Infinity;
+    const ib = Number.isNumeric(b.initiative) ? b.initiative : Infinity;
+    return (ia - ib) || (a.name || '').localeCompare(b.name || '') || (a._id > b._id ? 1 : -1);
+  }
+}
+
+/* -------------------------------------------- */
+/*  Combat Tracker                              */
+/* -------------------------------------------- */
+
+/**
+ * Interface for the combat tracker of Year Zero combats.
+ *
+ * @abstract
+ * @interface
+ *
+ * @example
+ * Hooks.on('getCombatTrackerEntryContext', (html, options) => YearZeroCombatTracker.getEntryContext(html, options));
+ */
+export class YearZeroCombatTracker {
+  /**
+   * Adds the option to swap the initiative cards to the context menu of the combatants.
+   * @param {JQuery}   html    The HTML content of the combat tracker
+   * @param {Object[]} options The options of the context menu
+   * @static
+   */
+  static getEntryContext(html, options) {
+    options.push({
+      name: 'YZUR.COMBAT.swapCards',
+      icon: '<i class="fas fa-exchange-alt"></i>',
+      condition: li => game.user.isGM && game.combat instanceof YearZeroCombat
+        && game.combat.combatants.length > 1
+        && YearZeroCombat.getCards(game.combat.getCombatant(li.data('combatant-id'))).length > 0,
+      callback: li => YearZeroCombatTracker.swapCards(game.combat, li.data('combatant-id')),
+    });
+  }
+
+  /**
+   * Renders a dialog to choose the combatant who swaps cards with another combatant,
+   * then swaps their cards.
+   * @param {YearZeroCombat} combat      The combat
+   * @param {string}         combatantId The ID of the combatant who swaps its cards
+   * @returns {Promise<YearZeroCombat|null>} The combat, or `null` if the dialog was closed
+   * @static
+   * @async
+   */
+  static async swapCards(combat, combatantId) {
+    const combatant = combat.getCombatant(combatantId);
+    const content = await renderTemplate(CONFIG.YZUR.INITIATIVE.swapTemplate, {
+      name: combatant.name,
+      cards: YearZeroCombat.getCards(combatant),
+      others: combat.combatants
+        .filter(c => c._id !== combatantId)
+        .map(c => ({ id: c._id, name: c.name, cards: YearZeroCombat.getCards(c) })),
+    });
+
+    return new Promise(resolve => {
+      // The dialog is closed as soon as the swap button is clicked, before the cards are swapped.
+      let submitted = false;
+      new Dialog({
+        title: game.i18n.localize('YZUR.COMBAT.swapCards'),
+        content,
+        buttons: {
+          swap: {
+            icon: '<i class="fas fa-exchange-alt"></i>',
+            label: game.i18n.localize('YZUR.COMBAT.swap'),
+            callback: async html => {
+              submitted = true;
+              try {
+                resolve(await combat.swapCards(combatantId, html.find('select[name="other"]').val()));
+              }
+              catch (error) {
+                console.error(error);
+                ui.notifications.error(error.message);
+                resolve(null);
+              }
+            },
+          },
+          cancel: {
+            icon: '<i class="fas fa-times"></i>',
+            label: game.i18n.localize('Cancel'),
+            callback: () => resolve(null),
+          },
+        },
+        default: 'swap',
+        close: () => {
+          if (!submitted) resolve(null);
+        },
+      }).render(true);
+    });
+  }
+}
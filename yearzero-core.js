@@ -0,0 +1,1870 @@
+/*
+ * ===============================================================================
+ *  YZUR
+ *    YEAR ZERO DICE ENGINE
+ * ===============================================================================
+ * The rules of the Year Zero dice, without any dependency on the Foundry VTT.
+ * This module runs as is in the browser and in Node, and the Foundry classes
+ * of `yearzero-dice.js` are wrappers around it.
+ *
+ * - DIE_TYPES_MAP & GAMES: The die types of each game.
+ *
+ * - DIE_RULES: Faces, locked values and success tables of each die type.
+ *
+ * - Functions for the results of the dice: successes, pushes, banes, mishaps,
+ *     panic, difficulty modifiers and probabilities.
+ *
+ * - PROBABILITY_MAX_STATES: The limit of the probability engine.
+ *
+ * - ALIEN_PANIC_TABLE: The built-in panic table of the Alien RPG.
+ *
+ * - TABLE_DICE: The D66 and D666 of the tables.
+ *
+ * - CRITICAL_INJURY_TABLES: The built-in critical injury tables.
+ *
+ * - INITIATIVE_CARDS: The deck of initiative cards, and its draws.
+ *
+ * - RESOURCE_DIE_TYPES: The resource dice of Forbidden Lands, and their steps.
+ *
+ * - LOW_SUPPLY: The supply rolls of the Alien RPG (air, power, ammunition).
+ *
+ * - YearZeroDicePool: A standalone roll, which gives the same results
+ *     as a `YearZeroRoll` with the same random numbers.
+ * ===============================================================================
+ */
+
+/* -------------------------------------------- */
+/*  Definitions                                 */
+/* -------------------------------------------- */
+
+/**
+ * The rules of a die type.
+ * @typedef {Object} DieRules
+ * @property {string}    type          The type of the die's class (`YearZeroDie.TYPE`)
+ * @property {string}    denomination  The denomination of the die in a formula (e.g. `b` for `3db`)
+ * @property {number}    faces         The quantity of faces
+ * @property {number[]}  lockedValues  The results that cannot be pushed
+ * @property {number[]}  successes     The quantity of successes of each result (index 0 unused)
+ */
+
+/**
+ * A result of a die.
+ * @typedef {Object} DieResult
+ * @property {number}   result       The result of the die
+ * @property {boolean}  active       Whether the result counts
+ * @property {number}   count        The quantity of successes of the result
+ * @property {number}   indexResult  The position of the die in its term
+ * @property {number}   indexPush    The push that rolled the result (0 = initial roll)
+ * @property {boolean} [discarded]   Whether the result was discarded
+ * @property {boolean} [pushed]      Whether the result was discarded by a push
+ */
+
+/**
+ * A group of dice of the same type, with their results.
+ * @typedef {Object} DiceGroup
+ * @property {string}      type     The type of the die's class (`YearZeroDie.TYPE`)
+ * @property {DieResult[]} results  The results of the dice
+ */
+
+/* -------------------------------------------- */
+/*  Games & Dice                                */
+/* -------------------------------------------- */
+
+/**
+ * Die Types mapped with Games.
+ * @type {Object<string, string[]>}
+ * @constant
+ */
+export const DIE_TYPES_MAP = {
+  // Mutant Year Zero
+  'myz': ['base', 'skill', 'gear', 'neg'],
+  // Forbidden Lands
+  'fbl': ['base', 'skill', 'gear', 'neg', 'artoD8', 'artoD10', 'artoD12'],
+  // Alien RPG
+  'alien': ['skill', 'stress'],
+  // Tales From the Loop
+  'tales': ['skill'],
+  // Coriolis
+  'cor': ['skill'],
+  // Vaesen
+  'vae': ['skill'],
+  // Twilight 2000
+  't2k': ['a', 'b', 'c', 'd', 'ammo', 'loc'],
+};
+
+/**
+ * The names of the games.
+ * @type {string[]}
+ * @constant
+ */
+export const GAMES = Object.keys(DIE_TYPES_MAP);
+
+/**
+ * Die types whose "1" counts as a bane.
+ * @type {string[]}
+ * @constant
+ */
+export const BANABLE_TYPES = ['base', 'gear', 'stress', 'ammo'];
+
+/**
+ * Darkness Points given to the GM by each push, by game.
+ * In Coriolis, a push is a prayer to the Icons.
+ * @type {Object<string, number>}
+ * @constant
+ */
+export const PUSH_DARKNESS_POINTS = {
+  cor: 1,
+};
+
+/**
+ * Artifact die types, from the lowest to the highest step.
+ * @type {string[]}
+ * @constant
+ */
+export const ARTIFACT_DIE_TYPES = ['artoD8', 'artoD10', 'artoD12'];
+
+/**
+ * The die type added by a Pride (Forbidden Lands).
+ * @type {string}
+ * @constant
+ */
+export const PRIDE_DIE_TYPE = 'artoD12';
+
+/**
+ * Dice added to the pool by each push, by game.
+ * In the Alien RPG, each push increases the stress level by one.
+ * @type {Object<string, Object<string, number>>}
+ * @constant
+ */
+export const PUSH_EXTRA_DICE = {
+  alien: { stress: 1 },
+};
+
+/**
+ * Builds the rules of a die type.
+ * @param {string}   type          The type of the die's class
+ * @param {string}   denomination  The denomination of the die
+ * @param {number}   faces         The quantity of faces
+ * @param {number[]} lockedValues  The results that cannot be pushed
+ * @param {number[]} [table]       The successes of each result (default: 1 success on 6+)
+ * @returns {DieRules}
+ */
+function defineDie(type, denomination, faces, lockedValues, table) {
+  const successes = [null];
+  for (let r = 1; r <= faces; r++) successes[r] = table ? table[r] : (r >= 6 ? 1 : 0);
+  return { type, denomination, faces, lockedValues, successes };
+}
+
+const ARTIFACT_TABLE = [null, 0, 0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4];
+const TWILIGHT_TABLE = [null, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2];
+const ARTIFACT_LOCKED = [6, 7, 8, 9, 10, 11, 12];
+const TWILIGHT_LOCKED = [1, 6, 7, 8, 9, 10, 11, 12];
+const RESOURCE_TABLE = [null, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0];
+
+/**
+ * The rules of each die type.
+ * @type {Object<string, DieRules>}
+ * @constant
+ */
+export const DIE_RULES = {
+  base: defineDie('base', 'b', 6, [1, 6]),
+  skill: defineDie('skill', 's', 6, [6]),
+  gear: defineDie('gear', 'g', 6, [1, 6]),
+  neg: defineDie('neg', 'n', 6, [6], [null, 0, 0, 0, 0, 0, -1]),
+  stress: defineDie('stress', 'z', 6, [1, 6]),
+  artoD8: defineDie('arto', '8', 8, ARTIFACT_LOCKED, ARTIFACT_TABLE),
+  artoD10: defineDie('arto', '10', 10, ARTIFACT_LOCKED, ARTIFACT_TABLE),
+  artoD12: defineDie('arto', '12', 12, ARTIFACT_LOCKED, ARTIFACT_TABLE),
+  a: defineDie('base', '12', 12, TWILIGHT_LOCKED, TWILIGHT_TABLE),
+  b: defineDie('base', '10', 10, TWILIGHT_LOCKED, TWILIGHT_TABLE),
+  c: defineDie('base', '8', 8, TWILIGHT_LOCKED, TWILIGHT_TABLE),
+  d: defineDie('base', '6', 6, TWILIGHT_LOCKED, TWILIGHT_TABLE),
+  ammo: defineDie('ammo', 'm', 6, []),
+  loc: defineDie('loc', 'l', 6, [], [null, 0, 0, 0, 0, 0, 0]),
+  resD6: defineDie('resource', '6', 6, [], RESOURCE_TABLE),
+  resD8: defineDie('resource', '8', 8, [], RESOURCE_TABLE),
+  resD10: defineDie('resource', '10', 10, [], RESOURCE_TABLE),
+  resD12: defineDie('resource', '12', 12, [], RESOURCE_TABLE),
+};
+
+/**
+ * Gets the aliases of the die types of a game:
+ * the type key, its denomination and the denomination prefixed with "d".
+ * @param {string} yzGame The game used
+ * @returns {Object<string, string>} Die types keyed by lowercase alias
+ */
+export function getDieAliases(yzGame) {
+  const types = DIE_TYPES_MAP[yzGame] || [];
+  const aliases = {};
+  // Type keys come first, as they take precedence over denominations.
+  for (const type of types) aliases[type.toLowerCase()] = type;
+  for (const type of types) {
+    const deno = DIE_RULES[type].denomination.toLowerCase();
+    for (const alias of [deno, `d${deno}`]) {
+      if (!(alias in aliases)) aliases[alias] = type;
+    }
+  }
+  return aliases;
+}
+
+/**
+ * The labels of the dice faces, by game and type of the die's class.
+ * Used as `CONFIG.YZUR.DICE.ICONS` in the Foundry VTT.
+ * @type {Object<string, Object<string, Object<number, string|number>>>}
+ * @constant
+ */
+export const DICE_ICONS = {
+  myz: {
+    base: {
+      '1': '☣',
+      '2': 2,
+      '3': 3,
+      '4': 4,
+      '5': 5,
+      '6': '☢',
+    },
+    skill: {
+      '1': 1,
+      '2': 2,
+      '3': 3,
+      '4': 4,
+      '5': 5,
+      '6': '☢',
+    },
+    neg: {
+      '1': 1,
+      '2': 2,
+      '3': 3,
+      '4': 4,
+      '5': 5,
+      '6': '➖',
+    },
+    gear: {
+      '1': '💥',
+      '2': 2,
+      '3': 3,
+      '4': 4,
+      '5': 5,
+      '6': '☢',
+    },
+  },
+  fbl: {
+    base: {
+      '1': '☠',
+      '2': 2,
+      '3': 3,
+      '4': 4,
+      '5': 5,
+      '6': '⚔️',
+    },
+    skill: {
+      '1': 1,
+      '2': 2,
+      '3': 3,
+      '4': 4,
+      '5': 5,
+      '6': '⚔️',
+    },
+    neg: {
+      '1': 1,
+      '2': 2,
+      '3': 3,
+      '4': 4,
+      '5': 5,
+      '6': '➖',
+    },
+    gear: {
+      '1': '💥',
+      '2': 2,
+      '3': 3,
+      '4': 4,
+      '5': 5,
+      '6': '⚔️',
+    },
+    arto: {
+      '1': 1,
+      '2': 2,
+      '3': 3,
+      '4': 4,
+      '5': 5,
+      '6': 6,
+      '7': 7,
+      '8': 8,
+      '9': 9,
+      '10': 10,
+      '11': 11,
+      '12': 12,
+    },
+  },
+  alien: {
+    skill: {
+      '1': 1,
+      '2': 2,
+      '3': 3,
+      '4': 4,
+      '5': 5,
+      '6': '💠', // '❇',
+    },
+    stress: {
+      '1': '😱', // '⚠',
+      '2': 2,
+      '3': 3,
+      '4': 4,
+      '5': 5,
+      '6': '💠',
+    },
+  },
+  tales: {
+    skill: {
+      '1': 1,
+      '2': 2,
+      '3': 3,
+      '4': 4,
+      '5': 5,
+      '6': '⚛️', // '👑',
+    },
+  },
+  cor: {
+    skill: {
+      '1': 1,
+      '2': 2,
+      '3': 3,
+      '4': 4,
+      '5': 5,
+      '6': '🐞',
+    },
+  },
+  vae: {
+    skill: {
+      '1': 1,
+      '2': 2,
+      '3': 3,
+      '4': 4,
+      '5': 5,
+      '6': '🦋',
+    },
+  },
+  t2k: {
+    base: {
+      '1': '•',
+      '2': 2,
+      '3': 3,
+      '4': 4,
+      '5': 5,
+      '6': 6,
+      '7': 7,
+      '8': 8,
+      '9': 9,
+      '10': 10,
+      '11': 11,
+      '12': 12,
+    },
+    ammo: {
+      '1': '•',
+      '2': 2,
+      '3': 3,
+      '4': 4,
+      '5': 5,
+      '6': '🎯',
+    },
+    loc: {
+      '1': 'L',
+      '2': 'T',
+      '3': 'T',
+      '4': 'T',
+      '5': 'A',
+      '6': 'H',
+    },
+  },
+};
+
+/**
+ * Gets the label of a die's face.
+ * @param {string} yzGame The game used
+ * @param {string} type   The type of the die's class
+ * @param {number} result The result of the die
+ * @returns {string}
+ */
+export function getFaceLabel(yzGame, type, result) {
+  return String(DICE_ICONS[yzGame]?.[type]?.[result] ?? result);
+}
+
+/* -------------------------------------------- */
+/*  Dice Results                                */
+/* -------------------------------------------- */
+
+/**
+ * Gets the quantity of successes of a result.
+ * @param {DieRules} rules  The rules of the die
+ * @param {number}   result The result of the die
+ * @returns {number}
+ */
+export function getResultCount(rules, result) {
+  return rules.successes[result] ?? (result >= 6 ? 1 : 0);
+}
+
+/**
+ * Rolls a die.
+ *
+ * The result is computed like Foundry's `Die#roll`,
+ * so that the same random numbers give the same results.
+ *
+ * @param {DieRules}          rules   The rules of the die
+ * @param {function(): number} random A generator of numbers in [0, 1)
+ * @param {Object}            [indexes]
+ * @param {number}            [indexes.indexResult=0] The position of the die in its term
+ * @param {number}            [indexes.indexPush=0]   The push that rolls the die
+ * @returns {DieResult}
+ */
+export function rollDie(rules, random, { indexResult = 0, indexPush = 0 } = {}) {
+  const result = Math.ceil(random() * rules.faces);
+  return { result, active: true, count: getResultCount(rules, result), indexResult, indexPush };
+}
+
+/**
+ * Gets the number of times the results were pushed.
+ * @param {DieResult[]} results
+ * @returns {number}
+ */
+export function getPushCount(results) {
+  return results.reduce((c, r) => Math.max(c, r.indexPush || 0), 0);
+}
+
+/**
+ * Tells if some results can be pushed.
+ * @param {DieResult[]} results
+ * @param {number[]}    lockedValues The results that cannot be pushed
+ * @returns {boolean}
+ */
+export function isPushable(results, lockedValues) {
+  return results.some(r => r.active && !r.discarded && !lockedValues.includes(r.result));
+}
+
+/**
+ * Discards the results that are not locked, before rerolling them.
+ * @param {DieResult[]} results      The results, modified in place
+ * @param {number[]}    lockedValues The results that cannot be pushed
+ * @returns {number[]} The positions of the dice to reroll
+ */
+export function discardForPush(results, lockedValues) {
+  const indexesResult = [];
+  for (const r of results) {
+    if (!r.active) continue;
+    if (!lockedValues.includes(r.result)) {
+      r.active = false;
+      r.discarded = true;
+      r.pushed = true;
+      indexesResult.push(r.indexResult);
+    }
+  }
+  return indexesResult;
+}
+
+/**
+ * Counts the active results of some dice.
+ * @param {DiceGroup[]} groups   The dice
+ * @param {string}      type     The type of the dice to count
+ * @param {number}     [value]   The result to search, if any (default: all the results)
+ * @returns {number}
+ */
+export function countResults(groups, type, value) {
+  return groups.reduce((c, g) => {
+    if (g.type !== type) return c;
+    return c + g.results.filter(r => r.active && (value == null || r.result === value)).length;
+  }, 0);
+}
+
+/**
+ * Sums the results of some dice, including the results rerolled by the pushes.
+ * @param {DiceGroup[]} groups The dice
+ * @param {string}      type   The type of the dice to sum
+ * @returns {number}
+ */
+export function sumResults(groups, type) {
+  return groups.reduce((sum, g) => {
+    if (g.type !== type) return sum;
+    return sum + g.results.reduce((s, r) => s + r.result, 0);
+  }, 0);
+}
+
+/**
+ * Counts the banes ("1" on banable dice).
+ * @param {DiceGroup[]} groups The dice
+ * @returns {number}
+ */
+export function countBanes(groups) {
+  return BANABLE_TYPES.reduce((c, type) => c + countResults(groups, type, 1), 0);
+}
+
+/**
+ * Gets the willpower gained by a roll (Forbidden Lands):
+ * one point per "1" on base dice, only when the roll is pushed.
+ * @param {string}  yzGame The game used
+ * @param {boolean} pushed Whether the roll is pushed
+ * @param {number}  trauma The quantity of "1" on base dice
+ * @returns {number}
+ */
+export function getWillpowerGain(yzGame, pushed, trauma) {
+  return yzGame === 'fbl' && pushed ? trauma : 0;
+}
+
+/**
+ * Tells if a roll is a mishap (double 1's in Twilight 2000).
+ * @param {string} yzGame The game used
+ * @param {number} banes  The quantity of banes
+ * @param {number} size   The quantity of dice
+ * @returns {boolean}
+ */
+export function isMishap(yzGame, banes, size) {
+  if (yzGame !== 't2k') return false;
+  return banes >= 2 || banes >= size;
+}
+
+/**
+ * Tells if a roll has caused a panic ("1" on a stress die in the Alien RPG).
+ * A roll cannot be pushed after a panic.
+ * @param {string} yzGame The game used
+ * @param {number} panic  The quantity of "1" on stress dice
+ * @returns {boolean}
+ */
+export function isPanic(yzGame, panic) {
+  return yzGame === 'alien' && panic > 0;
+}
+
+/**
+ * Adds to pools of dice the quantity of dice added by each push (see `PUSH_EXTRA_DICE`),
+ * for the computation of probabilities.
+ * @param {Array<{ dieType: string, n: number, rules: ?DieRules }>} pools The pools of dice
+ * @param {string} yzGame The game used
+ * @returns {Array<{ dieType: string, n: number, rules: ?DieRules, added: number }>}
+ */
+export function withPushExtraDice(pools, yzGame) {
+  const extra = PUSH_EXTRA_DICE[yzGame] || {};
+  const out = pools.map(pool => ({ ...pool, added: extra[pool.dieType] || 0 }));
+  for (const [dieType, n] of Object.entries(extra)) {
+    if (!out.some(pool => pool.dieType === dieType)) out.push({ dieType, n: 0, rules: DIE_RULES[dieType], added: n });
+  }
+  return out;
+}
+
+/**
+ * Builds the matrix of the results of a pushed term:
+ * one row per push, one column per die.
+ * @param {Array<{ row: number, col: number }>} results The results, with their push and position
+ * @param {number} number    The quantity of dice (the extra dice of the pushes add columns)
+ * @param {number} pushCount The number of pushes
+ * @returns {Array<Array<*>>}
+ */
+export function getPushMatrix(results, number, pushCount) {
+  const width = results.reduce((n, r) => Math.max(n, r.col + 1), number);
+  const matrix = [];
+  for (let p = pushCount; p >= 0; p--) matrix[p] = new Array(width).fill(undefined);
+  for (const r of results) matrix[r.row][r.col] = r;
+  return matrix;
+}
+
+/* -------------------------------------------- */
+/*  Ranged Fire                                 */
+/* -------------------------------------------- */
+
+/**
+ * The body locations of the results of a location die (Twilight 2000).
+ * @type {Array<?string>}
+ * @constant
+ */
+export const HIT_LOCATIONS = [null, 'legs', 'torso', 'torso', 'torso', 'arms', 'head'];
+
+/**
+ * Gets the body location of a result of a location die.
+ * @param {number} result The result of the location die
+ * @returns {?string}
+ */
+export function getHitLocation(result) {
+  return HIT_LOCATIONS[result] || null;
+}
+
+/**
+ * The outcome of a ranged attack.
+ * @typedef {Object} RangedFireResult
+ * @property {boolean} hit          Whether the attack hits (at least one success on the attribute and skill dice)
+ * @property {number}  hits         The total quantity of hits (the first hit and the extra hits)
+ * @property {number}  extraHits    The extra hits ("6" on ammo dice of a hit)
+ * @property {number}  suppression  The suppression ("6" on ammo dice of a miss)
+ * @property {number}  ammoSpent    The rounds expended
+ */
+
+/**
+ * Resolves a ranged attack (Twilight 2000): the attack hits with at least one success
+ * on the attribute and skill dice, then each "6" on ammo dice is an extra hit,
+ * or a point of suppression if the attack misses.
+ * @param {Object} stats The counters of the roll
+ * @param {number} stats.successCount The total quantity of successes
+ * @param {number} stats.hitCount     The quantity of "6" on ammo dice
+ * @param {number} stats.ammoSpent    The sum of the ammo dice
+ * @returns {RangedFireResult}
+ */
+export function resolveRangedFire({ successCount, hitCount, ammoSpent }) {
+  const hit = successCount - hitCount > 0;
+  return {
+    hit,
+    hits: hit ? 1 + hitCount : 0,
+    extraHits: hit ? hitCount : 0,
+    suppression: hit ? 0 : hitCount,
+    ammoSpent,
+  };
+}
+
+/**
+ * The stress gained by a character suppressed by a failed Coolness Under Fire roll (Twilight 2000).
+ * @type {number}
+ * @constant
+ */
+export const CUF_STRESS = 1;
+
+/**
+ * Resolves a Coolness Under Fire roll (Twilight 2000):
+ * without any success, the character is suppressed and gains stress.
+ * @param {Object} stats The counters of the roll
+ * @param {number} stats.successCount The total quantity of successes
+ * @returns {{ suppressed: boolean, stress: number }}
+ */
+export function resolveCoolnessUnderFire({ successCount }) {
+  const suppressed = successCount <= 0;
+  return { suppressed, stress: suppressed ? CUF_STRESS : 0 };
+}
+
+/* -------------------------------------------- */
+/*  Push Consequences                           */
+/* -------------------------------------------- */
+
+/**
+ * A resource gained by pushing a roll.
+ * @typedef {Object} PushConsequence
+ * @property {string}   resource     The name of the resource (e.g. `mutationPoints`)
+ * @property {string}   count        The counter of the roll that gives the quantity (e.g. `attributeTrauma`)
+ * @property {string[]} [playbooks]  The playbooks that gain the resource (default: all)
+ */
+
+/**
+ * The table of the push consequences of a game.
+ * @typedef {Object} PushConsequenceTable
+ * @property {string}            playbook   The playbook of the rolls without one
+ * @property {PushConsequence[]} resources  The resources gained by pushing
+ */
+
+/**
+ * The resources gained by pushing a roll, by game.
+ * In Mutant Year Zero, each "1" on base dice of a pushed roll gives a point
+ * that depends on the playbook: mutation (mutants), feral (animals)
+ * or energy points for the modules (robots).
+ * @type {Object<string, PushConsequenceTable>}
+ * @constant
+ */
+export const PUSH_CONSEQUENCES = {
+  myz: {
+    playbook: 'mutant',
+    resources: [
+      { resource: 'mutationPoints', count: 'attributeTrauma', playbooks: ['mutant'] },
+      { resource: 'feralPoints', count: 'attributeTrauma', playbooks: ['animal'] },
+      { resource: 'energyPoints', count: 'attributeTrauma', playbooks: ['robot'] },
+    ],
+  },
+};
+
+/**
+ * Gets the resources gained by pushing a roll.
+ * @param {Object}  stats  The counters of the roll (e.g. `attributeTrauma`, `gearDamage`)
+ *   and whether it is `pushed`
+ * @param {?PushConsequenceTable} table The push consequences of the game
+ * @param {string} [playbook] The playbook of the character (default from the table)
+ * @returns {Array<{ resource: string, value: number }>} The resources gained, if any
+ */
+export function getPushConsequences(stats, table, playbook) {
+  if (!stats.pushed || !table) return [];
+  playbook = playbook || table.playbook;
+  return table.resources
+    .filter(e => !e.playbooks || e.playbooks.includes(playbook))
+    .map(e => ({ resource: e.resource, value: stats[e.count] || 0 }))
+    .filter(e => e.value > 0);
+}
+
+/* -------------------------------------------- */
+/*  Panic                                       */
+/* -------------------------------------------- */
+
+/**
+ * An entry of a panic table.
+ * @typedef {Object} PanicEntry
+ * @property {number[]} range        The lowest and highest totals of the entry
+ * @property {string}   name         The name of the effect
+ * @property {string}   description  The description of the effect
+ */
+
+/**
+ * The built-in panic table of the Alien RPG.
+ * Totals below the first entry or above the last one use the nearest entry.
+ * @type {PanicEntry[]}
+ * @constant
+ */
+export const ALIEN_PANIC_TABLE = [
+  {
+    range: [0, 6],
+    name: 'Keeping It Together',
+    description: 'You manage to keep your nerves in check. Barely.',
+  },
+  {
+    range: [7, 7],
+    name: 'Nervous Twitch',
+    description: 'Your stress level increases by one.',
+  },
+  {
+    range: [8, 8],
+    name: 'Tremble',
+    description: 'You tremble uncontrollably: -2 to all Agility-based skill rolls until the panic stops.',
+  },
+  {
+    range: [9, 9],
+    name: 'Drop Item',
+    description: 'You drop a weapon or another important item.',
+  },
+  {
+    range: [10, 10],
+    name: 'Freeze',
+    description: 'You are frozen by fear for one round and lose your next slow action.',
+  },
+  {
+    range: [11, 11],
+    name: 'Seek Cover',
+    description: 'You must use your next action to move away from danger and find a safe spot.',
+  },
+  {
+    range: [12, 12],
+    name: 'Scream',
+    description: 'You scream for one round and lose your next slow action. '
+      + 'Your stress level increases by one and every friendly character who hears you must make a panic roll.',
+  },
+  {
+    range: [13, 13],
+    name: 'Flee',
+    description: 'You must flee to a safe place and refuse to leave it.',
+  },
+  {
+    range: [14, 14],
+    name: 'Frenzy',
+    description: 'You must immediately attack the nearest person or creature, friend or foe.',
+  },
+  {
+    range: [15, 99],
+    name: 'Catatonic',
+    description: 'You collapse and cannot talk or move, staring blankly into oblivion.',
+  },
+];
+
+/**
+ * Gets the entry of a panic table for a total.
+ * @param {number}       total                     The total of the panic roll (1d6 + stress level)
+ * @param {PanicEntry[]} [table=ALIEN_PANIC_TABLE] The panic table
+ * @returns {PanicEntry}
+ */
+export function getPanicEntry(total, table = ALIEN_PANIC_TABLE) {
+  if (total < table[0].range[0]) return table[0];
+  return table.find(e => total >= e.range[0] && total <= e.range[1]) || table[table.length - 1];
+}
+
+/* -------------------------------------------- */
+/*  Table Dice                                  */
+/* -------------------------------------------- */
+
+/**
+ * The rules of a table die, rolled as a D6 for each digit of its result.
+ * @typedef {Object} TableDieRules
+ * @property {string} denomination The denomination of the die in the Foundry formulas
+ * @property {number} digits       The quantity of digits of the results
+ */
+
+/**
+ * The table dice: the D66 (11 to 66) and the D666 (111 to 666).
+ * @type {Object<string, TableDieRules>}
+ * @constant
+ */
+export const TABLE_DICE = {
+  d66: { denomination: '66', digits: 2 },
+  d666: { denomination: '666', digits: 3 },
+};
+
+/**
+ * Rolls a table die: a D6 for each digit, from the highest digit to the ones.
+ *
+ * Each digit is computed like Foundry's `Die#roll`,
+ * so that the same random numbers give the same results.
+ *
+ * @param {TableDieRules}      rules  The rules of the die
+ * @param {function(): number} random A generator of numbers in [0, 1)
+ * @returns {{ result: number, digits: number[] }}
+ */
+export function rollTableDie(rules, random) {
+  const digits = [];
+  for (let i = 0; i < rules.digits; i++) digits.push(Math.ceil(random() * 6));
+  return { result: Number(digits.join('')), digits };
+}
+
+/**
+ * Gets the digits of a result of a table die, e.g. `[3, 5]` for 35.
+ * @param {number} result The result of the die
+ * @returns {number[]}
+ */
+export function getTableDigits(result) {
+  return String(result).split('').map(Number);
+}
+
+/**
+ * Shifts a result of a table die by a modifier, in the numbering of the die:
+ * +1 turns 16 into 21, and the result stays between the lowest and the highest (e.g. 11 and 66).
+ * @param {number}        result The result of the die
+ * @param {number}        mod    The modifier
+ * @param {TableDieRules} [rules=TABLE_DICE.d66] The rules of the die
+ * @returns {number}
+ */
+export function shiftTableResult(result, mod, rules = TABLE_DICE.d66) {
+  // The digits from 1 to 6 are read as a number in base 6.
+  const index = getTableDigits(result).reduce((n, d) => n * 6 + d - 1, 0);
+  let shifted = Math.min(Math.max(index + mod, 0), 6 ** rules.digits - 1);
+  const digits = [];
+  for (let i = 0; i < rules.digits; i++) {
+    digits.unshift(shifted % 6 + 1);
+    shifted = Math.floor(shifted / 6);
+  }
+  return Number(digits.join(''));
+}
+
+/* -------------------------------------------- */
+/*  Critical Injuries                           */
+/* -------------------------------------------- */
+
+/**
+ * A duration in the time units of a game, e.g. `{ amount: 1, unit: 'round' }`.
+ * @typedef {Object} Duration
+ * @property {number} amount The quantity of units
+ * @property {string} unit   The time unit (`round`, `turn`, `stretch`, `shift`, `quarterDay` or `day`)
+ */
+
+/**
+ * An entry of a critical injury table (D66).
+ * @typedef {Object} CriticalInjury
+ * @property {number[]}  range        The lowest and highest results of the entry
+ * @property {string}    name         The name of the injury
+ * @property {string}    effect       The description of the effect
+ * @property {boolean}   lethal       Whether the injury is lethal without medical care
+ * @property {?Duration} timeLimit    The time to save a lethal injury (`null` for an instant death)
+ * @property {?string}   healingTime  The formula of the days to heal (`null` if nothing to heal)
+ */
+
+/**
+ * Defines an entry of a critical injury table.
+ * @param {number[]}  range
+ * @param {string}    injuryName
+ * @param {string}    effect
+ * @param {Object}   [options]
+ * @param {boolean}  [options.lethal=false]
+ * @param {?Duration} [options.timeLimit=null]
+ * @param {?string}  [options.healingTime=null]
+ * @returns {CriticalInjury}
+ */
+function defineInjury(range, injuryName, effect, { lethal = false, timeLimit = null, healingTime = null } = {}) {
+  return { range, name: injuryName, effect, lethal, timeLimit, healingTime };
+}
+
+/**
+ * The built-in critical injury tables, by game.
+ * The higher the result, the worse the injury.
+ * @type {Object<string, CriticalInjury[]>}
+ * @constant
+ */
+export const CRITICAL_INJURY_TABLES = {
+  myz: [
+    defineInjury([11, 13], 'Winded', 'You lose your next action.'),
+    defineInjury([14, 16], 'Stunned', 'You drop what you hold and lose your next action.'),
+    defineInjury([21, 23], 'Sprained Ankle', '-1 to Move and Sneak.', { healingTime: '1d6' }),
+    defineInjury([24, 26], 'Broken Nose', '-1 to Manipulate.', { healingTime: '1d6' }),
+    defineInjury([31, 33], 'Cracked Ribs', '-1 to Fight and Force.', { healingTime: '1d6' }),
+    defineInjury([34, 36], 'Gouged Eye', '-2 to Shoot and Scout.', { healingTime: '2d6' }),
+    defineInjury([41, 43], 'Broken Leg', 'You cannot walk without help.', { healingTime: '2d6' }),
+    defineInjury([44, 46], 'Broken Arm', 'You cannot use the arm.', { healingTime: '2d6' }),
+    defineInjury([51, 53], 'Internal Bleeding', '-2 to Fight, Force and Move.', {
+      lethal: true, timeLimit: { amount: 1, unit: 'day' }, healingTime: '2d6',
+    }),
+    defineInjury([54, 56], 'Punctured Lung', 'You cannot Endure.', {
+      lethal: true, timeLimit: { amount: 1, unit: 'shift' }, healingTime: '1d6',
+    }),
+    defineInjury([61, 63], 'Crushed Throat', 'You cannot talk.', {
+      lethal: true, timeLimit: { amount: 1, unit: 'turn' }, healingTime: '2d6',
+    }),
+    defineInjury([64, 65], 'Severed Artery', 'You bleed heavily.', {
+      lethal: true, timeLimit: { amount: 1, unit: 'round' }, healingTime: '1d6',
+    }),
+    defineInjury([66, 66], 'Crushed Skull', 'You die instantly.', { lethal: true }),
+  ],
+  fbl: [
+    defineInjury([11, 13], 'Winded', 'You lose your next slow action.'),
+    defineInjury([14, 16], 'Dazed', 'You drop your weapon and lose your next fast action.'),
+    defineInjury([21, 23], 'Twisted Knee', '-1 to Move and Sneak.', { healingTime: '1d6' }),
+    defineInjury([24, 26], 'Broken Fingers', '-1 to Melee and Marksmanship.', { healingTime: '1d6' }),
+    defineInjury([31, 33], 'Cracked Ribs', '-1 to Might and Melee.', { healingTime: '2d6' }),
+    defineInjury([34, 36], 'Gouged Eye', '-2 to Marksmanship and Scouting.', { healingTime: '2d6' }),
+    defineInjury([41, 43], 'Broken Leg', 'You can only crawl.', { healingTime: '3d6' }),
+    defineInjury([44, 46], 'Broken Arm', 'You cannot use the arm.', { healingTime: '3d6' }),
+    defineInjury([51, 53], 'Pierced Guts', '-2 to all physical skills.', {
+      lethal: true, timeLimit: { amount: 1, unit: 'day' }, healingTime: '2d6',
+    }),
+    defineInjury([54, 56], 'Punctured Lung', 'You cannot Endure.', {
+      lethal: true, timeLimit: { amount: 1, unit: 'quarterDay' }, healingTime: '2d6',
+    }),
+    defineInjury([61, 63], 'Slit Throat', 'You cannot talk.', {
+      lethal: true, timeLimit: { amount: 1, unit: 'stretch' }, healingTime: '2d6',
+    }),
+    defineInjury([64, 65], 'Severed Artery', 'You bleed heavily.', {
+      lethal: true, timeLimit: { amount: 1, unit: 'round' }, healingTime: '1d6',
+    }),
+    defineInjury([66, 66], 'Impaled Heart', 'You die instantly.', { lethal: true }),
+  ],
+  alien: [
+    defineInjury([11, 13], 'Winded', 'You lose your next slow action.'),
+    defineInjury([14, 16], 'Stunned', 'You drop what you hold and lose your next action.'),
+    defineInjury([21, 23], 'Sprained Ankle', '-1 to Mobility.', { healingTime: '1d6' }),
+    defineInjury([24, 26], 'Concussion', '-1 to Observation.', { healingTime: '1d6' }),
+    defineInjury([31, 33], 'Broken Ribs', '-1 to Close Combat and Stamina.', { healingTime: '1d6' }),
+    defineInjury([34, 36], 'Damaged Eye', '-2 to Ranged Combat and Observation.', { healingTime: '2d6' }),
+    defineInjury([41, 43], 'Broken Leg', 'You cannot walk without help.', { healingTime: '2d6' }),
+    defineInjury([44, 46], 'Broken Arm', 'You cannot use the arm.', { healingTime: '2d6' }),
+    defineInjury([51, 53], 'Internal Bleeding', '-2 to Stamina and Close Combat.', {
+      lethal: true, timeLimit: { amount: 1, unit: 'shift' }, healingTime: '2d6',
+    }),
+    defineInjury([54, 56], 'Punctured Lung', 'You cannot use Stamina.', {
+      lethal: true, timeLimit: { amount: 1, unit: 'turn' }, healingTime: '1d6',
+    }),
+    defineInjury([61, 63], 'Crushed Throat', 'You cannot talk.', {
+      lethal: true, timeLimit: { amount: 1, unit: 'turn' }, healingTime: '2d6',
+    }),
+    defineInjury([64, 65], 'Severed Artery', 'You bleed heavily.', {
+      lethal: true, timeLimit: { amount: 1, unit: 'round' }, healingTime: '1d6',
+    }),
+    defineInjury([66, 66], 'Crushed Skull', 'You die instantly.', { lethal: true }),
+  ],
+};
+
+/**
+ * Gets the modifier of a critical injury inflicted by a roll: its extra successes.
+ * @param {number} successCount The quantity of successes of the roll
+ * @returns {number}
+ */
+export function getCriticalModifier(successCount) {
+  return Math.max(0, successCount - 1);
+}
+
+/**
+ * Gets the entry of a critical injury table for a result.
+ * Results outside of the ranges use the nearest entry.
+ * @param {number}           result The result of the D66, with its modifier
+ * @param {CriticalInjury[]} table  The critical injury table
+ * @returns {CriticalInjury}
+ */
+export function getCriticalInjury(result, table) {
+  if (result < table[0].range[0]) return table[0];
+  return table.find(e => result >= e.range[0] && result <= e.range[1]) || table[table.length - 1];
+}
+
+/* -------------------------------------------- */
+/*  Initiative                                  */
+/* -------------------------------------------- */
+
+/**
+ * The initiative cards of a deck, from the first to act to the last.
+ * @type {number[]}
+ * @constant
+ */
+export const INITIATIVE_CARDS = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+
+/**
+ * The outcome of an initiative draw.
+ * @typedef {Object} InitiativeDraw
+ * @property {number[]} cards     The cards kept, from the lowest
+ * @property {number[]} returned  The cards put back in the deck (e.g. the worst card of a "keep best" draw)
+ * @property {number[]} deck      The cards left in the deck
+ */
+
+/**
+ * Draws initiative cards without replacement.
+ *
+ * A combatant with several actions per round (e.g. a monster) keeps several cards,
+ * and a "keep best" draw (e.g. a talent) draws an extra card and puts the worst one back.
+ *
+ * @param {number[]} deck The cards left in the deck
+ * @param {Object}   [options]
+ * @param {number}   [options.count=1]        The quantity of cards to keep
+ * @param {boolean}  [options.keepBest=false] Whether to draw an extra card and keep the best ones
+ * @param {function(): number} [random=Math.random] A generator of numbers in [0, 1)
+ * @returns {?InitiativeDraw} The draw, or `null` if the deck has not enough cards
+ */
+export function drawInitiative(deck, { count = 1, keepBest = false } = {}, random = Math.random) {
+  const quantity = count + (keepBest ? 1 : 0);
+  if (count < 1 || deck.length < quantity) return null;
+
+  const left = [...deck];
+  const drawn = [];
+  for (let i = 0; i < quantity; i++) drawn.push(...left.splice(Math.floor(random() * left.length), 1));
+  drawn.sort((a, b) => a - b);
+
+  const returned = drawn.slice(count);
+  return { cards: drawn.slice(0, count), returned, deck: returnCards(left, returned) };
+}
+
+/**
+ * Puts cards back in a deck.
+ * @param {number[]} deck  The cards left in the deck
+ * @param {number[]} cards The cards to put back
+ * @returns {number[]} The new deck, sorted
+ */
+export function returnCards(deck, cards) {
+  return [...deck, ...cards].sort((a, b) => a - b);
+}
+
+/**
+ * Gets the cards left in a deck, from the cards held by the combatants.
+ * @param {number[][]} hands The cards held by each combatant
+ * @returns {number[]}
+ */
+export function getInitiativeDeck(hands) {
+  const held = hands.flat();
+  return INITIATIVE_CARDS.filter(c => !held.includes(c));
+}
+
+/* -------------------------------------------- */
+/*  Difficulty Modifiers                        */
+/* -------------------------------------------- */
+
+/**
+ * Applies a difficulty modifier to quantities of dice.
+ * @param {Object<string, number>} dice The quantities of dice, modified in place
+ * @param {number} mod    Difficulty modifier (bonus or malus)
+ * @param {string} yzGame The game used
+ * @returns {Object<string, number>} The modified quantities of dice
+ * @throws {RangeError} When the modifier cannot be applied
+ */
+export function modifyDice(dice, mod, yzGame) {
+  let occurenceNb = 0;
+  while (mod !== 0) {
+    // Failsafe – Watches the number of occurences to avoid infinite loops.
+    occurenceNb++;
+    if (occurenceNb >= 100) throw new RangeError('Infinite modify loop!');
+
+    // TWILIGHT 2000
+    if (yzGame === 't2k') {
+      const dieTypes = ['d', 'c', 'b', 'a'];
+
+      // Creates a dice pool array and finds the total quantities of each die.
+      const pool = Object.entries(dice).reduce((arr, [k, v]) => {
+        if (dieTypes.includes(k)) {
+          for (; v > 0; v--) arr.push(k);
+        }
+        return arr;
+      }, []);
+      const n = pool.length;
+
+      // Early exits.
+      if (mod > 0) {
+        if (n > 2) break;
+      }
+      else if (n === 0) {
+        dice.d = 1;
+        break;
+      }
+      else if (n === 1 && pool.includes('d')) {
+        break;
+      }
+
+      // Initializes null dice.
+      for (const type of dieTypes) if (!dice[type]) dice[type] = 0;
+
+      // Gets the die to modify.
+      // For a positive modifier, we take the highest die.
+      // For a negative modifier, we take the lowest one.
+      const die = pool.reduce((a, b) => {
+        if (mod > 0) {
+          if (b === 'a') return a;
+          return a < b ? a : b;
+        }
+        return a > b ? a : b;
+      }, undefined);
+
+      // Modifies the range.
+      const currentRangeIndex = dieTypes.indexOf(die);
+      let newDie;
+      if (currentRangeIndex >= 0) {
+        const maxRangeIndex = dieTypes.length - 1;
+        const rangeIndex = currentRangeIndex + mod;
+        const newRangeIndex = Math.min(maxRangeIndex, Math.max(rangeIndex, 0));
+        newDie = dieTypes[newRangeIndex];
+        mod -= (newRangeIndex - currentRangeIndex);
+        dice[die]--;
+        dice[newDie]++;
+      }
+
+      // Positive excess mod means adding an extra die.
+      // Note: the pool can only have a maximum of 2 dice.
+      if (mod > 0) {
+        if (n < 2) {
+          const ex = Math.min(dieTypes.length, mod);
+          dice[dieTypes[ex - 1]]++;
+          if (mod > ex) mod -= ex;
+          else break;
+        }
+        else {
+          const diceBelowMaxRange = Object.entries(dice)
+            .filter(([k, v]) => v > 0 && dieTypes.includes(k) && k > 'a').length;
+          if (diceBelowMaxRange <= 0) break;
+        }
+      }
+      // Negative excess mod means removing the die and decreasing another one.
+      // Note: The pool has always 1 die.
+      else if (mod < 0 && n > 1) {
+        dice[newDie]--;
+        // We add 1 because we removed one die (which is 1 step).
+        mod++;
+      }
+    }
+    // MUTANT YEAR ZERO & FORBIDDEN LANDS
+    else if (yzGame === 'myz' || yzGame === 'fbl') {
+      // Skill dice & neg dice cancel each other.
+      const skill = (dice.skill || 0) - (dice.neg || 0) + mod;
+      dice.skill = Math.max(0, skill);
+      dice.neg = Math.max(0, -skill);
+      mod = 0;
+    }
+    // ALL OTHER GAMES
+    else {
+      if (!dice.skill) dice.skill = 0;
+      dice.skill = Math.max(1, dice.skill + mod);
+      mod = 0;
+    }
+  }
+  return dice;
+}
+
+/**
+ * Steps artifact dice up or down (`artoD8` ↔ `artoD10` ↔ `artoD12`).
+ *
+ * A positive step takes the highest die below the D12,
+ * a negative step takes the lowest die. A D8 stepped down is removed.
+ * @param {Object<string, number>} dice The quantities of dice, modified in place
+ * @param {number} step The number of steps (up or down)
+ * @returns {Object<string, number>} The modified quantities of dice
+ * @throws {RangeError} When the steps cannot be applied
+ */
+export function stepArtifactDice(dice, step) {
+  const types = ARTIFACT_DIE_TYPES;
+  let occurenceNb = 0;
+  while (step !== 0) {
+    // Failsafe – Watches the number of occurences to avoid infinite loops.
+    occurenceNb++;
+    if (occurenceNb >= 100) throw new RangeError('Infinite step loop!');
+
+    if (step > 0) {
+      const index = types.slice(0, -1).map(t => dice[t] > 0).lastIndexOf(true);
+      if (index < 0) break;
+      dice[types[index]]--;
+      dice[types[index + 1]] = (dice[types[index + 1]] || 0) + 1;
+      step--;
+    }
+    else {
+      const index = types.findIndex(t => dice[t] > 0);
+      if (index < 0) break;
+      dice[types[index]]--;
+      if (index > 0) dice[types[index - 1]] = (dice[types[index - 1]] || 0) + 1;
+      step++;
+    }
+  }
+  return dice;
+}
+
+/**
+ * Adds the die of a Pride to quantities of dice (Forbidden Lands).
+ * @param {Object<string, number>} dice The quantities of dice, modified in place
+ * @returns {Object<string, number>} The modified quantities of dice
+ */
+export function addPrideDie(dice) {
+  dice[PRIDE_DIE_TYPE] = (dice[PRIDE_DIE_TYPE] || 0) + 1;
+  return dice;
+}
+
+/* -------------------------------------------- */
+/*  Resource Dice                               */
+/* -------------------------------------------- */
+
+/**
+ * Resource die types of Forbidden Lands (food, water, arrows, torches),
+ * from the lowest to the highest step.
+ * @type {string[]}
+ * @constant
+ */
+export const RESOURCE_DIE_TYPES = ['resD6', 'resD8', 'resD10', 'resD12'];
+
+/**
+ * The results that step a resource die down.
+ * @type {number[]}
+ * @constant
+ */
+export const RESOURCE_STEP_DOWN_VALUES = [1, 2];
+
+/**
+ * Gets the type of a resource die from its size.
+ * @param {number|string} size The size of the die: its faces (`8`), its name (`d8`) or its type (`resD8`)
+ * @returns {?string} The type of the die, or `null` if the size is not a resource die (e.g. `0` when depleted)
+ */
+export function getResourceDieType(size) {
+  if (RESOURCE_DIE_TYPES.includes(size)) return size;
+  const faces = parseInt(String(size).replace(/^d/i, ''));
+  return RESOURCE_DIE_TYPES.find(t => DIE_RULES[t].faces === faces) || null;
+}
+
+/**
+ * Steps a resource die after a roll: a "1" or a "2" steps it down,
+ * and a D6 stepped down runs out.
+ * @param {string} type   The type of the resource die
+ * @param {number} result The result of the die
+ * @returns {{ steppedDown: boolean, from: number, to: number }} The sizes (faces) before and after the roll,
+ *   `0` when the resource runs out
+ */
+export function stepResourceDie(type, result) {
+  const index = RESOURCE_DIE_TYPES.indexOf(type);
+  if (index < 0) throw new RangeError(`Unknown resource die: "${type}".`);
+  const from = DIE_RULES[type].faces;
+  const steppedDown = RESOURCE_STEP_DOWN_VALUES.includes(result);
+  if (!steppedDown) return { steppedDown, from, to: from };
+  return { steppedDown, from, to: index > 0 ? DIE_RULES[RESOURCE_DIE_TYPES[index - 1]].faces : 0 };
+}
+
+/* -------------------------------------------- */
+/*  Supply                                      */
+/* -------------------------------------------- */
+
+/**
+ * The outcome of a supply roll (Alien RPG).
+ * @typedef {Object} SupplyResult
+ * @property {number}  from    The supply before the roll
+ * @property {number}  to      The supply after the roll
+ * @property {number}  dropped The quantity of supply lost
+ * @property {boolean} low     Whether the supply was low when rolled
+ * @property {number}  stress  The stress gained by rolling under low supply
+ */
+
+/**
+ * The supply at or under which a supply roll is under low supply (Alien RPG).
+ * @type {number}
+ * @constant
+ */
+export const LOW_SUPPLY = 2;
+
+/**
+ * Resolves a supply roll (Alien RPG): a stress die per supply point,
+ * and each "1" reduces the supply by one.
+ * @param {Object} stats The counters of the roll
+ * @param {number} stats.supply The supply rolled
+ * @param {number} stats.ones   The quantity of "1" on the stress dice
+ * @param {Object} [options]
+ * @param {number} [options.lowSupply=LOW_SUPPLY] The supply at or under which the supply is low
+ * @param {number} [options.stress=0]             The stress gained by rolling under low supply
+ * @returns {SupplyResult}
+ */
+export function resolveSupply({ supply, ones }, { lowSupply = LOW_SUPPLY, stress = 0 } = {}) {
+  const dropped = Math.min(ones, supply);
+  const low = supply <= lowSupply;
+  return { from: supply, to: supply - dropped, dropped, low, stress: low ? stress : 0 };
+}
+
+/* -------------------------------------------- */
+/*  Probabilities                               */
+/* -------------------------------------------- */
+
+/**
+ * The counters of a state of the pool, in the order of `DieOutcome.stats`.
+ * @type {string[]}
+ * @constant
+ */
+const PROBABILITY_STATS = ['successes', 'banes', 'trauma', 'gearDamage', 'panic'];
+
+/**
+ * The default maximum number of states computed by `probability()`, under a second of computing.
+ * It is enough for a pool of 20 dice of three types with a push
+ * (e.g. 8 base, 8 skill and 4 gear dice), or 30 dice of two types.
+ * @type {number}
+ * @constant
+ */
+export const PROBABILITY_MAX_STATES = 250000;
+
+/**
+ * An outcome of a die: its faces with the same effect on the roll.
+ * @typedef {Object} DieOutcome
+ * @property {boolean}  locked Whether the faces cannot be pushed
+ * @property {number[]} stats  What the faces add to each counter of `PROBABILITY_STATS`
+ * @property {number}   p      The probability of the outcome
+ */
+
+/**
+ * Computes the exact probabilities of a pool of dice, including pushes.
+ *
+ * A push rerolls all the non-locked dice, unless the roll is a mishap or a panic,
+ * and adds the dice of `PUSH_EXTRA_DICE` (e.g. a stress die in the Alien RPG).
+ * Dice whose rules are `null` (e.g. location dice) have no effect on the roll.
+ * A pushed roll also gets the probabilities of its initial roll (see `YearZeroProbability.initial`).
+ *
+ * The computing time grows with the number of states of the pool,
+ * which is limited by `maxStates` (see `PROBABILITY_MAX_STATES` for the supported pools):
+ * callers of larger pools should catch the error and fall back to a simulation.
+ *
+ * @param {Array<{ n: number, rules: DieRules, added?: number }>} pools
+ *   The quantity and the rules of each die type, and the quantity of dice added by each push
+ * @param {Object}  [options]
+ * @param {string}  [options.yzGame]    The game used
+ * @param {number}  [options.pushes=0]  The number of times the roll is pushed
+ * @param {number}  [options.maxStates] The maximum number of states to compute
+ * @returns {YearZeroProbability}
+ * @throws {RangeError} When the pool has more states than `maxStates`
+ */
+export function probability(pools, { yzGame = null, pushes = 0, maxStates = PROBABILITY_MAX_STATES } = {}) {
+  pools = pools
+    .filter(pool => pool.rules && (pool.n > 0 || pool.added > 0))
+    .map(pool => ({ n: pool.n, added: pool.added || 0, outcomes: getDieOutcomes(pool.rules) }));
+
+  // A state of the pool only holds what its result needs: the counters of the locked dice,
+  // the counters of the other dice (rerolled by a push), the quantity of unlocked dice of each type,
+  // and the quantity of dice of each type still to roll. The states with the same key are merged,
+  // so their number grows with the counters, not with the combinations of faces.
+  const zeros = PROBABILITY_STATS.map(() => 0);
+  let stateCount = 0;
+  const countState = () => {
+    if (++stateCount > maxStates) {
+      throw new RangeError(`Too many states to compute the probabilities (more than ${maxStates}).`);
+    }
+  };
+  const addState = (map, state) => {
+    countState();
+    const key = [
+      state.failed, state.size, ...state.locked, ...state.free, ...state.unlocked, ...state.pending,
+    ].join(',');
+    const existing = map.get(key);
+    if (existing) existing.p += state.p;
+    else map.set(key, state);
+  };
+
+  // Computes the statistics of a state of the pool.
+  const getStats = state => {
+    const stats = { size: state.size, unlocked: state.unlocked.reduce((a, b) => a + b, 0) };
+    PROBABILITY_STATS.forEach((k, i) => stats[k] = state.locked[i] + state.free[i]);
+    stats.mishap = isMishap(yzGame, stats.banes, stats.size);
+    stats.blocked = stats.mishap || isPanic(yzGame, stats.panic);
+    return stats;
+  };
+
+  // Gets the outcomes of `n` dice of a pool: what they add to the counters of a state.
+  // The last roll does not need to know which dice are unlocked, nor which dice a push would reroll.
+  const poolOutcomes = new Map();
+  const getPoolOutcomes = (i, n, last) => {
+    const key = `${i},${n},${last}`;
+    if (poolOutcomes.has(key)) return poolOutcomes.get(key);
+    let outcomes = [{ locked: zeros, free: zeros, unlocked: 0, p: 1 }];
+    for (let d = 0; d < n; d++) {
+      const rolled = new Map();
+      for (const outcome of outcomes) {
+        for (const o of pools[i].outcomes) {
+          const counters = o.locked || last ? 'locked' : 'free';
+          const next = {
+            ...outcome,
+            [counters]: outcome[counters].map((c, k) => c + o.stats[k]),
+            unlocked: o.locked || last ? outcome.unlocked : outcome.unlocked + 1,
+            p: outcome.p * o.p,
+          };
+          countState();
+          const nextKey = [...next.locked, ...next.free, next.unlocked].join(',');
+          if (rolled.has(nextKey)) rolled.get(nextKey).p += next.p;
+          else rolled.set(nextKey, next);
+        }
+      }
+      outcomes = [...rolled.values()];
+    }
+    poolOutcomes.set(key, outcomes);
+    return outcomes;
+  };
+
+  // Rolls the pending dice of the states, one pool at a time.
+  const rollPending = (map, last) => pools.reduce((rolling, pool, i) => {
+    const rolled = new Map();
+    for (const state of rolling.values()) {
+      const n = state.pending[i];
+      if (!n) {
+        addState(rolled, state);
+        continue;
+      }
+      const pending = state.pending.map((q, j) => j === i ? 0 : q);
+      for (const o of getPoolOutcomes(i, n, last)) {
+        addState(rolled, {
+          failed: state.failed,
+          size: state.size + n,
+          locked: state.locked.map((c, k) => c + o.locked[k]),
+          free: state.free.map((c, k) => c + o.free[k]),
+          unlocked: state.unlocked.map((u, j) => j === i ? u + o.unlocked : u),
+          pending,
+          p: state.p * o.p,
+        });
+      }
+    }
+    return rolled;
+  }, map);
+
+  // Step 1 — The initial roll.
+  // Each state remembers whether the initial roll was a failure.
+  let states = new Map();
+  const start = {
+    failed: false, size: 0, locked: zeros, free: zeros,
+    unlocked: pools.map(() => 0), pending: pools.map(pool => pool.n), p: 1,
+  };
+  for (const state of rollPending(new Map([['', start]]), pushes === 0).values()) {
+    addState(states, { ...state, failed: getStats(state).successes < 1 });
+  }
+
+  // The final states are summed up as soon as they are known (see Step 3).
+  const createResult = () => ({
+    successes: {},
+    atLeast: {},
+    expected: { successes: 0, banes: 0, trauma: 0, gearDamage: 0, panic: 0 },
+    chances: { trauma: 0, gearDamage: 0, panic: 0, mishap: 0 },
+    pushedToSuccess: 0,
+  });
+  const addResult = (result, state) => {
+    const stats = getStats(state);
+    result.successes[stats.successes] = (result.successes[stats.successes] || 0) + state.p;
+    for (const k of Object.keys(result.expected)) result.expected[k] += stats[k] * state.p;
+    for (const k of ['trauma', 'gearDamage', 'panic']) if (stats[k] > 0) result.chances[k] += state.p;
+    if (stats.mishap) result.chances.mishap += state.p;
+    if (state.failed && stats.successes >= 1) result.pushedToSuccess += state.p;
+  };
+  const sumAtLeast = result => {
+    const max = Math.max(0, ...Object.keys(result.successes).map(Number));
+    for (let k = max; k >= 1; k--) {
+      result.atLeast[k] = (result.atLeast[k + 1] || 0) + (result.successes[k] || 0);
+    }
+    return result;
+  };
+  const out = createResult();
+
+  // A pushed roll also sums up its initial roll, so its callers do not need a second run.
+  if (pushes > 0) {
+    out.initial = createResult();
+    for (const state of states.values()) addResult(out.initial, state);
+    sumAtLeast(out.initial);
+  }
+
+  // Step 2 — The pushes.
+  for (let push = 0; push < pushes; push++) {
+    const pushedStates = new Map();
+    const keepState = push === pushes - 1 ? state => addResult(out, state) : state => addState(pushedStates, state);
+    const rerolls = new Map();
+    for (const state of states.values()) {
+      const stats = getStats(state);
+      if (!stats.unlocked || stats.blocked) {
+        keepState(state);
+        continue;
+      }
+      // Keeps the locked dice, and rerolls the others with the dice added by the push.
+      addState(rerolls, {
+        ...state,
+        size: state.size - stats.unlocked,
+        free: zeros,
+        unlocked: pools.map(() => 0),
+        pending: state.unlocked.map((u, i) => u + pools[i].added),
+      });
+    }
+    for (const state of rollPending(rerolls, push === pushes - 1).values()) keepState(state);
+    states = pushedStates;
+  }
+
+  // Step 3 — Sums up the final states.
+  for (const state of states.values()) addResult(out, state);
+  return sumAtLeast(out);
+}
+
+/**
+ * Gets the possible outcomes of a die, grouping its faces
+ * with the same quantity of successes and the same locked state.
+ * @param {DieRules} rules The rules of the die
+ * @returns {DieOutcome[]}
+ */
+function getDieOutcomes(rules) {
+  const outcomes = new Map();
+  for (let r = 1; r <= rules.faces; r++) {
+    const locked = rules.lockedValues.includes(r);
+    const count = getResultCount(rules, r);
+    const one = r === 1;
+    const key = `${locked}|${count}|${one}`;
+    if (!outcomes.has(key)) {
+      const stats = [
+        count,
+        one && BANABLE_TYPES.includes(rules.type) ? 1 : 0,
+        one && rules.type === 'base' ? 1 : 0,
+        one && rules.type === 'gear' ? 1 : 0,
+        one && rules.type === 'stress' ? 1 : 0,
+      ];
+      outcomes.set(key, { locked, stats, p: 0 });
+    }
+    outcomes.get(key).p += 1 / rules.faces;
+  }
+  return [...outcomes.values()];
+}
+
+/* -------------------------------------------- */
+/*  Random Numbers                              */
+/* -------------------------------------------- */
+
+/**
+ * Creates a seeded generator of numbers in [0, 1) (mulberry32).
+ * @param {number}  seed    The seed, an unsigned 32-bit integer
+ * @param {number} [skip=0] Quantity of numbers to skip, to resume a sequence
+ * @returns {function(): number}
+ */
+export function createSeededRandom(seed, skip = 0) {
+  let a = seed >>> 0;
+  const generator = function() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  for (let i = 0; i < skip; i++) generator();
+  return generator;
+}
+
+/* -------------------------------------------- */
+/*  Dice Pool                                   */
+/* -------------------------------------------- */
+
+/**
+ * A standalone Year Zero roll, for uses outside of the Foundry VTT
+ * (e.g. a chat bot or a character generator).
+ *
+ * The dice are rolled in the order of the quantities, then pushed in the same order,
+ * like a `YearZeroRoll` created with `createFromDiceQuantities()`.
+ *
+ * @example
+ * const pool = new YearZeroDicePool({ base: 5, skill: 2 }, { yzGame: 'myz', seed: 42 });
+ * pool.roll().push();
+ * console.log(pool.successCount, pool.attributeTrauma);
+ */
+export class YearZeroDicePool {
+  /**
+   * @param {Object<string, number>} dice  The quantities of dice
+   * @param {Object}   [options]
+   * @param {string}   [options.yzGame='myz']  The game used
+   * @param {number}   [options.maxPush=1]     The maximum number of pushes
+   * @param {number}   [options.seed]          The seed of the random numbers
+   * @param {function(): number} [options.random] A generator of numbers in [0, 1) (default: the seed or `Math.random`)
+   * @param {boolean}  [options.pride=false]   Whether to add the die of a Pride (Forbidden Lands)
+   */
+  constructor(dice, { yzGame = 'myz', maxPush = 1, seed = null, random = null, pride = false } = {}) {
+    if (!GAMES.includes(yzGame)) throw new TypeError(`Unknown game: "${yzGame}".`);
+    this.game = yzGame;
+    this.maxPush = maxPush;
+    this.seed = seed;
+    this.pride = pride;
+    if (pride) dice = addPrideDie({ ...dice });
+    this.random = random || (seed != null ? createSeededRandom(seed) : Math.random);
+
+    /**
+     * The terms of the roll. The `number` of a term is the quantity of dice asked for:
+     * the extra dice of the pushes (e.g. a stress die) are only in its `results`.
+     * @type {Array<{ type: string, dieType: string, number: number, rules: DieRules, results: DieResult[] }>}
+     */
+    this.terms = [];
+    for (const [dieType, n] of Object.entries(dice)) {
+      if (!(n > 0)) continue;
+      const rules = DIE_RULES[dieType];
+      if (!rules) throw new TypeError(`Unknown die type: "${dieType}".`);
+      this.terms.push({ type: rules.type, dieType, number: n, rules, results: [] });
+    }
+    this.rolled = false;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * The total number of dice in the roll.
+   * @type {number}
+   * @readonly
+   */
+  get size() {
+    return this.terms.reduce((s, t) => t.type === 'loc' ? s : s + t.number, 0);
+  }
+
+  /**
+   * The number of times this roll has been pushed.
+   * @type {number}
+   * @readonly
+   */
+  get pushCount() {
+    return this.terms.reduce((c, t) => Math.max(c, getPushCount(t.results)), 0);
+  }
+
+  /**
+   * Whether the roll was pushed or not.
+   * @type {boolean}
+   * @readonly
+   */
+  get pushed() {
+    return this.pushCount > 0;
+  }
+
+  /**
+   * Tells if the roll is pushable.
+   * @type {boolean}
+   * @readonly
+   */
+  get pushable() {
+    return (
+      this.pushCount < this.maxPush
+      && this.terms.some(t => t.type !== 'loc' && isPushable(t.results, t.rules.lockedValues))
+      && !this.mishap
+      && !isPanic(this.game, this.panic)
+    );
+  }
+
+  /**
+   * The quantity of successes.
+   * @type {number}
+   * @readonly
+   */
+  get successCount() {
+    return this.terms.reduce((s, t) => s + t.results.reduce((c, r) => r.active ? c + r.count : c, 0), 0);
+  }
+
+  /**
+   * The quantity of ones (banes).
+   * @type {number}
+   * @readonly
+   */
+  get baneCount() {
+    return countBanes(this.terms);
+  }
+
+  /**
+   * The quantity of traumas ("1" on base dice).
+   * @type {number}
+   * @readonly
+   */
+  get attributeTrauma() {
+    return countResults(this.terms, 'base', 1);
+  }
+
+  /**
+   * The quantity of gear damage ("1" on gear dice).
+   * @type {number}
+   * @readonly
+   */
+  get gearDamage() {
+    return countResults(this.terms, 'gear', 1);
+  }
+
+  /**
+   * The quantity of stress dice.
+   * @type {number}
+   * @readonly
+   */
+  get stress() {
+    return countResults(this.terms, 'stress');
+  }
+
+  /**
+   * The quantity of panic ("1" on stress dice).
+   * @type {number}
+   * @readonly
+   */
+  get panic() {
+    return countResults(this.terms, 'stress', 1);
+  }
+
+  /**
+   * Tells if the roll is a mishap (double 1's).
+   * @type {boolean}
+   * @readonly
+   */
+  get mishap() {
+    return isMishap(this.game, this.baneCount, this.size);
+  }
+
+  /**
+   * The quantity of successes on ammo dice.
+   * @type {number}
+   * @readonly
+   */
+  get hitCount() {
+    return countResults(this.terms, 'ammo', 6);
+  }
+
+  /**
+   * The quantity of ammo spent. Equal to the sum of the ammo dice, pushes included.
+   * @type {number}
+   * @readonly
+   */
+  get ammoSpent() {
+    return sumResults(this.terms, 'ammo');
+  }
+
+  /**
+   * The outcome of the roll as a ranged attack (Twilight 2000).
+   * @type {RangedFireResult}
+   * @readonly
+   */
+  get rangedFire() {
+    return resolveRangedFire(this);
+  }
+
+  /**
+   * The quantity of willpower points gained ("1" on base dice of a pushed roll, Forbidden Lands).
+   * @type {number}
+   * @readonly
+   */
+  get willpower() {
+    return getWillpowerGain(this.game, this.pushed, this.attributeTrauma);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Rolls the dice.
+   * @returns {YearZeroDicePool} This roll
+   */
+  roll() {
+    if (this.rolled) throw new Error('This roll has already been rolled.');
+    for (const t of this.terms) {
+      for (let i = 0; i < t.number; i++) {
+        t.results.push(rollDie(t.rules, this.random, { indexResult: i }));
+      }
+    }
+    this.rolled = true;
+    return this;
+  }
+
+  /**
+   * Pushes the roll, following the YZ rules.
+   * @returns {YearZeroDicePool} This roll, pushed
+   */
+  push() {
+    if (!this.rolled) this.roll();
+    if (!this.pushable) return this;
+    const pushCount = this.pushCount + 1;
+    for (const t of this.terms) {
+      // Location dice are never pushed.
+      if (t.type === 'loc' || !isPushable(t.results, t.rules.lockedValues)) continue;
+      const indexPush = getPushCount(t.results) + 1;
+      for (const indexResult of discardForPush(t.results, t.rules.lockedValues)) {
+        t.results.push(rollDie(t.rules, this.random, { indexResult, indexPush }));
+      }
+    }
+    // Adds the extra dice of the push (e.g. a stress die), after the rerolls.
+    for (const [dieType, n] of Object.entries(PUSH_EXTRA_DICE[this.game] || {})) {
+      let t = this.terms.find(term => term.dieType === dieType);
+      if (!t) {
+        const rules = DIE_RULES[dieType];
+        t = { type: rules.type, dieType, number: 0, rules, results: [] };
+        this.terms.push(t);
+      }
+      // The number of the term is unchanged, so the pool still describes the dice asked for.
+      const nextIndex = t.results.reduce((i, r) => Math.max(i, r.indexResult + 1), 0);
+      for (let i = 0; i < n; i++) {
+        t.results.push(rollDie(t.rules, this.random, { indexResult: nextIndex + i, indexPush: pushCount }));
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Gets the resources gained by pushing the roll (see `PUSH_CONSEQUENCES`).
+   * @param {string} [playbook] The playbook of the character
+   * @returns {Array<{ resource: string, value: number }>}
+   */
+  getPushConsequences(playbook) {
+    return getPushConsequences(this, PUSH_CONSEQUENCES[this.game], playbook);
+  }
+
+  /**
+   * Applies a difficulty modifier to the dice.
+   * @param {number} mod Difficulty modifier (bonus or malus)
+   * @param {Object} [options]
+   * @param {number} [options.artifactStep=0] Steps of the artifact dice (up or down)
+   * @returns {YearZeroDicePool} A new roll, modified
+   */
+  modify(mod, { artifactStep = 0 } = {}) {
+    const dice = this.getDiceQuantities();
+    modifyDice(dice, mod, this.game);
+    stepArtifactDice(dice, artifactStep);
+    const pool = new this.constructor(dice, { yzGame: this.game, maxPush: this.maxPush });
+    // The die of the Pride is already in the quantities.
+    pool.pride = this.pride;
+    return pool;
+  }
+
+  /**
+   * Gets the quantities of each die type asked for, without the extra dice of the pushes.
+   * @returns {Object<string, number>}
+   */
+  getDiceQuantities() {
+    return this.terms.reduce((dice, t) => {
+      // The terms added by a push have no dice asked for.
+      if (!t.number) return dice;
+      dice[t.dieType] = (dice[t.dieType] || 0) + t.number;
+      return dice;
+    }, {});
+  }
+
+  /**
+   * Computes the exact probabilities of the dice.
+   * @param {number}  [pushes=0]          The number of times the roll is pushed
+   * @param {Object}  [options]
+   * @param {number}  [options.maxStates] The maximum number of states to compute (see `probability()`)
+   * @returns {YearZeroProbability}
+   * @throws {RangeError} When the pool is too large
+   */
+  probability(pushes = 0, { maxStates } = {}) {
+    return probability(
+      withPushExtraDice(
+        this.terms.map(t => ({ dieType: t.dieType, n: t.number, rules: t.type === 'loc' ? null : t.rules })),
+        this.game,
+      ),
+      { yzGame: this.game, pushes, maxStates },
+    );
+  }
+
+  /** @returns {Object} A plain object of the roll */
+  toJSON() {
+    return {
+      game: this.game,
+      maxPush: this.maxPush,
+      seed: this.seed,
+      dice: this.getDiceQuantities(),
+      results: this.terms.map(t => ({
+        type: t.dieType,
+        results: t.results.map(r => ({ ...r })),
+      })),
+      successCount: this.successCount,
+      baneCount: this.baneCount,
+      attributeTrauma: this.attributeTrauma,
+      gearDamage: this.gearDamage,
+      stress: this.stress,
+      panic: this.panic,
+      mishap: this.mishap,
+      hitCount: this.hitCount,
+      ammoSpent: this.ammoSpent,
+      willpower: this.willpower,
+      pride: this.pride,
+      pushCount: this.pushCount,
+    };
+  }
+}
@@ -20,13 +20,88 @@
  * - (Base/Skill/Gear/etc..)Die: Extends of the YearZeroDie class with specific
  *     DENOMINATION and LOCKED_VALUE constants.
  * 
- * - CONFIG.YZUR.game: The name of the game stored in the Foundry config.
+ * - (D6/D8/D10/D12)ResourceDie: The resource dice of Forbidden Lands.
+ * 
+ * - D66Die & D666Die: The dice of the tables, with a D6 for each digit.
+ * 
+ * - YearZeroDiceThemes: Registry of the themes of the dice faces
+ *     (images, HTML or emoji).
+ * 
+ * - YearZeroRandom: Interface for the random numbers of the rolls
+ *     (seeded and replayable rolls, cryptographic source).
+ * 
+ * - YZRollDialog: Dialog for building a pool of dice.
+ * 
+ * - YearZeroChat: Interface for the listeners of the chat cards
+ *     (e.g. the push button) and the `/yz` chat command.
+ * 
+ * - YearZeroPanic: Interface for the panic rolls of the Alien RPG.
+ * 
+ * - YearZeroDarkness: Interface for the Darkness Points of Coriolis.
+ * 
+ * - YearZeroTables: Interface for the D66 and D666 draws on RollTables.
+ * 
+ * - YearZeroCriticals: Interface for the critical injuries (MYZ, FBL & Alien).
+ * 
+ * - YearZeroResources: Interface for the resource dice of Forbidden Lands.
+ * 
+ * - YearZeroSupply: Interface for the supply rolls of the Alien RPG.
+ * 
+ * - CONFIG.YZUR.game: The name of the default game stored in the Foundry config.
+ * 
+ * - CONFIG.YZUR.games: The names of all the registered games.
  * 
  * - CONFIG.YZUR.DICE.ICONS.{..}: The dice labels stored in the Foundry config.
  * 
+ * The rules of the dice are in the Foundry-agnostic `yearzero-core.js`.
  * ===============================================================================
  */
 
+import {
+  DIE_TYPES_MAP,
+  GAMES,
+  BANABLE_TYPES,
+  DIE_RULES,
+  getResultCount,
+  getPushCount,
+  isPushable,
+  discardForPush,
+  countResults,
+  countBanes,
+  isMishap,
+  getPushMatrix,
+  modifyDice,
+  getDieAliases,
+  probability,
+  createSeededRandom,
+  DICE_ICONS,
+  PUSH_EXTRA_DICE,
+  isPanic,
+  withPushExtraDice,
+  ALIEN_PANIC_TABLE,
+  getPanicEntry,
+  getWillpowerGain,
+  stepArtifactDice,
+  addPrideDie,
+  PUSH_CONSEQUENCES,
+  getPushConsequences,
+  PUSH_DARKNESS_POINTS,
+  sumResults,
+  getHitLocation,
+  resolveRangedFire,
+  resolveCoolnessUnderFire,
+  TABLE_DICE,
+  rollTableDie,
+  getTableDigits,
+  shiftTableResult,
+  CRITICAL_INJURY_TABLES,
+  getCriticalModifier,
+  getCriticalInjury,
+  getResourceDieType,
+  stepResourceDie,
+  LOW_SUPPLY,
+  resolveSupply,
+} from './yearzero-core.js';
 
 /* -------------------------------------------- */
 /*  Definitions                                 */
@@ -74,6 +149,17 @@
 * @typedef {Object<DieTypeString, number>} DiceQuantities
 */
 
+/**
+ * The exact probabilities of a pool of dice.
+ * @typedef {Object} YearZeroProbability
+ * @property {Object<number, number>} successes  Probability of each quantity of successes
+ * @property {Object<number, number>} atLeast    Probability of at least N successes (N >= 1)
+ * @property {Object}  expected             Expected quantities of successes, banes, trauma, gearDamage and panic
+ * @property {Object}  chances              Probabilities of at least one trauma, gearDamage, panic, and of a mishap
+ * @property {number}  pushedToSuccess      Probability that a failed roll becomes a success by pushing
+ * @property {YearZeroProbability} [initial] The probabilities of the initial roll, when pushed
+ */
+
 
 /* -------------------------------------------- */
 /*  Custom Dice Registration                    */
@@ -103,17 +189,22 @@ export class YearZeroRollManager {
    * 
    * You must call this method in `Hooks.once('init')`.
    * 
-   * @param {GameTypeString}  yzGame  The game used (for the choice of die types to register).
+   * Several games can be registered at once. The first one is the default game,
+   * and each roll uses the dice of its own game (see `YearZeroRoll#game`).
+   * 
+   * @param {GameTypeString|GameTypeString[]} yzGame The game(s) used (for the choice of die types to register).
    * @param {string}         [config] Custom config to merge with the initial config.
    * @static
    */
   static register(yzGame, config) {
+    const yzGames = Array.isArray(yzGame) ? yzGame : [yzGame];
     // Registers the config.
     YearZeroRollManager.registerConfig(config);
     // Registers the YZ game.
-    YearZeroRollManager._initialize(yzGame);
+    YearZeroRollManager._initialize(yzGames);
     // Registers the dice.
-    YearZeroRollManager.registerDice(yzGame);
+    // The default game is registered last, as it takes precedence on shared denominations.
+    for (const g of [...yzGames].reverse()) YearZeroRollManager.registerDice(g);
     console.log(`${YearZeroRollManager.name} | Registration complete!`);
   }
 
@@ -143,6 +234,11 @@ export class YearZeroRollManager {
     const diceTypes = YearZeroRollManager.DIE_TYPES_MAP[yzGame];
     for (const type of diceTypes) YearZeroRollManager.registerDie(type);
 
+    // Registers the table dice (D66 & D666), shared by all the games.
+    for (const type of YearZeroRollManager.TABLE_DIE_TYPES) {
+      if (!CONFIG.Dice.terms[CONFIG.YZUR.DICE.DIE_TYPES[type].DENOMINATION]) YearZeroRollManager.registerDie(type);
+    }
+
     // Finally, registers our custom Roll class for Year Zero games.
     YearZeroRollManager.registerRoll();
   }
@@ -188,19 +284,51 @@ export class YearZeroRollManager {
   }
 
   /**
-   * @param {GameTypeString} yzGame The game used (for the choice of die types to register)
+   * Temporarily registers the dice of a game in Foundry,
+   * when several registered games share the same denominations (e.g. `fbl` and `t2k`).
+   * @param {GameTypeString} yzGame The game whose dice are used
+   * @returns {Function} A function that restores the previous dice
+   * @static
+   */
+  static swapGameTerms(yzGame) {
+    const types = YearZeroRollManager.DIE_TYPES_MAP[yzGame] || [];
+    const terms = CONFIG.Dice.terms;
+    const swapped = new Map();
+    for (const type of types) {
+      const cls = CONFIG.YZUR?.DICE?.DIE_TYPES?.[type];
+      const deno = cls?.DENOMINATION;
+      if (!deno || terms[deno] === cls || swapped.has(deno)) continue;
+      swapped.set(deno, terms[deno]);
+      terms[deno] = cls;
+    }
+    return () => {
+      for (const [deno, cls] of swapped) {
+        if (cls) terms[deno] = cls;
+        else delete terms[deno];
+      }
+    };
+  }
+
+  /**
+   * @param {GameTypeString[]} yzGames The games used (for the choice of die types to register)
    * @private
    * @static
    */
-  static _initialize(yzGame) {
+  static _initialize(yzGames) {
     if (!CONFIG.YZUR) throw new ReferenceError('CONFIG.YZUR does not exists!');
+    const yzGame = yzGames[0];
     if (CONFIG.YZUR.game) {
       console.warn(
         `${YearZeroRollManager.name} | Overwritting the default Year Zero game "${CONFIG.YZUR.game}" with: "${yzGame}"`,
       );
     }
     CONFIG.YZUR.game = yzGame;
+    CONFIG.YZUR.games = [...yzGames];
     console.log(`${YearZeroRollManager.name} | The name of the Year Zero game is: "${yzGame}".`);
+    if (yzGames.length > 1) {
+      const others = yzGames.slice(1).join('", "');
+      console.log(`${YearZeroRollManager.name} | Other registered Year Zero games: "${others}".`);
+    }
   }
 }
 
@@ -212,25 +340,17 @@ export class YearZeroRollManager {
  * @type {Object<GameTypeString, DieTypeString[]>}
  * @constant
  */
-YearZeroRollManager.DIE_TYPES_MAP = {
-  // Mutant Year Zero
-  'myz': ['base', 'skill', 'gear', 'neg'],
-  // Forbidden Lands
-  'fbl': ['base', 'skill', 'gear', 'neg', 'artoD8', 'artoD10', 'artoD12'],
-  // Alien RPG
-  'alien': ['skill', 'stress'],
-  // Tales From the Loop
-  'tales': ['skill'],
-  // Coriolis
-  'cor': ['skill'],
-  // Vaesen
-  'vae': ['skill'],
-  // Twilight 2000
-  't2k': ['a', 'b', 'c', 'd', 'ammo', 'loc'],
-};
+YearZeroRollManager.DIE_TYPES_MAP = DIE_TYPES_MAP;
 
 /** @type {GameTypeString} */
-YearZeroRollManager.GAMES = Object.keys(YearZeroRollManager.DIE_TYPES_MAP);
+YearZeroRollManager.GAMES = GAMES;
+
+/**
+ * Die Types of the tables, registered for all the games.
+ * @type {DieTypeString[]}
+ * @constant
+ */
+YearZeroRollManager.TABLE_DIE_TYPES = Object.keys(TABLE_DICE);
 
 // YearZeroRollManager.DIE_TYPES_SWAP = {
 //   'alien': { base: 'skill', gear: 'skill' },
@@ -255,11 +375,23 @@ export class YearZeroRoll extends Roll {
    * @param {string} data.game     The game used
    * @param {string} data.name     The name of the roll
    * @param {number} data.maxPush  The maximum number of times the roll can be pushed
+   * @param {number} data.seed     The seed of the random numbers, to replay the roll
+   * @param {boolean} data.pride   Whether the roll has the die of a Pride (Forbidden Lands)
+   * @param {string} data.playbook The playbook of the character (see `getPushConsequences()`)
+   * @param {boolean} data.damage  Whether the roll inflicts damage (see `YearZeroRoll#critical`)
+   * @param {number} data.supply   The supply rolled by a supply roll (Alien RPG)
    */
   constructor(formula, data = {}) {
-    super(formula, data);
+    // Parses the formula with the dice of the roll's game.
+    const restoreTerms = YearZeroRollManager.swapGameTerms(data.game || CONFIG.YZUR?.game);
+    try {
+      super(formula, data);
+    }
+    finally {
+      restoreTerms();
+    }
     if (!this.data.game) data.game = CONFIG.YZUR.game || 'myz';
-    if (!this.data.maxPush) data.maxPush = 1;
+    if (!this.data.maxPush) data.maxPush = CONFIG.YZUR?.ROLL?.maxPush || 1;
   }
 
   /* -------------------------------------------- */
@@ -280,6 +412,14 @@ export class YearZeroRoll extends Roll {
   get name() { return this.data.name; }
   set name(str) { this.data.name = str; }
 
+  /**
+   * The playbook of the character who rolled (e.g. `mutant`, `animal` or `robot` in MYZ),
+   * for the resources gained by pushing.
+   * @type {?string}
+   */
+  get playbook() { return this.data.playbook ?? null; }
+  set playbook(str) { this.data.playbook = str; }
+
   /**
    * The maximum number of pushes.
    * @type {number}
@@ -288,6 +428,27 @@ export class YearZeroRoll extends Roll {
   get maxPush() { return this.data.maxPush; }
   set maxPush(n) { this.data.maxPush = n; }
 
+  /**
+   * The seed of the random numbers, if any.
+   * @type {?number}
+   * @readonly
+   */
+  get seed() { return this.data.seed ?? null; }
+
+  /**
+   * Whether the roll has the die of a Pride (Forbidden Lands).
+   * @type {boolean}
+   * @readonly
+   */
+  get pride() { return !!this.data.pride; }
+
+  /**
+   * Whether the roll inflicts damage (e.g. an attack), which can cause a critical injury.
+   * @type {boolean}
+   */
+  get damage() { return !!this.data.damage; }
+  set damage(bool) { this.data.damage = !!bool; }
+
   /**
    * The total number of dice in the roll.
    * @type {number}
@@ -325,6 +486,11 @@ export class YearZeroRoll extends Roll {
       this.pushCount < this.maxPush
       && this.terms.some(t => t.pushable)
       && !this.mishap
+      && !isPanic(this.game, this.panic)
+      // A Coolness Under Fire roll cannot be pushed.
+      && !this.cuf
+      // Neither can a supply roll.
+      && this.supply == null
     );
   }
 
@@ -345,12 +511,7 @@ export class YearZeroRoll extends Roll {
    * @readonly
    */
   get baneCount() {
-    const banableTypes = ['base', 'gear', 'stress', 'ammo'];
-    let count = 0;
-    for (const bt of banableTypes) {
-      count += this.count(bt, 1);
-    }
-    return count;
+    return countBanes(this.terms);
   }
 
   /**
@@ -386,6 +547,8 @@ export class YearZeroRoll extends Roll {
    * @readonly
    */
   get panic() {
+    // The "1" of a supply roll reduce the supply instead.
+    if (this.supply != null) return 0;
     return this.count('stress', 1);
   }
 
@@ -395,17 +558,130 @@ export class YearZeroRoll extends Roll {
    * @readonly
    */
   get mishap() {
-    if (this.game !== 't2k') return false;
-    return this.baneCount >= 2 || this.baneCount >= this.size;
+    return isMishap(this.game, this.baneCount, this.size);
+  }
+
+  /**
+   * The quantity of willpower points gained ("1" on base dice of a pushed roll, Forbidden Lands).
+   * @type {number}
+   * @readonly
+   */
+  get willpower() {
+    return getWillpowerGain(this.game, this.pushed, this.attributeTrauma);
+  }
+
+  /**
+   * The resources gained by pushing the roll (see `getPushConsequences()`).
+   * @type {Array<{ resource: string, label: string, value: number }>}
+   * @readonly
+   */
+  get pushConsequences() {
+    return this.getPushConsequences();
   }
 
   /**
-   * The quantity of ammo spent. Equal to the sum of the ammo dice.
+   * The quantity of ammo spent. Equal to the sum of the ammo dice, pushes included.
    * @type {number}
    * @readonly
    */
   get ammoSpent() {
-    return this.getTerms('ammo').reduce((tot, t) => tot + t.result, 0);
+    return sumResults(this.terms, 'ammo');
+  }
+
+  /**
+   * Whether the roll is a success. The hits of the ammo dice are not counted.
+   * @type {boolean}
+   * @readonly
+   */
+  get successful() {
+    return this.total - this.hitCount > 0;
+  }
+
+  /**
+   * Whether the roll is a ranged attack that rolls a location die per hit (Twilight 2000).
+   * @type {boolean}
+   * @readonly
+   */
+  get ranged() {
+    return !!this.data.ranged;
+  }
+
+  /**
+   * The outcome of the roll as a ranged attack (Twilight 2000): hits, suppression and ammo spent.
+   * @type {RangedFireResult}
+   * @readonly
+   */
+  get rangedFire() {
+    // The successes are read from the dice, as the total is not updated during a push.
+    return resolveRangedFire({
+      successCount: this.terms.reduce((c, t) => t instanceof YearZeroDie ? c + t.total : c, 0),
+      hitCount: this.hitCount,
+      ammoSpent: this.ammoSpent,
+    });
+  }
+
+  /**
+   * Whether the roll is a Coolness Under Fire roll (Twilight 2000).
+   * @type {boolean}
+   * @readonly
+   */
+  get cuf() {
+    return !!this.data.cuf;
+  }
+
+  /**
+   * The suppression applied to a Coolness Under Fire roll.
+   * @type {number}
+   * @readonly
+   */
+  get suppression() {
+    return this.data.suppression || 0;
+  }
+
+  /**
+   * The outcome of the roll as a Coolness Under Fire roll (Twilight 2000):
+   * whether the character is suppressed and the stress gained.
+   * @type {{ suppressed: boolean, stress: number }}
+   * @readonly
+   */
+  get coolnessUnderFire() {
+    return resolveCoolnessUnderFire({ successCount: this.total });
+  }
+
+  /**
+   * The supply rolled, if the roll is a supply roll (Alien RPG).
+   * @type {?number}
+   * @readonly
+   */
+  get supply() {
+    return this.data.supply ?? null;
+  }
+
+  /**
+   * The outcome of the roll as a supply roll (Alien RPG): the supply dropped by each "1",
+   * and the stress gained by rolling under low supply.
+   * @type {?SupplyResult}
+   * @readonly
+   */
+  get supplyDrop() {
+    if (this.supply == null) return null;
+    return resolveSupply(
+      { supply: this.supply, ones: this.count('stress', 1) },
+      { lowSupply: CONFIG.YZUR.SUPPLY.lowSupply, stress: this.data.supplyStress || 0 },
+    );
+  }
+
+  /**
+   * The body locations hit, one per location die.
+   * @type {Array<{ result: number, location: string, label: string }>}
+   * @readonly
+   */
+  get locations() {
+    return this.getTerms('loc').flatMap(t => t.results.filter(r => r.active)).map(r => ({
+      result: r.result,
+      location: getHitLocation(r.result),
+      label: `YZUR.LOCATIONS.${getHitLocation(r.result)}`,
+    }));
   }
 
   /**
@@ -417,6 +693,17 @@ export class YearZeroRoll extends Roll {
     return this.count('ammo', 6);
   }
 
+  /**
+   * The critical injury that a successful damage roll can inflict, if its game has a critical injury table:
+   * the modifier of the injury is the extra successes of the roll.
+   * @type {?{ modifier: number }}
+   * @readonly
+   */
+  get critical() {
+    if (!this.damage || !this.successful || !YearZeroCriticals.hasTable(this.game)) return null;
+    return { modifier: getCriticalModifier(this.total) };
+  }
+
   /* -------------------------------------------- */
 
   /**
@@ -437,22 +724,35 @@ export class YearZeroRoll extends Roll {
    * @param {?number}  dice.ammo     The quantity of ammo dice
    * @param {?number}  dice.loc      The quantity of location dice
    * @param {GameTypeString} [yzGame]     The game used
-   * @param {number}         [maxPush=1]  The maximum number of pushes
+   * @param {number}         [maxPush]    The maximum number of pushes (default from the config)
    * @param {boolean}        [push=false] Whether to add a push modifier to the roll
+   * @param {number|boolean} [seed]       The seed of the roll, or `true` to generate one
+   *   (default from the config)
+   * @param {boolean}        [pride=false] Whether to add the die of a Pride (Forbidden Lands)
+   * @param {string}         [playbook]    The playbook of the character (see `getPushConsequences()`)
+   * @param {number}         [extraPush=0] Extra pushes granted by a talent (e.g. a mystical talent in Coriolis),
+   *   added to the maximum number of pushes
+   * @param {boolean}        [damage=false] Whether the roll inflicts damage (see `YearZeroRoll#critical`)
    * @override
    */
-  static createFromDiceQuantities(dice = {}, { yzGame = null, maxPush = 1, push = false } = {}) {
+  static createFromDiceQuantities(dice = {}, {
+    yzGame = null, maxPush = null, push = false, seed, pride = false, playbook = null, extraPush = 0, damage = false,
+  } = {}) {
     // Checks the game.
     yzGame = yzGame || CONFIG.YZUR?.game;
     if (!YearZeroRollManager.GAMES.includes(yzGame)) throw new GameTypeError(yzGame);
 
+    // The Pride adds a D12 artifact die, once.
+    if (pride) dice = addPrideDie({ ...dice });
+
     // Builds the formula.
     const out = [];
     for (const [type, n] of Object.entries(dice)) {
       if (n <= 0) continue;
-      let deno = CONFIG.YZUR.DICE.DIE_TYPES[type].DENOMINATION;
-      const cls = CONFIG.Dice.terms[deno];
-      deno = cls.DENOMINATION;
+      // The formula is parsed with the dice of the game (see the constructor).
+      const cls = CONFIG.YZUR.DICE.DIE_TYPES[type];
+      if (!cls) throw new DieTypeError(type);
+      const deno = cls.DENOMINATION;
       const str = `${n}d${deno}${push ? 'p' : ''}`;
       out.push(str);
     }
@@ -465,11 +765,133 @@ export class YearZeroRoll extends Roll {
     }
 
     // Creates the roll.
+    if (extraPush > 0) maxPush = (maxPush || CONFIG.YZUR?.ROLL?.maxPush || 1) + extraPush;
     const roll = new YearZeroRoll(formula, { game: yzGame, maxPush });
-    console.warn(roll);
+    if (pride) roll.data.pride = true;
+    if (playbook) roll.data.playbook = playbook;
+    if (damage) roll.data.damage = true;
+    // Seeds the roll (`false` opts out of the default seeding).
+    if (seed === true) seed = YearZeroRandom.generateSeed();
+    if (seed === false) roll.data.seed = null;
+    else if (seed != null) roll.data.seed = seed >>> 0;
+    return roll;
+  }
+
+  /**
+   * Generates a ranged attack of Twilight 2000: the attribute and skill dice, and the ammo dice.
+   * Once evaluated, the roll adds a location die per hit (see `rangedFire` and `locations`).
+   * @param {Object}         dice
+   * @param {DieTypeString}  dice.attribute  The type of the attribute die (`a`, `b`, `c` or `d`)
+   * @param {DieTypeString} [dice.skill]     The type of the skill die, if any
+   * @param {number}        [dice.ammo=0]    The quantity of ammo dice
+   * @param {Object}        [options]        Options for `createFromDiceQuantities()`
+   * @param {number}        [options.modifier=0] The difficulty modifier
+   * @returns {YearZeroRoll}
+   * @static
+   *
+   * @example
+   * const roll = YearZeroRoll.createRangedFire({ attribute: 'b', skill: 'c', ammo: 3 });
+   * await roll.toMessage({ flavor: 'Assault Rifle' });
+   */
+  static createRangedFire({ attribute, skill = null, ammo = 0 }, { modifier = 0, ...options } = {}) {
+    const dice = { ammo };
+    for (const type of [attribute, skill]) {
+      if (!type) continue;
+      if (!['a', 'b', 'c', 'd'].includes(type)) throw new DieTypeError(type);
+      dice[type] = (dice[type] || 0) + 1;
+    }
+    // The modifier steps the attribute and skill dice, not the ammo dice.
+    if (modifier) modifyDice(dice, modifier, 't2k');
+
+    const roll = YearZeroRoll.createFromDiceQuantities(dice, { ...options, yzGame: 't2k' });
+    roll.data.ranged = true;
     return roll;
   }
 
+  /**
+   * Generates a Coolness Under Fire roll of Twilight 2000: a single step die,
+   * with the suppression as a negative modifier (see `modify()`).
+   * @param {DieTypeString} dieType The type of the Coolness Under Fire die (`a`, `b`, `c` or `d`)
+   * @param {Object}  [options]     Options for `createFromDiceQuantities()`
+   * @param {number}  [options.suppression=0] The suppression suffered
+   * @returns {YearZeroRoll}
+   * @static
+   *
+   * @example
+   * const roll = YearZeroRoll.createCoolnessUnderFire('c', { suppression: 2 });
+   * await roll.toMessage();
+   * if (roll.coolnessUnderFire.suppressed) { ... }
+   */
+  static createCoolnessUnderFire(dieType, { suppression = 0, ...options } = {}) {
+    if (!['a', 'b', 'c', 'd'].includes(dieType)) throw new DieTypeError(dieType);
+    let roll = YearZeroRoll.createFromDiceQuantities({ [dieType]: 1 }, { ...options, yzGame: 't2k' });
+    if (suppression > 0) roll = roll.modify(-suppression);
+    roll.data.cuf = true;
+    roll.data.suppression = suppression;
+    return roll;
+  }
+
+  /**
+   * Generates a supply roll of the Alien RPG (air, power, ammunition):
+   * a stress die per supply point, and each "1" reduces the supply by one (see `supplyDrop`).
+   * @param {number}  supply    The current supply
+   * @param {Object}  [options] Options for `createFromDiceQuantities()`
+   * @param {number}  [options.stress=0] The stress gained by rolling under low supply
+   * @returns {YearZeroRoll}
+   * @throws {RangeError} When there is no supply to roll
+   * @static
+   *
+   * @example
+   * const roll = YearZeroRoll.createSupply(4);
+   * await roll.toMessage({ flavor: 'Air' });
+   * const { to } = roll.supplyDrop;
+   */
+  static createSupply(supply, { stress = 0, ...options } = {}) {
+    supply = parseInt(supply);
+    if (!(supply > 0)) throw new RangeError(`${YearZeroRoll.name} | Invalid supply: "${supply}".`);
+    const roll = YearZeroRoll.createFromDiceQuantities({ stress: supply }, { ...options, yzGame: 'alien' });
+    roll.data.supply = supply;
+    if (stress) roll.data.supplyStress = stress;
+    return roll;
+  }
+
+  /**
+   * Computes the exact probabilities of a pool of dice, including pushes.
+   * 
+   * The rules of each die are read from its class (see `YearZeroDie.getRules()`),
+   * so custom die types are supported as well.
+   * A push rerolls all the non-locked dice, unless the roll is a mishap.
+   * @param {DiceQuantities}  dice  An object with quantities of dice
+   * @param {GameTypeString} [yzGame]    The game used
+   * @param {number}         [pushes=0]  The number of times the roll is pushed
+   * @param {number}         [maxStates] The maximum number of states to compute (see `probability()` of the core)
+   * @returns {YearZeroProbability}
+   * @throws {RangeError} When the pool is too large
+   * @static
+   */
+  static probability(dice = {}, { yzGame = null, pushes = 0, maxStates } = {}) {
+    // Checks the game.
+    yzGame = yzGame || CONFIG.YZUR?.game;
+    if (!YearZeroRollManager.GAMES.includes(yzGame)) throw new GameTypeError(yzGame);
+
+    // Gets the rules of each die type.
+    // Dice that are not Year Zero dice (e.g. location dice) have no effect on the roll.
+    // A push may also add dice to the pool (e.g. a stress die).
+    const getRules = type => {
+      const cls = CONFIG.YZUR.DICE.DIE_TYPES[type];
+      if (!cls) throw new DieTypeError(type);
+      return cls.prototype instanceof YearZeroDie ? cls.getRules() : null;
+    };
+    const pools = withPushExtraDice(
+      Object.entries(dice).filter(([, n]) => n > 0).map(([type, n]) => ({ dieType: type, n })),
+      yzGame,
+    );
+    for (const pool of pools) pool.rules = getRules(pool.dieType);
+    return probability(pools, { yzGame, pushes, maxStates });
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * Pushes the roll, following the YZ rules.
    * @returns {YearZeroRoll} This roll, pushed
@@ -478,8 +900,18 @@ export class YearZeroRoll extends Roll {
     if (!this._rolled) this.evaluate();
     if (!this.pushable) return this;
 
-    // Step 1 — Pushes the terms.
-    this.terms.forEach(t => t.pushable ? t.push() : t);
+    // Step 1 — Pushes the terms, then adds the extra dice of the push (e.g. a stress die).
+    const indexPush = this.pushCount + 1;
+    const restoreGenerator = YearZeroRandom.swapGenerator(this.getRandomGenerator());
+    try {
+      // The index of the push is the roll's, so that the dice of a push share it across the terms.
+      this.terms.forEach(t => t.pushable ? t.push(indexPush) : t);
+      this._addPushExtraDice(indexPush);
+      this._syncLocationDice();
+    }
+    finally {
+      restoreGenerator();
+    }
 
     // Step 2 — Evaluates terms.
     // Note: t.evaluate() = term, otherwise = operation sign
@@ -499,6 +931,121 @@ export class YearZeroRoll extends Roll {
     return this;
   }
 
+  /**
+   * Adds and rolls the dice that a push adds to the pool (see `YearZeroRoll.PUSH_EXTRA_DICE`).
+   * @param {number} indexPush The index of the push
+   * @private
+   */
+  _addPushExtraDice(indexPush) {
+    const extraDice = YearZeroRoll.PUSH_EXTRA_DICE[this.game];
+    if (!extraDice) return;
+    for (const [type, n] of Object.entries(extraDice)) this._addDice(type, n, indexPush);
+  }
+
+  /**
+   * Keeps a location die per hit of a ranged attack:
+   * rolls a die for each new hit, or discards the dice of the hits lost by a push.
+   * @private
+   */
+  _syncLocationDice() {
+    if (!this.ranged) return;
+    const n = this.rangedFire.hits - this.locations.length;
+    if (n > 0) this._addDice('loc', n, this.pushCount);
+    else if (n < 0) this.getTerms('loc')[0].discardDice(-n);
+  }
+
+  /**
+   * Adds dice of a type to the roll and rolls them.
+   * @param {DieTypeString} type      The type of the dice
+   * @param {number}        n         The quantity of dice to add
+   * @param {number}        indexPush The index of the push that adds the dice
+   * @private
+   */
+  _addDice(type, n, indexPush) {
+    const cls = CONFIG.YZUR.DICE.DIE_TYPES[type];
+    if (!cls) throw new DieTypeError(type);
+    let term = this.terms.find(t => t.constructor === cls);
+    if (!term) {
+      term = new cls({ number: 0 });
+      this.terms.push('+', term);
+    }
+    term.addDice(n, indexPush);
+    this._formula = this.terms.map(t => t.formula || t).join(' ');
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  evaluate(options) {
+    if (this.data.seed === undefined && CONFIG.YZUR?.ROLL?.seeded) {
+      this.data.seed = YearZeroRandom.generateSeed();
+    }
+    const restoreGenerator = YearZeroRandom.swapGenerator(this.getRandomGenerator());
+    try {
+      super.evaluate(options);
+      // A ranged attack rolls a location die per hit, with no effect on the total.
+      if (this.ranged) {
+        this._syncLocationDice();
+        this.results = this.terms.map(t => t.evaluate ? t.total : t);
+      }
+      return this;
+    }
+    finally {
+      restoreGenerator();
+    }
+  }
+
+  /**
+   * Gets the generator of the random numbers of the roll:
+   * a seeded generator if the roll has a seed, or the selected random source.
+   * @returns {?RandomGenerator}
+   */
+  getRandomGenerator() {
+    if (this.seed == null) return YearZeroRandom.getGenerator();
+    if (!this._random) {
+      // Each result has drawn one number per digit: a restored roll resumes its sequence.
+      const draws = this.dice.reduce((n, d) => n + d.results.reduce((c, r) => c + (r.digits?.length || 1), 0), 0);
+      this._random = YearZeroRandom.createSeeded(this.seed, draws);
+    }
+    return this._random;
+  }
+
+  /**
+   * Replays a seeded roll: rolls its formula again with the same seed,
+   * and pushes it as many times as the original roll.
+   * @param {Object} data Unpacked data of the roll (see `toJSON()`)
+   * @returns {YearZeroRoll} A new roll, with the original results if they were not tampered with
+   * @static
+   */
+  static replay(data) {
+    if (data.data?.seed == null) {
+      throw new TypeError(`${YearZeroRoll.name} | Cannot replay a roll without a seed.`);
+    }
+    const original = this.fromData(data);
+    const pushCount = original.pushCount;
+    const roll = new this(data.formula, { ...data.data });
+
+    // The dice added after the roll (e.g. by a push or per hit) are added again by the replay.
+    roll.terms.forEach((t, i) => {
+      const o = original.terms[i];
+      if (o instanceof LocationDie && original.ranged) t.number = 0;
+      else if (o instanceof YearZeroDie) t.number = o.results.filter(r => !r.indexPush).length;
+    });
+    roll.evaluate();
+    for (let i = 0; i < pushCount; i++) roll.push();
+    return roll;
+  }
+
+  /**
+   * Checks the results of a seeded roll against a replay of its seed.
+   * @returns {boolean} `true` if the results match
+   */
+  verify() {
+    const results = roll => roll.dice.map(d => d.results.map(r => r.result));
+    const replay = this.constructor.replay(this.toJSON());
+    return JSON.stringify(results(replay)) === JSON.stringify(results(this));
+  }
+
   /* -------------------------------------------- */
 
   /**
@@ -518,33 +1065,23 @@ export class YearZeroRoll extends Roll {
    * @returns {number} Total count
    */
   count(type, seed) {
-    return this.terms.reduce((c, t) => {
-      if (t.type === type) {
-        for (const r of t.results) {
-          if (!r.active) continue;
-          if (seed != null) {
-            if (r.result === seed) c++;
-          }
-          else {
-            c += t.number;
-          }
-        }
-      }
-      return c;
-    }, 0);
+    return countResults(this.terms, type, seed);
   }
 
   /**
-   * Gets the quantities of each die type.
+   * Gets the quantities of each die type asked for, without the extra dice of the pushes.
    * @returns {DiceQuantities}
    */
-  // TODO
   getDiceQuantities() {
+    const dieTypes = CONFIG.YZUR.DICE.DIE_TYPES;
     return this.terms.reduce((dice, t) => {
       if (t instanceof YearZeroDie) {
         const clsName = t.constructor.name;
-        const type = CONFIG.YZUR.DICE.DIE_TYPES_BY_CLASS[clsName];
-        if (type) dice[type] = t.number;
+        // Custom die types may have been added to the config after the mapping by class.
+        const type = CONFIG.YZUR.DICE.DIE_TYPES_BY_CLASS[clsName]
+          || Object.keys(dieTypes).find(k => dieTypes[k] === t.constructor);
+        // The terms added by a push have no dice asked for.
+        if (type && t.number) dice[type] = (dice[type] || 0) + t.number;
       }
       return dice;
     }, {});
@@ -552,126 +1089,50 @@ export class YearZeroRoll extends Roll {
 
   /* -------------------------------------------- */
 
+  /**
+   * Gets the resources gained by pushing the roll, e.g. the mutation points in MYZ.
+   * The resources of each game are defined in `CONFIG.YZUR.ROLL.PUSH_CONSEQUENCES`.
+   * @param {string} [playbook] The playbook of the character (default: the roll's, then the game's)
+   * @returns {Array<{ resource: string, label: string, value: number }>} The resources gained, if any
+   * @example
+   * for (const { resource, value } of roll.getPushConsequences()) {
+   *   actor.update({ [`data.${resource}.value`]: actor.data.data[resource].value + value });
+   * }
+   */
+  getPushConsequences(playbook = this.playbook) {
+    const table = CONFIG.YZUR.ROLL.PUSH_CONSEQUENCES?.[this.game];
+    return getPushConsequences(this, table, playbook).map(e => ({
+      ...e,
+      label: `YZUR.RESOURCES.${e.resource}`,
+    }));
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * Applies a difficulty modifier to the roll.
    * @param {number} mod Difficulty modifier (bonus or malus)
+   * @param {Object} [options]
+   * @param {number} [options.artifactStep=0] Steps of the artifact dice (up or down),
+   *   e.g. `artoD8` → `artoD10` for a step of 1
    * @returns {YearZeroRoll} A new roll instance, modified
    */
-  modify(mod) {
+  modify(mod, { artifactStep = 0 } = {}) {
     // Gets the dice quantities.
     const dice = this.getDiceQuantities();
-
-    let occurenceNb = 0;
-    while (mod !== 0) {
-      // Failsafe – Watches the number of occurences to avoid infinite loops.
-      occurenceNb++;
-      if (occurenceNb >= 100) throw new RangeError(`${this.constructor.name} | Infinite modify loop!`);
-
-      // TWILIGHT 2000
-      if (this.game === 't2k') {
-        const dieTypes = ['d', 'c', 'b', 'a'];
-
-        // Creates a dice pool array and finds the total quantities of each die.
-        const pool = Object.entries(dice).reduce((arr, [k, v]) => {
-          if (dieTypes.includes(k)) {
-            for (; v > 0; v--) arr.push(k);
-          }
-          return arr;
-        }, []);
-        const n = pool.length;
-
-        // Early exits.
-        if (mod > 0) {
-          if (n > 2) break;
-        }
-        else if (n === 0) {
-          dice.d = 1;
-          break;
-        }
-        else if (n === 1 && pool.includes('d')) {
-          break;
-        }
-
-        // Initializes null dice.
-        for (const type of dieTypes) if (!dice[type]) dice[type] = 0;
-
-        // Gets the die to modify.
-        // For a positive modifier, we take the highest die.
-        // For a negative modifier, we take the lowest one.
-        const die = pool.reduce((a, b) => {
-          if (mod > 0) {
-            if (b === 'a') return a;
-            return a < b ? a : b;
-          }
-          return a > b ? a : b;
-        }, undefined);
-
-        // Modifies the range.
-        const currentRangeIndex = dieTypes.indexOf(die);
-        let newDie;
-        if (currentRangeIndex >= 0) {
-          const maxRangeIndex = dieTypes.length - 1;
-          const rangeIndex = currentRangeIndex + mod;
-          const newRangeIndex = clampNumber(rangeIndex, 0, maxRangeIndex);
-          newDie = dieTypes[newRangeIndex];
-          mod -= (newRangeIndex - currentRangeIndex);
-          dice[die]--;
-          dice[newDie]++;
-        }
-
-        // Positive excess mod means adding an extra die.
-        // Note: the pool can only have a maximum of 2 dice.
-        if (mod > 0) {
-          if (n < 2) {
-            const ex = Math.min(dieTypes.length, mod);
-            dice[dieTypes[ex - 1]]++;
-            if (mod > ex) mod -= ex;
-            else break;
-          }
-          else {
-            const diceBelowMaxRange = Object.entries(dice).filter(([k, v]) => v > 0 && k > 'a').length;
-            if (diceBelowMaxRange <= 0) break;
-          }
-        }
-        // Negative excess mod means removing the die and decreasing another one.
-        // Note: The pool has always 1 die.
-        else if (mod < 0 && n > 1) {
-          dice[newDie]--;
-          // We add 1 because we removed one die (which is 1 step).
-          mod++;
-        }
-      }
-      // MUTANT YEAR ZERO & FORBIDDEN LANDS
-      else if (this.game === 'myz' || this.game === 'fbl') {
-        // Balances skill & neg dice.
-        if (dice.skill > 0 && dice.neg > 0) {
-          while (dice.skill > 0 && dice.neg > 0) {
-            dice.skill--;
-            dice.neg--;
-          }
-        }
-        if (!dice.skill) dice.skill = 0;
-        const neg = Math.max(0, -mod - dice.skill);
-        dice.skill = Math.max(0, dice.skill + mod);
-        if (neg > 0) {
-          if (!dice.neg) dice.neg = 0;
-          dice.neg += neg;
-        }
-        mod = 0;
-      }
-      // ALL OTHER GAMES
-      else {
-        if (!dice.skill) dice.skill = 0;
-        dice.skill = Math.max(1, dice.skill + mod);
-        mod = 0;
-      }
-    }
+    modifyDice(dice, mod, this.game);
+    stepArtifactDice(dice, artifactStep);
 
     // Builds the new roll instance.
-    return this.constructor.createFromDiceQuantities(dice, {
+    const roll = this.constructor.createFromDiceQuantities(dice, {
       yzGame: this.game,
       maxPush: this.maxPush,
+      playbook: this.playbook,
+      damage: this.damage,
     });
+    // The die of the Pride is already in the quantities.
+    if (this.pride) roll.data.pride = true;
+    return roll;
   }
 
   /* -------------------------------------------- */
@@ -691,10 +1152,9 @@ export class YearZeroRoll extends Roll {
             ? game.i18n.localize(`YZUR.DIETYPES.${cls.name}`)
             : null
         ),
+        // <==
         number: d.number,
-        // // rolls: d.results.map(r => {
-        rolls: d.results.map((r, i) => {
-          // <==
+        rolls: d.results.map(r => {
           const hasSuccess = r.success !== undefined;
           const hasFailure = r.failure !== undefined;
           // ==>
@@ -709,10 +1169,16 @@ export class YearZeroRoll extends Roll {
             isMax = r.result === d.faces || r.count >= 1;
             isMin = r.result === 1 && d.type !== 'skill' && d.type !== 'loc';
           }
+          // The results of the table dice show their digits.
+          const face = cls.TYPE && !r.digits
+            ? YearZeroDiceThemes.getFace(cls.TYPE, r.result, { yzGame: this.game })
+            : null;
           // <==
           return {
-            result: cls.getResultLabel(r.result),
             // ==>
+            // // result: cls.getResultLabel(r.result),
+            result: face ? face.html : cls.getResultLabel(r.result, this.game),
+            img: face?.img,
             row: r.indexPush,
             col: r.indexResult,
             // <==
@@ -726,6 +1192,7 @@ export class YearZeroRoll extends Roll {
               r.discarded ? 'discarded' : null,
               // ==>
               r.pushed ? 'pushed' : null,
+              face?.img ? 'img' : null,
               // <==
               !(hasSuccess || hasFailure) && isMin ? 'min' : null,
               !(hasSuccess || hasFailure) && isMax ? 'max' : null,
@@ -738,17 +1205,7 @@ export class YearZeroRoll extends Roll {
     if (this.pushed) {
       // Converts "parts.rolls" into a matrix.
       for (const part of parts) {
-        // Builds the matrix;
-        const matrix = [];
-        const n = part.number;
-        let p = this.pushCount;
-        for (; p >= 0; p--) matrix[p] = new Array(n).fill(undefined);
-
-        // Fills the matrix.
-        for (const r of part.rolls) {
-          matrix[r.row][r.col] = r;
-        }
-        part.rolls = matrix;
+        part.rolls = getPushMatrix(part.rolls, part.number, this.pushCount);
       }
     }
     // // return renderTemplate(this.constructor.TOOLTIP_TEMPLATE, { parts });
@@ -802,6 +1259,7 @@ export class YearZeroRoll extends Roll {
       showInfos: isPrivate ? false : CONFIG.YZUR?.CHAT?.showInfos,
       infos: isPrivate ? null : await this.getRollInfos(chatOptions.infosTemplate),
       pushable: isPrivate ? false : this.pushable,
+      pushLabel: CONFIG.YZUR.ROLL.PUSH_LABELS?.[this.game] || 'YZUR.CHAT.ROLL.push',
     };
 
     // Renders the roll display template.
@@ -827,7 +1285,15 @@ export class YearZeroRoll extends Roll {
 
   /** @override */
   static fromData(data) {
-    const roll = super.fromData(data);
+    // Rebuilds the dice with the classes of the roll's game.
+    const restoreTerms = YearZeroRollManager.swapGameTerms(data.data?.game);
+    let roll;
+    try {
+      roll = super.fromData(data);
+    }
+    finally {
+      restoreTerms();
+    }
     roll.data = data.data || {};
     return roll;
   }
@@ -841,6 +1307,20 @@ export class YearZeroRoll extends Roll {
   }
 }
 
+/**
+ * Die types whose "1" counts as a bane.
+ * @type {DieTypeString[]}
+ * @constant
+ */
+YearZeroRoll.BANABLE_TYPES = BANABLE_TYPES;
+
+/**
+ * Dice added to the pool by each push, by game.
+ * @type {Object<GameTypeString, DiceQuantities>}
+ * @constant
+ */
+YearZeroRoll.PUSH_EXTRA_DICE = PUSH_EXTRA_DICE;
+
 /* -------------------------------------------- */
 /*  Custom Dice classes                         */
 /* -------------------------------------------- */
@@ -877,13 +1357,7 @@ export class YearZeroDie extends Die {
    */
   get pushable() {
     // if (this.pushCount >= this.maxPush) return false;
-    for (const r of this.results) {
-      if (!r.active || r.discarded) continue;
-      if (!this.constructor.LOCKED_VALUES.includes(r.result)) {
-        return true;
-      }
-    }
-    return false;
+    return isPushable(this.results, this.constructor.LOCKED_VALUES);
   }
 
   /**
@@ -892,7 +1366,7 @@ export class YearZeroDie extends Die {
    * @readonly
    */
   get pushCount() {
-    return this.results.reduce((c, r) => Math.max(c, r.indexPush || 0), 0);
+    return getPushCount(this.results);
   }
 
   /**
@@ -910,7 +1384,7 @@ export class YearZeroDie extends Die {
   roll(options) {
     // Modifies the result.
     const roll = super.roll(options);
-    roll.count = roll.result >= 6 ? 1 : 0;
+    roll.count = this.constructor.getResultCount(roll.result);
 
     // Stores indexes
     roll.indexResult = options.indexResult;
@@ -932,18 +1406,35 @@ export class YearZeroDie extends Die {
     return this.values.filter(v => v === n).length;
   }
 
-  push() {
-    const indexPush = this.pushCount + 1;
-    const indexesResult = [];
-    for (const r of this.results) {
-      if (!r.active) continue;
-      if (!this.constructor.LOCKED_VALUES.includes(r.result)) {
-        r.active = false;
-        r.discarded = true;
-        r.pushed = true;
-        indexesResult.push(r.indexResult);
-      }
-    }
+  /**
+   * Gets the quantity of successes of a result.
+   * @param {number} result The result of the die
+   * @returns {number}
+   * @static
+   */
+  static getResultCount(result) {
+    return getResultCount({ successes: this.SUCCESS_TABLE }, result);
+  }
+
+  /**
+   * Gets the rules of the die, for the Foundry-agnostic engine.
+   * @returns {DieRules}
+   * @static
+   */
+  static getRules() {
+    const faces = new this({}).faces;
+    const successes = [null];
+    for (let r = 1; r <= faces; r++) successes[r] = this.getResultCount(r);
+    return { type: this.TYPE, faces, lockedValues: this.LOCKED_VALUES, successes };
+  }
+
+  /**
+   * Pushes the die: rerolls its unlocked dice.
+   * @param {number} [indexPush] The index of the push (default: the next push of the term)
+   * @returns {YearZeroDie} This die
+   */
+  push(indexPush = this.pushCount + 1) {
+    const indexesResult = discardForPush(this.results, this.constructor.LOCKED_VALUES);
     for (let i = 0; i < indexesResult.length; i++) {
       this.roll({
         indexResult: indexesResult[i],
@@ -952,9 +1443,26 @@ export class YearZeroDie extends Die {
     }
     return this;
   }
+
+  /**
+   * Adds dice to the term and rolls them (e.g. the stress die added by a push).
+   * Like the core engine, the number of the term is unchanged: it is still the quantity of dice asked for.
+   * @param {number}  n           The quantity of dice to add
+   * @param {number} [indexPush]  The index of the push that adds the dice (default: the current push)
+   * @returns {YearZeroDie} This die
+   */
+  addDice(n, indexPush = this.pushCount) {
+    const nextIndex = this.results.reduce((i, r) => Math.max(i, (r.indexResult ?? -1) + 1), 0);
+    for (let i = 0; i < n; i++) {
+      this.roll({ indexResult: nextIndex + i, indexPush });
+    }
+    this._evaluated = true;
+    return this;
+  }
 }
 YearZeroDie.TYPE = 'blank';
-YearZeroDie.LOCKED_VALUES = [6];
+YearZeroDie.LOCKED_VALUES = DIE_RULES.skill.lockedValues;
+YearZeroDie.SUCCESS_TABLE = DIE_RULES.skill.successes;
 YearZeroDie.MODIFIERS = mergeObject(
   { 'p' : 'push' },
   Die.MODIFIERS,
@@ -968,13 +1476,13 @@ YearZeroDie.MODIFIERS = mergeObject(
  */
 export class BaseDie extends YearZeroDie {
   /** @override */
-  static getResultLabel(result) {
-    return CONFIG.YZUR.DICE.ICONS.getLabel('base', result);
+  static getResultLabel(result, yzGame) {
+    return CONFIG.YZUR.DICE.ICONS.getLabel('base', result, yzGame);
   }
 }
 BaseDie.TYPE = 'base';
-BaseDie.DENOMINATION = 'b';
-BaseDie.LOCKED_VALUES = [1, 6];
+BaseDie.DENOMINATION = DIE_RULES.base.denomination;
+BaseDie.LOCKED_VALUES = DIE_RULES.base.lockedValues;
 
 /**
  * Skill Die: 6 cannot be re-rolled.
@@ -982,12 +1490,12 @@ BaseDie.LOCKED_VALUES = [1, 6];
  */
 export class SkillDie extends YearZeroDie {
   /** @override */
-  static getResultLabel(result) {
-    return CONFIG.YZUR.DICE.ICONS.getLabel('skill', result);
+  static getResultLabel(result, yzGame) {
+    return CONFIG.YZUR.DICE.ICONS.getLabel('skill', result, yzGame);
   }
 }
 SkillDie.TYPE = 'skill';
-SkillDie.DENOMINATION = 's';
+SkillDie.DENOMINATION = DIE_RULES.skill.denomination;
 
 /**
  * Gear Die: 1 & 6 cannot be re-rolled.
@@ -995,13 +1503,13 @@ SkillDie.DENOMINATION = 's';
  */
 export class GearDie extends YearZeroDie {
   /** @override */
-  static getResultLabel(result) {
-    return CONFIG.YZUR.DICE.ICONS.getLabel('gear', result);
+  static getResultLabel(result, yzGame) {
+    return CONFIG.YZUR.DICE.ICONS.getLabel('gear', result, yzGame);
   }
 }
 GearDie.TYPE = 'gear';
-GearDie.DENOMINATION = 'g';
-GearDie.LOCKED_VALUES = [1, 6];
+GearDie.DENOMINATION = DIE_RULES.gear.denomination;
+GearDie.LOCKED_VALUES = DIE_RULES.gear.lockedValues;
 
 /**
  * Negative Die: 6 cannot be re-rolled.
@@ -1009,19 +1517,13 @@ GearDie.LOCKED_VALUES = [1, 6];
  */
 export class NegativeDie extends SkillDie {
   /** @override */
-  roll(options) {
-    const roll = super.roll(options);
-    roll.count = roll.result >= 6 ? -1 : 0;
-    this.results[this.results.length - 1] = roll;
-    return roll;
-  }
-  /** @override */
-  static getResultLabel(result) {
-    return CONFIG.YZUR.DICE.ICONS.getLabel('neg', result);
+  static getResultLabel(result, yzGame) {
+    return CONFIG.YZUR.DICE.ICONS.getLabel('neg', result, yzGame);
   }
 }
 NegativeDie.TYPE = 'neg';
-NegativeDie.DENOMINATION = 'n';
+NegativeDie.DENOMINATION = DIE_RULES.neg.denomination;
+NegativeDie.SUCCESS_TABLE = DIE_RULES.neg.successes;
 
 /* -------------------------------------------- */
 
@@ -1031,13 +1533,13 @@ NegativeDie.DENOMINATION = 'n';
  */
 export class StressDie extends YearZeroDie {
   /** @override */
-  static getResultLabel(result) {
-    return CONFIG.YZUR.DICE.ICONS.getLabel('stress', result);
+  static getResultLabel(result, yzGame) {
+    return CONFIG.YZUR.DICE.ICONS.getLabel('stress', result, yzGame);
   }
 }
 StressDie.TYPE = 'stress';
-StressDie.DENOMINATION = 'z';
-StressDie.LOCKED_VALUES = [1, 6];
+StressDie.DENOMINATION = DIE_RULES.stress.denomination;
+StressDie.LOCKED_VALUES = DIE_RULES.stress.lockedValues;
 
 /* -------------------------------------------- */
 
@@ -1045,20 +1547,10 @@ StressDie.LOCKED_VALUES = [1, 6];
  * Artifact Die: 6+ cannot be re-rolled.
  * @extends {SkillDie}
  */
-export class ArtifactDie extends SkillDie {
-  /** @override */
-  roll(options) {
-    const roll = super.roll(options);
-    if (roll.result < this.constructor.SUCCESS_TABLE.length) {
-      roll.count = this.constructor.SUCCESS_TABLE[roll.result];
-    }
-    this.results[this.results.length - 1] = roll;
-    return roll;
-  }
-}
+export class ArtifactDie extends SkillDie {}
 ArtifactDie.TYPE = 'arto';
-ArtifactDie.SUCCESS_TABLE = [null, 0, 0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4];
-ArtifactDie.LOCKED_VALUES = [6, 7, 8, 9, 10, 11, 12];
+ArtifactDie.SUCCESS_TABLE = DIE_RULES.artoD12.successes;
+ArtifactDie.LOCKED_VALUES = DIE_RULES.artoD12.lockedValues;
 
 export class D8ArtifactDie extends ArtifactDie {
   constructor(termData) {
@@ -1066,12 +1558,12 @@ export class D8ArtifactDie extends ArtifactDie {
     super(termData);
   }
   /** @override */
-  static getResultLabel(result) {
+  static getResultLabel(result, yzGame) {
     // Must be overriden because it extends SkillDie.
-    return CONFIG.YZUR.DICE.ICONS.getLabel('d8', result);
+    return CONFIG.YZUR.DICE.ICONS.getLabel('d8', result, yzGame);
   }
 }
-D8ArtifactDie.DENOMINATION = '8';
+D8ArtifactDie.DENOMINATION = DIE_RULES.artoD8.denomination;
 
 export class D10ArtifactDie extends ArtifactDie {
   constructor(termData) {
@@ -1079,12 +1571,12 @@ export class D10ArtifactDie extends ArtifactDie {
     super(termData);
   }
   /** @override */
-  static getResultLabel(result) {
+  static getResultLabel(result, yzGame) {
     // Must be overriden because it extends SkillDie.
-    return CONFIG.YZUR.DICE.ICONS.getLabel('d10', result);
+    return CONFIG.YZUR.DICE.ICONS.getLabel('d10', result, yzGame);
   }
 }
-D10ArtifactDie.DENOMINATION = '10';
+D10ArtifactDie.DENOMINATION = DIE_RULES.artoD10.denomination;
 
 export class D12ArtifactDie extends ArtifactDie {
   constructor(termData) {
@@ -1092,12 +1584,65 @@ export class D12ArtifactDie extends ArtifactDie {
     super(termData);
   }
   /** @override */
-  static getResultLabel(result) {
+  static getResultLabel(result, yzGame) {
     // Must be overriden because it extends SkillDie.
-    return CONFIG.YZUR.DICE.ICONS.getLabel('d12', result);
+    return CONFIG.YZUR.DICE.ICONS.getLabel('d12', result, yzGame);
+  }
+}
+D12ArtifactDie.DENOMINATION = DIE_RULES.artoD12.denomination;
+
+/* -------------------------------------------- */
+
+/**
+ * Resource Die (Forbidden Lands): food, water, arrows and torches.
+ * It has no success, and a "1" or a "2" steps it down (see `YearZeroResources`).
+ * Resource dice are rolled on their own, and are not registered in Foundry.
+ * @extends {ArtifactDie} With the sizes of the artifact dice, and a D6
+ */
+export class D6ResourceDie extends ArtifactDie {
+  constructor(termData) {
+    termData.faces = 6;
+    super(termData);
+  }
+  /** @override */
+  static getResultLabel(result, yzGame) {
+    return CONFIG.YZUR.DICE.ICONS.getLabel('resource', result, yzGame);
+  }
+}
+D6ResourceDie.TYPE = 'resource';
+D6ResourceDie.DENOMINATION = DIE_RULES.resD6.denomination;
+D6ResourceDie.SUCCESS_TABLE = DIE_RULES.resD6.successes;
+D6ResourceDie.LOCKED_VALUES = DIE_RULES.resD6.lockedValues;
+
+export class D8ResourceDie extends D8ArtifactDie {
+  /** @override */
+  static getResultLabel(result, yzGame) {
+    return CONFIG.YZUR.DICE.ICONS.getLabel('resource', result, yzGame);
+  }
+}
+D8ResourceDie.TYPE = 'resource';
+D8ResourceDie.SUCCESS_TABLE = DIE_RULES.resD8.successes;
+D8ResourceDie.LOCKED_VALUES = DIE_RULES.resD8.lockedValues;
+
+export class D10ResourceDie extends D10ArtifactDie {
+  /** @override */
+  static getResultLabel(result, yzGame) {
+    return CONFIG.YZUR.DICE.ICONS.getLabel('resource', result, yzGame);
   }
 }
-D12ArtifactDie.DENOMINATION = '12';
+D10ResourceDie.TYPE = 'resource';
+D10ResourceDie.SUCCESS_TABLE = DIE_RULES.resD10.successes;
+D10ResourceDie.LOCKED_VALUES = DIE_RULES.resD10.lockedValues;
+
+export class D12ResourceDie extends D12ArtifactDie {
+  /** @override */
+  static getResultLabel(result, yzGame) {
+    return CONFIG.YZUR.DICE.ICONS.getLabel('resource', result, yzGame);
+  }
+}
+D12ResourceDie.TYPE = 'resource';
+D12ResourceDie.SUCCESS_TABLE = DIE_RULES.resD12.successes;
+D12ResourceDie.LOCKED_VALUES = DIE_RULES.resD12.lockedValues;
 
 /* -------------------------------------------- */
 
@@ -1107,13 +1652,13 @@ D12ArtifactDie.DENOMINATION = '12';
  */
 export class TwilightDie extends ArtifactDie {
   /** @override */
-  static getResultLabel(result) {
-    return CONFIG.YZUR.DICE.ICONS.getLabel('base', result);
+  static getResultLabel(result, yzGame) {
+    return CONFIG.YZUR.DICE.ICONS.getLabel('base', result, yzGame);
   }
 }
 TwilightDie.TYPE = 'base';
-TwilightDie.SUCCESS_TABLE = [null, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2];
-TwilightDie.LOCKED_VALUES = [1, 6, 7, 8, 9, 10, 11, 12];
+TwilightDie.SUCCESS_TABLE = DIE_RULES.a.successes;
+TwilightDie.LOCKED_VALUES = DIE_RULES.a.lockedValues;
 
 export class D6TwilightDie extends TwilightDie {
   constructor(termData) {
@@ -1121,7 +1666,7 @@ export class D6TwilightDie extends TwilightDie {
     super(termData);
   }
 }
-D6TwilightDie.DENOMINATION = '6';
+D6TwilightDie.DENOMINATION = DIE_RULES.d.denomination;
 
 export class D8TwilightDie extends TwilightDie {
   constructor(termData) {
@@ -1129,7 +1674,7 @@ export class D8TwilightDie extends TwilightDie {
     super(termData);
   }
 }
-D8TwilightDie.DENOMINATION = '8';
+D8TwilightDie.DENOMINATION = DIE_RULES.c.denomination;
 
 export class D10TwilightDie extends TwilightDie {
   constructor(termData) {
@@ -1137,7 +1682,7 @@ export class D10TwilightDie extends TwilightDie {
     super(termData);
   }
 }
-D10TwilightDie.DENOMINATION = '10';
+D10TwilightDie.DENOMINATION = DIE_RULES.b.denomination;
 
 export class D12TwilightDie extends TwilightDie {
   constructor(termData) {
@@ -1145,7 +1690,7 @@ export class D12TwilightDie extends TwilightDie {
     super(termData);
   }
 }
-D12TwilightDie.DENOMINATION = '12';
+D12TwilightDie.DENOMINATION = DIE_RULES.a.denomination;
 
 /* -------------------------------------------- */
 
@@ -1156,34 +1701,347 @@ export class AmmoDie extends YearZeroDie {
   }
   get hit() { return this.count(6);}
   /** @override */
-  static getResultLabel(result) {
-    return CONFIG.YZUR.DICE.ICONS.getLabel('ammo', result);
+  static getResultLabel(result, yzGame) {
+    return CONFIG.YZUR.DICE.ICONS.getLabel('ammo', result, yzGame);
   }
 }
 AmmoDie.TYPE = 'ammo';
-AmmoDie.DENOMINATION = 'm';
-AmmoDie.LOCKED_VALUES = [];
+AmmoDie.DENOMINATION = DIE_RULES.ammo.denomination;
+AmmoDie.LOCKED_VALUES = DIE_RULES.ammo.lockedValues;
 
 export class LocationDie extends Die {
   constructor(termData) {
     termData.faces = 6;
     super(termData);
   }
-  // get type() { return 'loc'; }
+  get type() { return this.constructor.TYPE; }
   /** @override */
   roll(options) {
     const roll = super.roll(options);
-    roll.count = 0;
+    roll.count = this.constructor.getResultCount(roll.result);
     this.results[this.results.length - 1] = roll;
     return roll;
   }
+  /**
+   * Gets the quantity of successes of a result.
+   * @param {number} result The result of the die
+   * @returns {number} Always 0, the location die has no success
+   * @static
+   */
+  static getResultCount(result) {
+    return getResultCount(DIE_RULES.loc, result);
+  }
+  /**
+   * Adds location dice to the term and rolls them (e.g. a die per hit of a ranged attack).
+   * @param {number}  n            The quantity of dice to add
+   * @param {number} [indexPush=0] The index of the push that adds the dice
+   * @returns {LocationDie} This die
+   */
+  addDice(n, indexPush = 0) {
+    for (let i = 0; i < n; i++) {
+      this.number++;
+      this.roll().indexPush = indexPush;
+    }
+    this._evaluated = true;
+    return this;
+  }
+  /**
+   * Discards the last location dice of the term (e.g. the hits lost by a push).
+   * @param {number} n The quantity of dice to discard
+   * @returns {LocationDie} This die
+   */
+  discardDice(n) {
+    const results = this.results.filter(r => r.active).slice(-n);
+    for (const r of results) {
+      r.active = false;
+      r.discarded = true;
+      this.number--;
+    }
+    return this;
+  }
   /** @override */
-  static getResultLabel(result) {
-    return CONFIG.YZUR.DICE.ICONS.getLabel('loc', result);
+  static getResultLabel(result, yzGame) {
+    return CONFIG.YZUR.DICE.ICONS.getLabel('loc', result, yzGame);
   }
 }
 LocationDie.TYPE = 'loc';
-LocationDie.DENOMINATION = 'l';
+LocationDie.DENOMINATION = DIE_RULES.loc.denomination;
+
+/* -------------------------------------------- */
+/*  Table Dice                                  */
+/* -------------------------------------------- */
+
+/**
+ * D66 Die: a D6 for the tens and a D6 for the ones (11 to 66).
+ * Each result keeps its digits, to show them in the tooltip.
+ * @extends {Die}
+ */
+export class D66Die extends Die {
+  constructor(termData) {
+    // The highest result, e.g. 66 (the formula is `1d66`).
+    termData.faces = Number(new.target.DENOMINATION);
+    super(termData);
+  }
+  get type() { return this.constructor.TYPE; }
+  /** @override */
+  roll() {
+    const roll = { ...rollTableDie(TABLE_DICE[this.type], CONFIG.Dice.randomUniform), active: true };
+    this.results.push(roll);
+    return roll;
+  }
+  /** @override */
+  static getResultLabel(result) {
+    const digits = getTableDigits(result);
+    const names = ['ones', 'tens', 'hundreds'];
+    return digits
+      .map((d, i) => `<span class="yzur-digit" data-digit="${names[digits.length - 1 - i]}">${d}</span>`)
+      .join('');
+  }
+}
+D66Die.TYPE = 'd66';
+D66Die.DENOMINATION = TABLE_DICE.d66.denomination;
+
+/**
+ * D666 Die: a D6 for the hundreds, the tens and the ones (111 to 666).
+ * @extends {D66Die}
+ */
+export class D666Die extends D66Die {}
+D666Die.TYPE = 'd666';
+D666Die.DENOMINATION = TABLE_DICE.d666.denomination;
+
+/* -------------------------------------------- */
+/*  Dice Themes                                 */
+/* -------------------------------------------- */
+
+/**
+ * A face of a die in a theme:
+ * a text label, an image path (`{ img }`) or an HTML snippet (`{ html }`).
+ * @typedef {string|number|{ img: string }|{ html: string }} DieFaceEntry
+ */
+
+/**
+ * A dice theme, stored in `CONFIG.YZUR.DICE.THEMES`.
+ * @typedef {Object} DiceTheme
+ * @property {string}  name    The name of the theme (localized)
+ * @property {string} [path]   The root path of the theme's images
+ * @property {Object<GameTypeString, Object<DieTypeString, Object<number, DieFaceEntry>>>} [icons]
+ *   The faces of the theme, by game and die type. Missing faces fall back to the emoji labels.
+ */
+
+/**
+ * Interface for the themes of the dice faces.
+ *
+ * The emoji labels of `CONFIG.YZUR.DICE.ICONS` are always used as a fallback.
+ *
+ * @abstract
+ * @interface
+ *
+ * @example
+ * YearZeroDiceThemes.register('mytheme', {
+ *   name: 'My Theme',
+ *   path: 'systems/mysystem/icons',
+ *   icons: { myz: { base: { '6': { img: 'radiation.png' } } } },
+ * });
+ * YearZeroDiceThemes.setTheme('mytheme');
+ */
+export class YearZeroDiceThemes {
+  /**
+   * Registers a dice theme.
+   * @param {string}    id    The ID of the theme
+   * @param {DiceTheme} theme The theme
+   * @static
+   */
+  static register(id, theme) {
+    CONFIG.YZUR.DICE.THEMES[id] = theme;
+  }
+
+  /**
+   * Changes the dice theme of this client.
+   * @param {string} id The ID of the theme
+   * @static
+   */
+  static setTheme(id) {
+    if (!CONFIG.YZUR.DICE.THEMES[id]) {
+      throw new ReferenceError(`${YearZeroDiceThemes.name} | Unknown dice theme: "${id}".`);
+    }
+    CONFIG.YZUR.DICE.theme = id;
+  }
+
+  /**
+   * Gets the names of the registered themes.
+   * @returns {Object<string, string>} Names keyed by theme ID
+   * @static
+   */
+  static getThemeNames() {
+    return Object.entries(CONFIG.YZUR.DICE.THEMES).reduce((names, [id, theme]) => {
+      names[id] = theme.name || id;
+      return names;
+    }, {});
+  }
+
+  /**
+   * Gets the face of a die.
+   * @param {DieTypeString}   type    The type of the die
+   * @param {number}          result  The result of the die
+   * @param {Object}         [options]
+   * @param {GameTypeString} [options.yzGame] The game used
+   * @param {string}         [options.theme]  The ID of the theme
+   * @returns {{ html: string, img: ?string }} The HTML label of the face, and its image path, if any
+   * @static
+   */
+  static getFace(type, result, { yzGame = null, theme = null } = {}) {
+    yzGame = yzGame || CONFIG.YZUR.game;
+    theme = CONFIG.YZUR.DICE.THEMES[theme || CONFIG.YZUR.DICE.theme];
+
+    const arto = ['d8', 'd10', 'd12'];
+    if (arto.includes(type)) type = 'arto';
+
+    const fallback = CONFIG.YZUR.DICE.ICONS[yzGame]?.[type]?.[result] ?? result;
+    const entry = theme?.icons?.[yzGame]?.[type]?.[result];
+
+    if (entry == null) return { html: String(fallback), img: null };
+    if (typeof entry !== 'object') return { html: String(entry), img: null };
+    if (entry.img) {
+      const img = theme.path ? `${theme.path}/${entry.img}` : entry.img;
+      return { html: `<img class="yzur-die-face" src="${img}" alt="${fallback}"/>`, img };
+    }
+    return { html: entry.html ?? String(fallback), img: null };
+  }
+
+  /**
+   * Gets the HTML label of a die's face.
+   * @param {DieTypeString} type   The type of the die
+   * @param {number}        result The result of the die
+   * @param {Object}       [options] Options for `getFace()`
+   * @returns {string}
+   * @static
+   */
+  static getLabel(type, result, options) {
+    return YearZeroDiceThemes.getFace(type, result, options).html;
+  }
+}
+
+/* -------------------------------------------- */
+/*  Random Sources                              */
+/* -------------------------------------------- */
+
+/**
+ * A generator of random numbers in the interval [0, 1).
+ * @typedef {function(): number} RandomGenerator
+ */
+
+/**
+ * A source of random numbers, stored in `CONFIG.YZUR.DICE.RANDOM_SOURCES`.
+ * @typedef {Object} RandomSource
+ * @property {string}           name The name of the source (localized)
+ * @property {?RandomGenerator} fn   The generator, or `null` to keep Foundry's `CONFIG.Dice.randomUniform`
+ */
+
+/**
+ * Interface for the random numbers used by the Year Zero rolls.
+ *
+ * A roll with a seed draws its results from a seeded generator,
+ * so that its whole sequence, pushes included, can be replayed.
+ * A roll without a seed draws them from the selected random source.
+ *
+ * @abstract
+ * @interface
+ *
+ * @example
+ * YearZeroRandom.setSource('crypto');
+ * const roll = YearZeroRoll.createFromDiceQuantities({ base: 3 }, { seed: true });
+ * roll.evaluate().push();
+ * YearZeroRoll.replay(roll.toJSON()).total === roll.total; // true
+ */
+export class YearZeroRandom {
+  /**
+   * Registers a source of random numbers.
+   * @param {string}       id     The ID of the source
+   * @param {RandomSource} source The source
+   * @static
+   */
+  static register(id, source) {
+    CONFIG.YZUR.DICE.RANDOM_SOURCES[id] = source;
+  }
+
+  /**
+   * Changes the source of random numbers of the rolls without a seed.
+   * @param {string} id The ID of the source
+   * @static
+   */
+  static setSource(id) {
+    if (!CONFIG.YZUR.DICE.RANDOM_SOURCES[id]) {
+      throw new ReferenceError(`${YearZeroRandom.name} | Unknown random source: "${id}".`);
+    }
+    CONFIG.YZUR.DICE.random = id;
+  }
+
+  /**
+   * Gets the names of the registered sources.
+   * @returns {Object<string, string>} Names keyed by source ID
+   * @static
+   */
+  static getSourceNames() {
+    return Object.entries(CONFIG.YZUR.DICE.RANDOM_SOURCES).reduce((names, [id, source]) => {
+      names[id] = source.name || id;
+      return names;
+    }, {});
+  }
+
+  /**
+   * Gets the generator of the selected source.
+   * @returns {?RandomGenerator} The generator, or `null` for Foundry's default
+   * @static
+   */
+  static getGenerator() {
+    return CONFIG.YZUR.DICE.RANDOM_SOURCES[CONFIG.YZUR.DICE.random]?.fn || null;
+  }
+
+  /**
+   * Creates a seeded generator (mulberry32).
+   * @param {number}  seed     The seed, an unsigned 32-bit integer
+   * @param {number} [skip=0]  Quantity of numbers to skip, to resume a sequence
+   * @returns {RandomGenerator}
+   * @static
+   */
+  static createSeeded(seed, skip = 0) {
+    return createSeededRandom(seed, skip);
+  }
+
+  /**
+   * Generates a new seed, from the cryptographic source if available.
+   * @returns {number} An unsigned 32-bit integer
+   * @static
+   */
+  static generateSeed() {
+    if (globalThis.crypto?.getRandomValues) {
+      return globalThis.crypto.getRandomValues(new Uint32Array(1))[0];
+    }
+    return Math.floor(Math.random() * 4294967296);
+  }
+
+  /**
+   * Temporarily replaces Foundry's `CONFIG.Dice.randomUniform` with a generator.
+   * @param {?RandomGenerator} generator The generator (`null` keeps the current one)
+   * @returns {Function} A function that restores the previous generator
+   * @static
+   */
+  static swapGenerator(generator) {
+    const previous = CONFIG.Dice.randomUniform;
+    if (generator) CONFIG.Dice.randomUniform = generator;
+    return () => CONFIG.Dice.randomUniform = previous;
+  }
+}
+
+/**
+ * Generates a number in the interval [0, 1) with the Web Crypto API.
+ * @type {RandomGenerator}
+ */
+function cryptoUniform() {
+  const [hi, lo] = globalThis.crypto.getRandomValues(new Uint32Array(2));
+  // 53 bits of randomness, the precision of a double.
+  return ((hi >>> 5) * 67108864 + (lo >>> 6)) / 9007199254740992;
+}
 
 /* -------------------------------------------- */
 /*  Custom Config                               */
@@ -1194,16 +2052,127 @@ LocationDie.DENOMINATION = 'l';
 
 const YZUR = {
   game: '',
+  games: [],
   CHAT: {
     showInfos: true,
+    socket: '',
+    command: '/yz',
+  },
+  PANIC: {
+    template: 'templates/dice/panic.hbs',
+    // The name or the ID of a RollTable (the built-in table is used if empty).
+    rollTable: '',
+    TABLE: ALIEN_PANIC_TABLE,
   },
   ROLL: {
     chatTemplate: 'templates/dice/roll.html',
     tooltipTemplate: 'templates/dice/tooltip.html',
     infosTemplate: 'templates/dice/infos.hbs',
+    dialogTemplate: 'templates/dice/dialog.hbs',
+    cufTemplate: 'templates/dice/cuf.hbs',
+    maxPush: 1,
+    // Whether new rolls get a seed by default.
+    seeded: false,
+    // The resources gained by pushing a roll, by game.
+    PUSH_CONSEQUENCES,
+    // The labels of the push button, by game (default: "Push").
+    PUSH_LABELS: {
+      cor: 'YZUR.CHAT.ROLL.pray',
+    },
+  },
+  TABLES: {
+    template: 'templates/dice/table.hbs',
+  },
+  INITIATIVE: {
+    template: 'templates/combat/initiative.hbs',
+    swapTemplate: 'templates/combat/swap.hbs',
+    // Whether the cards are reshuffled at the end of each round (otherwise, only when the initiative is reset).
+    reshuffleEachRound: false,
+    // The draw options of a combatant: the `yzur.initiative` flags of the combatant or its actor.
+    getDrawOptions: function(combatant) {
+      return { ...combatant.actor?.data?.flags?.yzur?.initiative, ...combatant.flags?.yzur?.initiative };
+    },
+  },
+  SUPPLY: {
+    // The path of the supply in the data of an actor or an item.
+    dataPath: 'data.supply.value',
+    // The path of the stress level in the data of an actor.
+    stressPath: 'data.header.stress.value',
+    lowSupply: LOW_SUPPLY,
+  },
+  RESOURCES: {
+    template: 'templates/dice/resource.hbs',
+    // The path of the resource die in the data of an item, as its size (e.g. `8` for a D8, `0` when depleted).
+    dataPath: 'data.resource.value',
+  },
+  CRITS: {
+    template: 'templates/dice/crit.hbs',
+    // The names or the IDs of RollTables, by game (the built-in tables are used if empty).
+    rollTables: {},
+    TABLES: CRITICAL_INJURY_TABLES,
+  },
+  DARKNESS: {
+    // The world setting of the Darkness Points, as "namespace.key" (no counter if empty).
+    setting: '',
+    POINTS: PUSH_DARKNESS_POINTS,
   },
   DICE: {
     localizeDieTypes: true,
+    theme: 'emoji',
+    random: 'foundry',
+    RANDOM_SOURCES: {
+      // Uses Foundry's CONFIG.Dice.randomUniform.
+      foundry: {
+        name: 'YZUR.RANDOM.foundry',
+        fn: null,
+      },
+      crypto: {
+        name: 'YZUR.RANDOM.crypto',
+        fn: cryptoUniform,
+      },
+    },
+    THEMES: {
+      // Uses the labels of CONFIG.YZUR.DICE.ICONS.
+      emoji: {
+        name: 'YZUR.THEMES.emoji',
+      },
+      // Image paths are relative to the `path` of the theme.
+      images: {
+        name: 'YZUR.THEMES.images',
+        path: 'assets/dice',
+        icons: {
+          myz: {
+            base: { '1': { img: 'myz/biohazard.svg' }, '6': { img: 'myz/radiation.svg' } },
+            skill: { '6': { img: 'myz/radiation.svg' } },
+            neg: { '6': { img: 'common/minus.svg' } },
+            gear: { '1': { img: 'common/explosion.svg' }, '6': { img: 'myz/radiation.svg' } },
+          },
+          fbl: {
+            base: { '1': { img: 'fbl/skull.svg' }, '6': { img: 'fbl/swords.svg' } },
+            skill: { '6': { img: 'fbl/swords.svg' } },
+            neg: { '6': { img: 'common/minus.svg' } },
+            gear: { '1': { img: 'common/explosion.svg' }, '6': { img: 'fbl/swords.svg' } },
+          },
+          alien: {
+            skill: { '6': { img: 'alien/success.svg' } },
+            stress: { '1': { img: 'alien/panic.svg' }, '6': { img: 'alien/success.svg' } },
+          },
+          tales: {
+            skill: { '6': { img: 'tales/success.svg' } },
+          },
+          cor: {
+            skill: { '6': { img: 'cor/success.svg' } },
+          },
+          vae: {
+            skill: { '6': { img: 'vae/success.svg' } },
+          },
+          t2k: {
+            base: { '1': { img: 't2k/bane.svg' } },
+            ammo: { '1': { img: 't2k/bane.svg' }, '6': { img: 't2k/target.svg' } },
+          },
+        },
+      },
+    },
     DIE_TYPES: {
       'base': BaseDie,
       'skill': SkillDie,
@@ -1219,175 +2188,19 @@ const YZUR = {
       'd': D6TwilightDie,
       'ammo': AmmoDie,
       'loc': LocationDie,
+      'd66': D66Die,
+      'd666': D666Die,
+      'resD6': D6ResourceDie,
+      'resD8': D8ResourceDie,
+      'resD10': D10ResourceDie,
+      'resD12': D12ResourceDie,
     },
     ICONS: {
-      getLabel: function(type, result) {
-        const arto = ['d8', 'd10', 'd12'];
-        if (arto.includes(type)) type = 'arto';
-        return this[YZUR.game][type][result];
-      },
-      myz: {
-        base: {
-          '1': '☣',
-          '2': 2,
-          '3': 3,
-          '4': 4,
-          '5': 5,
-          '6': '☢',
-        },
-        skill: {
-          '1': 1,
-          '2': 2,
-          '3': 3,
-          '4': 4,
-          '5': 5,
-          '6': '☢',
-        },
-        neg: {
-          '1': 1,
-          '2': 2,
-          '3': 3,
-          '4': 4,
-          '5': 5,
-          '6': '➖',
-        },
-        gear: {
-          '1': '💥',
-          '2': 2,
-          '3': 3,
-          '4': 4,
-          '5': 5,
-          '6': '☢',
-        },
-      },
-      fbl: {
-        base: {
-          '1': '☠',
-          '2': 2,
-          '3': 3,
-          '4': 4,
-          '5': 5,
-          '6': '⚔️',
-        },
-        skill: {
-          '1': 1,
-          '2': 2,
-          '3': 3,
-          '4': 4,
-          '5': 5,
-          '6': '⚔️',
-        },
-        neg: {
-          '1': 1,
-          '2': 2,
-          '3': 3,
-          '4': 4,
-          '5': 5,
-          '6': '➖',
-        },
-        gear: {
-          '1': '💥',
-          '2': 2,
-          '3': 3,
-          '4': 4,
-          '5': 5,
-          '6': '⚔️',
-        },
-        arto: {
-          '1': 1,
-          '2': 2,
-          '3': 3,
-          '4': 4,
-          '5': 5,
-          '6': 6,
-          '7': 7,
-          '8': 8,
-          '9': 9,
-          '10': 10,
-          '11': 11,
-          '12': 12,
-        },
-      },
-      alien: {
-        skill: {
-          '1': 1,
-          '2': 2,
-          '3': 3,
-          '4': 4,
-          '5': 5,
-          '6': '💠', // '❇',
-        },
-        stress: {
-          '1': '😱', // '⚠',
-          '2': 2,
-          '3': 3,
-          '4': 4,
-          '5': 5,
-          '6': '💠',
-        },
-      },
-      tales: {
-        skill: {
-          '1': 1,
-          '2': 2,
-          '3': 3,
-          '4': 4,
-          '5': 5,
-          '6': '⚛️', // '👑',
-        },
-      },
-      cor: {
-        skill: {
-          '1': 1,
-          '2': 2,
-          '3': 3,
-          '4': 4,
-          '5': 5,
-          '6': '🐞',
-        },
-      },
-      vae: {
-        skill: {
-          '1': 1,
-          '2': 2,
-          '3': 3,
-          '4': 4,
-          '5': 5,
-          '6': '🦋',
-        },
-      },
-      t2k: {
-        base: {
-          '1': '•',
-          '2': 2,
-          '3': 3,
-          '4': 4,
-          '5': 5,
-          '6': 6,
-          '7': 7,
-          '8': 8,
-          '9': 9,
-          '10': 10,
-          '11': 11,
-          '12': 12,
-        },
-        ammo: {
-          '1': '•',
-          '2': 2,
-          '3': 3,
-          '4': 4,
-          '5': 5,
-          '6': '🎯',
-        },
-        loc: {
-          '1': 'L',
-          '2': 'T',
-          '3': 'T',
-          '4': 'T',
-          '5': 'A',
-          '6': 'H',
-        },
+      // The game of the roll, or the default game.
+      getLabel: function(type, result, yzGame) {
+        return YearZeroDiceThemes.getLabel(type, result, { yzGame });
       },
+      ...DICE_ICONS,
     },
   },
 };
@@ -1398,16 +2211,1385 @@ YZUR.DICE.DIE_TYPES_BY_CLASS = Object.entries(YZUR.DICE.DIE_TYPES).reduce((dieTy
 }, {});
 
 /* -------------------------------------------- */
-/*  Custom Dialog                               */
+/*  Chat Listeners                              */
 /* -------------------------------------------- */
 
-export class YZRollDialog extends Dialog {
-  /** @override */
-  activateListeners(html) {
-    super.activateListeners(html);
-    html.find('input').focus(ev => ev.currentTarget.select());
-  }
-}
+/**
+ * Interface for the chat cards of Year Zero rolls.
+ *
+ * To activate the buttons of the chat cards,
+ * call the static `YearZeroChat.chatListeners()` method
+ * in the `renderChatMessage` Hooks.
+ *
+ * @abstract
+ * @interface
+ *
+ * @example
+ * Hooks.on('renderChatMessage', (message, html) => YearZeroChat.chatListeners(message, html));
+ */
+export class YearZeroChat {
+  /**
+   * Activates the listeners of a rendered chat message.
+   * @param {ChatMessage} message The rendered chat message
+   * @param {JQuery}      html    The HTML content of the message
+   * @static
+   */
+  static chatListeners(message, html) {
+    html.find('.yzur-panic-origin, .yzur-crit-origin').click(ev => YearZeroChat._onShowOrigin(ev));
+    if (!message.isRoll) return;
+
+    html.find('.dice-button.cuf').click(ev => YearZeroChat._onCoolnessUnderFire(ev));
+
+    // Only the GM rolls the critical injuries.
+    const critButton = html.find('.dice-button.crit');
+    if (game.user.isGM) critButton.click(ev => YearZeroChat._onCriticalInjury(ev, message));
+    else critButton.remove();
+
+    const pushButton = html.find('.dice-button.push');
+    if (!YearZeroChat.canPush(message)) {
+      pushButton.remove();
+      return;
+    }
+    pushButton.click(ev => YearZeroChat._onPush(ev, message));
+  }
+
+  /**
+   * Tells if a user is allowed to push the roll of a message.
+   * @param {ChatMessage} message    The chat message with the roll
+   * @param {User}       [user=game.user] The user who wants to push
+   * @returns {boolean}
+   * @static
+   */
+  static canPush(message, user = game.user) {
+    if (YearZeroChat.canUpdate(message, user)) return true;
+    // The owner of the speaker can push a roll made on its behalf.
+    const actor = ChatMessage.getSpeakerActor(message.data.speaker);
+    return actor ? actor.hasPerm(user, 'OWNER') : false;
+  }
+
+  /**
+   * Scrolls the chat log to the message linked by a chat card (e.g. the roll that caused a panic).
+   * @param {Event} event The originating click event
+   * @private
+   * @static
+   */
+  static _onShowOrigin(event) {
+    event.preventDefault();
+    const messageId = event.currentTarget.dataset.messageId;
+    const originElement = document.querySelector(`#chat-log [data-message-id="${messageId}"]`);
+    if (originElement) originElement.scrollIntoView({ behavior: 'smooth' });
+    else ui.notifications.warn(game.i18n.localize('YZUR.WARNING.originNotFound'));
+  }
+
+  /**
+   * Tells if a user is allowed to update a message (only its author or a GM).
+   * @param {ChatMessage} message    The chat message
+   * @param {User}       [user=game.user] The user who wants to update
+   * @returns {boolean}
+   * @static
+   */
+  static canUpdate(message, user = game.user) {
+    return user.isGM || message.data.user === user._id;
+  }
+
+  /**
+   * Pushes the roll of a message and updates the message with the pushed roll.
+   * @param {ChatMessage} message The chat message with the roll to push
+   * @returns {Promise<ChatMessage|null>} The updated chat message, or `null` if the roll cannot be pushed
+   * @static
+   * @async
+   */
+  static async pushMessage(message) {
+    const cls = CONFIG.Dice.rolls[CONFIG.YZUR.ROLL.index] || YearZeroRoll;
+    const roll = cls.fromData(JSON.parse(message.data.roll));
+    if (!roll.pushable) return null;
+
+    roll.push();
+    return message.update({
+      content: roll.total,
+      roll: JSON.stringify(roll),
+    });
+  }
+
+  /**
+   * Handles the click on the push button of a chat card.
+   * @param {Event}       event   The originating click event
+   * @param {ChatMessage} message The chat message with the roll to push
+   * @returns {Promise<ChatMessage>}
+   * @private
+   * @static
+   * @async
+   */
+  static async _onPush(event, message) {
+    event.preventDefault();
+    const button = event.currentTarget;
+    button.disabled = true;
+
+    try {
+      if (!YearZeroChat.canPush(message)) {
+        ui.notifications.warn(game.i18n.localize('YZUR.WARNING.cannotPush'));
+      }
+      else if (!YearZeroChat.canUpdate(message)) {
+        // The button is enabled again if the GM rejects the request (see `onPushRejected()`).
+        if (YearZeroChat.requestPush(message)) return message;
+      }
+      else {
+        const pushedMessage = await YearZeroChat.pushMessage(message);
+        if (pushedMessage) return pushedMessage;
+        // The roll cannot be pushed anymore (e.g. it was pushed by another user).
+        ui.notifications.warn(game.i18n.localize('YZUR.WARNING.cannotPush'));
+      }
+    }
+    catch (error) {
+      console.error(error);
+      ui.notifications.error(error.message);
+    }
+    button.disabled = false;
+    return message;
+  }
+
+  /**
+   * Handles the click on the Coolness Under Fire button of a ranged attack:
+   * the suppressed character (the speaker of the current user) rolls Coolness Under Fire.
+   * @param {Event} event The originating click event
+   * @returns {Promise<YearZeroRoll|null>}
+   * @private
+   * @static
+   * @async
+   */
+  static async _onCoolnessUnderFire(event) {
+    event.preventDefault();
+    const suppression = parseInt(event.currentTarget.dataset.suppression) || 0;
+    return YearZeroChat.rollCoolnessUnderFire({ suppression });
+  }
+
+  /**
+   * Handles the click on the critical injury button of a roll:
+   * rolls a critical injury with the modifier of the roll.
+   * @param {Event}       event   The originating click event
+   * @param {ChatMessage} message The chat message with the roll
+   * @returns {Promise<ChatMessage>}
+   * @private
+   * @static
+   * @async
+   */
+  static async _onCriticalInjury(event, message) {
+    event.preventDefault();
+    const { game: yzGame, modifier } = event.currentTarget.dataset;
+    return YearZeroCriticals.rollCritical(yzGame, {
+      modifier: parseInt(modifier) || 0,
+      originId: message._id,
+      speaker: message.data.speaker,
+    });
+  }
+
+  /**
+   * Renders a dialog for the die of a Coolness Under Fire roll (Twilight 2000),
+   * then rolls it and sends it to the chat.
+   * @param {Object}  [data]
+   * @param {number}  [data.suppression=0] The suppression suffered
+   * @param {string}  [data.dieType='c']   The initial Coolness Under Fire die
+   * @param {Object}  [data.speaker]       The speaker of the chat message (default: the current user's)
+   * @returns {Promise<YearZeroRoll|null>} The roll, or `null` if the dialog was closed
+   * @static
+   * @async
+   */
+  static async rollCoolnessUnderFire({ suppression = 0, dieType = 'c', speaker = null } = {}) {
+    const content = await renderTemplate(CONFIG.YZUR.ROLL.cufTemplate, {
+      dieTypes: ['a', 'b', 'c', 'd'].map(type => ({
+        type,
+        label: game.i18n.localize(`YZUR.DIETYPES.${CONFIG.YZUR.DICE.DIE_TYPES[type].name}`),
+      })),
+      dieType,
+      suppression,
+    });
+
+    return new Promise(resolve => {
+      // The dialog is closed as soon as the roll button is clicked, before the roll is sent to the chat.
+      let submitted = false;
+      new Dialog({
+        title: game.i18n.localize('YZUR.CHAT.ROLL.coolnessUnderFire'),
+        content,
+        buttons: {
+          roll: {
+            icon: '<i class="fas fa-dice"></i>',
+            label: game.i18n.localize('YZUR.DIALOG.roll'),
+            callback: async html => {
+              submitted = true;
+              try {
+                const roll = YearZeroRoll.createCoolnessUnderFire(html.find('select[name="dieType"]').val(), {
+                  suppression: parseInt(html.find('input[name="suppression"]').val()) || 0,
+                });
+                roll.name = game.i18n.localize('YZUR.CHAT.ROLL.coolnessUnderFire');
+                await roll.toMessage({ speaker: speaker || ChatMessage.getSpeaker() });
+                resolve(roll);
+              }
+              catch (error) {
+                console.error(error);
+                ui.notifications.error(error.message);
+                resolve(null);
+              }
+            },
+          },
+          cancel: {
+            icon: '<i class="fas fa-times"></i>',
+            label: game.i18n.localize('Cancel'),
+            callback: () => resolve(null),
+          },
+        },
+        default: 'roll',
+        close: () => {
+          if (!submitted) resolve(null);
+        },
+      }).render(true);
+    });
+  }
+
+  /**
+   * Asks an active GM to push the roll of a message, through the socket channel
+   * defined in `CONFIG.YZUR.CHAT.socket` (see `onPushRequest()`).
+   * @param {ChatMessage} message The chat message with the roll to push
+   * @returns {boolean} Whether the request was sent
+   * @static
+   */
+  static requestPush(message) {
+    const socketName = CONFIG.YZUR.CHAT.socket;
+    if (!socketName) {
+      ui.notifications.warn(game.i18n.localize('YZUR.WARNING.cannotPush'));
+      return false;
+    }
+    if (!game.users.find(u => u.isGM && u.active)) {
+      ui.notifications.error(game.i18n.localize('YZUR.ERROR.noActiveGM'));
+      return false;
+    }
+    game.socket.emit(socketName, {
+      action: 'push',
+      messageId: message._id,
+      userId: game.user._id,
+    });
+    return true;
+  }
+
+  /**
+   * Handles a push request received through the socket channel (see `requestPush()`):
+   * pushes the roll of the message, or replies to the requester with the reason of the rejection.
+   *
+   * Only the first active GM must call this method.
+   *
+   * @param {Object} data
+   * @param {string} data.messageId The ID of the chat message
+   * @param {string} data.userId    The ID of the user who sent the request
+   * @returns {Promise<ChatMessage|null>} The updated chat message, or `null` if the request was rejected
+   * @static
+   * @async
+   */
+  static async onPushRequest({ messageId, userId }) {
+    const message = game.messages.get(messageId);
+    const user = game.users.get(userId);
+    if (!user) return null;
+
+    let error;
+    if (!message) {
+      error = game.i18n.localize('YZUR.ERROR.messageNotFound');
+    }
+    else if (!YearZeroChat.canPush(message, user)) {
+      console.warn(`${YearZeroChat.name} | ${user.name} is not allowed to push the message ${messageId}.`);
+      error = game.i18n.localize('YZUR.WARNING.cannotPush');
+    }
+    else {
+      try {
+        const pushedMessage = await YearZeroChat.pushMessage(message);
+        if (pushedMessage) return pushedMessage;
+        error = game.i18n.localize('YZUR.WARNING.cannotPush');
+      }
+      catch (err) {
+        console.error(err);
+        error = err.message;
+      }
+    }
+    game.socket.emit(CONFIG.YZUR.CHAT.socket, { action: 'pushRejected', messageId, userId, error });
+    return null;
+  }
+
+  /**
+   * Handles the rejection of a push request received through the socket channel:
+   * notifies the requester and enables the push button again.
+   * @param {Object} data
+   * @param {string} data.messageId The ID of the chat message
+   * @param {string} data.userId    The ID of the user who sent the request
+   * @param {string} data.error     The reason of the rejection
+   * @static
+   */
+  static onPushRejected({ messageId, userId, error }) {
+    if (userId !== game.user._id) return;
+    ui.notifications.error(error);
+    const button = document.querySelector(`#chat-log [data-message-id="${messageId}"] .dice-button.push`);
+    if (button) button.disabled = false;
+  }
+
+  /* -------------------------------------------- */
+  /*  Chat Command                                */
+  /* -------------------------------------------- */
+
+  /**
+   * Handles the chat command defined in `CONFIG.YZUR.CHAT.command` (default: `/yz`).
+   * Call this method in the `chatMessage` Hooks.
+   * @param {ChatLog} chatLog  The chat log
+   * @param {string}  message  The raw message typed in the chat box
+   * @param {Object}  chatData The data of the chat message
+   * @returns {boolean} `false` if the message was a command (to prevent its default processing)
+   * @static
+   *
+   * @example
+   * // Rolls 3 base dice, 2 skill dice and 1 gear die, with a -1 modifier.
+   * /yz 3b 2s 1g -1 "Sneak"
+   * // Rolls 3 base dice and 2 skill dice, pushable twice.
+   * /yz base 3 skill 2 maxpush=2
+   * // Rolls 4 skill dice and 1 stress die of the Alien RPG.
+   * /yz 4s 1z game=alien
+   */
+  static chatCommand(chatLog, message, chatData) {
+    const command = CONFIG.YZUR.CHAT.command;
+    if (!command) return true;
+
+    const [, cmd, args] = message.trim().match(/^(\S+)\s*(.*)$/s) || [];
+    if (!cmd || cmd.toLowerCase() !== command.toLowerCase()) return true;
+
+    // The hook must return synchronously: the roll is sent to the chat afterwards.
+    YearZeroChat._rollCommand(args, chatData);
+    return false;
+  }
+
+  /**
+   * Rolls the arguments of a chat command and sends the roll to the chat.
+   * The errors are whispered to the user who typed the command.
+   * @param {string} args     The arguments of the command
+   * @param {Object} chatData The data of the chat message
+   * @returns {Promise<YearZeroRoll|null>} The roll, or `null` if the command failed
+   * @private
+   * @static
+   * @async
+   */
+  static async _rollCommand(args, chatData) {
+    let yzGame;
+    try {
+      const command = YearZeroChat.parseCommand(args);
+      yzGame = command.yzGame;
+      let roll = YearZeroRoll.createFromDiceQuantities(command.dice, { yzGame, maxPush: command.maxPush });
+      if (command.modifier) roll = roll.modify(command.modifier);
+      roll.name = command.name;
+      // The roll mode selected in the chat log.
+      await roll.toMessage({ speaker: chatData.speaker }, { rollMode: game.settings.get('core', 'rollMode') });
+      return roll;
+    }
+    catch (error) {
+      console.warn(error);
+      await YearZeroChat._whisperCommandError(error, yzGame || error.yzGame);
+      return null;
+    }
+  }
+
+  /**
+   * Parses the arguments of a chat command.
+   * @param {string}          str      The arguments to parse
+   * @param {GameTypeString} [yzGame]  The game used, unless the arguments contain `game=<game>`
+   * @returns {{ yzGame: GameTypeString, dice: DiceQuantities, modifier: number, maxPush: number, name: ?string }}
+   * @throws {CommandError} When an argument is invalid (with the game of the command, once it is known)
+   * @static
+   */
+  static parseCommand(str, yzGame = CONFIG.YZUR.game) {
+    const tokens = str.match(/"[^"]*"|'[^']*'|\S+/g) || [];
+
+    // The game comes first, as the die aliases depend on it.
+    const gameIndex = tokens.findIndex(t => /^game=/i.test(t));
+    if (gameIndex >= 0) {
+      yzGame = tokens.splice(gameIndex, 1)[0].slice(5).toLowerCase();
+      if (!YearZeroRollManager.GAMES.includes(yzGame)) {
+        throw new CommandError(game.i18n.format('YZUR.ERROR.COMMAND.unknownGame', { game: yzGame }));
+      }
+    }
+
+    const aliases = YearZeroChat.getDieAliases(yzGame);
+    const out = { yzGame, dice: {}, modifier: 0, maxPush: CONFIG.YZUR.ROLL.maxPush || 1, name: null };
+    const addDice = (alias, qty) => {
+      const type = aliases[alias.toLowerCase()];
+      if (!type) throw new CommandError(game.i18n.format('YZUR.ERROR.COMMAND.unknownDieType', { type: alias }), yzGame);
+      out.dice[type] = (out.dice[type] || 0) + parseInt(qty);
+    };
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      const diceMatch = token.match(/^(\d+)([a-z]\w*)$/i);
+      const maxPushMatch = token.match(/^maxpush=(\d+)$/i);
+
+      // Name: "Sneak"
+      if (/^(["']).*\1$/.test(token)) {
+        out.name = token.slice(1, -1);
+      }
+      // Max push: maxpush=2
+      else if (maxPushMatch) {
+        out.maxPush = Math.max(1, parseInt(maxPushMatch[1]));
+      }
+      // Modifier: +1, -2
+      else if (/^[+-]\d+$/.test(token)) {
+        out.modifier += parseInt(token);
+      }
+      // Quantity then die type: 3b, 2skill
+      else if (diceMatch) {
+        addDice(diceMatch[2], diceMatch[1]);
+      }
+      // Die type then quantity: base 3
+      else if (aliases[token.toLowerCase()]) {
+        const qty = tokens[i + 1];
+        if (!/^\d+$/.test(qty)) {
+          throw new CommandError(game.i18n.format('YZUR.ERROR.COMMAND.missingQuantity', { type: token }), yzGame);
+        }
+        addDice(token, qty);
+        i++;
+      }
+      else {
+        throw new CommandError(game.i18n.format('YZUR.ERROR.COMMAND.invalidArgument', { argument: token }), yzGame);
+      }
+    }
+
+    if (!Object.values(out.dice).some(n => n > 0)) {
+      throw new CommandError(game.i18n.localize('YZUR.ERROR.COMMAND.noDice'), yzGame);
+    }
+    return out;
+  }
+
+  /**
+   * Gets the aliases of the die types registered for a game:
+   * the type key, its denomination and the denomination prefixed with "d".
+   * @param {GameTypeString} [yzGame] The game used
+   * @returns {Object<string, DieTypeString>} Die types keyed by lowercase alias
+   * @static
+   */
+  static getDieAliases(yzGame = CONFIG.YZUR.game) {
+    if (!YearZeroRollManager.GAMES.includes(yzGame)) throw new GameTypeError(yzGame);
+    return getDieAliases(yzGame);
+  }
+
+  /**
+   * Whispers the error of a chat command to the current user, with a reminder of the usage.
+   * @param {Error}           error   The error thrown by the command
+   * @param {GameTypeString} [yzGame] The game of the command, whose die aliases are listed
+   * @returns {Promise<ChatMessage>}
+   * @private
+   * @static
+   */
+  static _whisperCommandError(error, yzGame = CONFIG.YZUR.game) {
+    const command = CONFIG.YZUR.CHAT.command;
+    const aliases = Object.keys(YearZeroChat.getDieAliases(yzGame)).join(', ');
+    const content = [
+      `<p><strong>${Handlebars.escapeExpression(error.message)}</strong></p>`,
+      `<p>${game.i18n.localize('YZUR.CHAT.COMMAND.usage')}: `
+        + `<code>${command} 3b 2s 1g -1 "Name" maxpush=2 game=${yzGame}</code></p>`,
+      `<p>${game.i18n.localize('YZUR.CHAT.COMMAND.dice')}: ${aliases}</p>`,
+    ].join('');
+    return ChatMessage.create({
+      user: game.user._id,
+      content,
+      type: CONST.CHAT_MESSAGE_TYPES.WHISPER,
+      whisper: [game.user._id],
+    });
+  }
+}
+
+/* -------------------------------------------- */
+/*  Panic                                       */
+/* -------------------------------------------- */
+
+/**
+ * Interface for the panic rolls of the Alien RPG.
+ *
+ * Any "1" on a stress die triggers a panic roll (1d6 + stress level),
+ * read on the RollTable named in `CONFIG.YZUR.PANIC.rollTable`,
+ * or on the built-in table `CONFIG.YZUR.PANIC.TABLE`.
+ * The result is posted as its own chat card, linked to the original roll.
+ *
+ * @abstract
+ * @interface
+ *
+ * @example
+ * Hooks.on('createChatMessage', (message, options, userId) => YearZeroPanic.onChatMessage(message, userId));
+ * Hooks.on('updateChatMessage', (message, data, options, userId) => {
+ *   if (data.roll) YearZeroPanic.onChatMessage(message, userId);
+ * });
+ */
+export class YearZeroPanic {
+  /**
+   * Rolls for panic if the roll of a chat message has caused one.
+   *
+   * Call this method when a message is created or its roll is pushed.
+   * Only the client of the user who created or pushed the roll posts the panic card,
+   * and only for the new "1" on stress dice: the last push that caused a panic
+   * is stored in the `yzur.panicPush` flag of the message.
+   *
+   * @param {ChatMessage} message The chat message
+   * @param {string}      userId  The ID of the user who created or updated the message
+   * @returns {Promise<ChatMessage|null>} The panic card, if any
+   * @static
+   * @async
+   */
+  static async onChatMessage(message, userId) {
+    if (userId !== game.user._id || !message.isRoll) return null;
+
+    const cls = CONFIG.Dice.rolls[CONFIG.YZUR.ROLL.index] || YearZeroRoll;
+    const data = JSON.parse(message.data.roll);
+    if (data.class !== cls.name) return null;
+
+    const roll = cls.fromData(data);
+    if (!YearZeroPanic.isPanicking(roll)) return null;
+
+    // Other updates of the message can carry the roll again: only the new "1" cause a panic.
+    const lastPush = message.getFlag('yzur', 'panicPush') ?? -1;
+    if (YearZeroPanic.getNewPanic(roll, lastPush) <= 0) return null;
+    await message.setFlag('yzur', 'panicPush', roll.pushCount);
+
+    return YearZeroPanic.rollPanic(roll, {
+      originId: message._id,
+      speaker: message.data.speaker,
+      whisper: message.data.whisper,
+      blind: message.data.blind,
+    });
+  }
+
+  /**
+   * Tells if a roll has caused a panic.
+   * @param {YearZeroRoll} roll
+   * @returns {boolean}
+   * @static
+   */
+  static isPanicking(roll) {
+    return isPanic(roll.game, roll.panic);
+  }
+
+  /**
+   * Gets the quantity of "1" on stress dice rolled after a push (or the roll itself, for -1).
+   * @param {YearZeroRoll} roll
+   * @param {number}       indexPush The index of the push
+   * @returns {number}
+   * @static
+   */
+  static getNewPanic(roll, indexPush) {
+    return roll.getTerms('stress').reduce((c, t) => {
+      return c + t.results.filter(r => r.active && r.result === 1 && r.indexPush > indexPush).length;
+    }, 0);
+  }
+
+  /**
+   * Rolls for panic and posts the result in the chat.
+   * @param {YearZeroRoll} roll The roll that caused the panic
+   * @param {Object}   [options]
+   * @param {string}   [options.originId] The ID of the chat message of the roll
+   * @param {Object}   [options.speaker]  The speaker of the panic card
+   * @param {string[]} [options.whisper]  The users who can see the panic card
+   * @param {boolean}  [options.blind]    Whether the panic card is blind
+   * @returns {Promise<ChatMessage>}
+   * @static
+   * @async
+   */
+  static async rollPanic(roll, { originId = null, speaker = null, whisper = [], blind = false } = {}) {
+    const stress = roll.stress;
+    // The panic die is a plain d6, whatever the die registered for the "6" denomination (e.g. in T2K),
+    // rolled with the random numbers of the roll.
+    const panicDie = new Die({ number: 1, faces: 6 });
+    const restoreGenerator = YearZeroRandom.swapGenerator(roll.getRandomGenerator());
+    try {
+      panicDie.evaluate();
+    }
+    finally {
+      restoreGenerator();
+    }
+    const dieResult = panicDie.total;
+    const total = dieResult + stress;
+    const entry = await YearZeroPanic.getPanicEntry(total);
+
+    const content = await renderTemplate(CONFIG.YZUR.PANIC.template, {
+      formula: `${panicDie.formula} + ${stress}`,
+      dieResult,
+      stress,
+      total,
+      entry,
+      originId,
+    });
+    return ChatMessage.create({
+      user: game.user._id,
+      speaker: speaker || ChatMessage.getSpeaker(),
+      content,
+      whisper,
+      blind,
+      type: CONST.CHAT_MESSAGE_TYPES.OTHER,
+      sound: CONFIG.sounds.dice,
+    });
+  }
+
+  /**
+   * Gets the panic effect of a total:
+   * from the RollTable named in `CONFIG.YZUR.PANIC.rollTable`, if any, or from the built-in table.
+   * @param {number} total The total of the panic roll
+   * @returns {Promise<{ name: string, description: string, img: ?string }>}
+   * @static
+   * @async
+   */
+  static async getPanicEntry(total) {
+    const tableId = CONFIG.YZUR.PANIC.rollTable;
+    const table = YearZeroTables.getTable(tableId);
+    if (tableId && !table) {
+      console.warn(`${YearZeroPanic.name} | RollTable not found: "${tableId}". Using the built-in panic table.`);
+    }
+    // Totals outside of the table's ranges use the built-in table.
+    const result = table ? YearZeroTables.getResult(table, total) : null;
+    if (result) return { name: result.text, description: '', img: result.img };
+    const entry = getPanicEntry(total, CONFIG.YZUR.PANIC.TABLE);
+    return { name: entry.name, description: entry.description, img: null };
+  }
+}
+
+/* -------------------------------------------- */
+/*  Darkness Points                             */
+/* -------------------------------------------- */
+
+/**
+ * Interface for the Darkness Points of Coriolis.
+ *
+ * Each push (a prayer to the Icons) gives Darkness Points to the GM
+ * (see `CONFIG.YZUR.DARKNESS.POINTS`). They are stored in the world setting
+ * named in `CONFIG.YZUR.DARKNESS.setting`, and each gain is whispered to the GMs.
+ *
+ * @abstract
+ * @interface
+ *
+ * @example
+ * Hooks.on('updateChatMessage', (message, data) => YearZeroDarkness.onChatMessage(message, data));
+ */
+export class YearZeroDarkness {
+  /**
+   * Gives the Darkness Points of a pushed roll to the GM.
+   *
+   * Call this method in the `updateChatMessage` Hooks.
+   * Only the first active GM stores the points, as players cannot change world settings.
+   * The last push that gave points is stored in the `yzur.darknessPush` flag of the message.
+   *
+   * @param {ChatMessage} message The updated chat message
+   * @param {Object}      data    The differential data of the update
+   * @returns {Promise<number>|void} The new total of Darkness Points
+   * @static
+   */
+  static onChatMessage(message, data) {
+    if (!data.roll || !CONFIG.YZUR.DARKNESS.setting) return;
+    const activeGM = game.users.find(u => u.isGM && u.active);
+    if (!activeGM || activeGM._id !== game.user._id) return;
+
+    const cls = CONFIG.Dice.rolls[CONFIG.YZUR.ROLL.index] || YearZeroRoll;
+    const rollData = JSON.parse(data.roll);
+    if (rollData.class !== cls.name) return;
+
+    const roll = cls.fromData(rollData);
+    const gain = YearZeroDarkness.getPushGain(roll);
+    if (!roll.pushed || gain <= 0) return;
+
+    // Other updates of the message can carry the roll again: only the new pushes give points.
+    const lastPush = message.getFlag('yzur', 'darknessPush') || 0;
+    if (roll.pushCount <= lastPush) return;
+    return YearZeroDarkness._addPushPoints(message, roll.pushCount, gain * (roll.pushCount - lastPush));
+  }
+
+  /**
+   * Stores the last push that gave Darkness Points in the message, then adds the points.
+   * @param {ChatMessage} message   The chat message of the roll
+   * @param {number}      pushCount The push count of the roll
+   * @param {number}      gain      The quantity of Darkness Points to add
+   * @returns {Promise<number>} The new total of Darkness Points
+   * @private
+   * @static
+   * @async
+   */
+  static async _addPushPoints(message, pushCount, gain) {
+    await message.setFlag('yzur', 'darknessPush', pushCount);
+    return YearZeroDarkness.addPoints(gain, { speaker: message.data.speaker });
+  }
+
+  /**
+   * Gets the Darkness Points given by each push of a roll.
+   * @param {YearZeroRoll} roll
+   * @returns {number}
+   * @static
+   */
+  static getPushGain(roll) {
+    return CONFIG.YZUR.DARKNESS.POINTS[roll.game] || 0;
+  }
+
+  /**
+   * Gets the current Darkness Points.
+   * @returns {number}
+   * @static
+   */
+  static getPoints() {
+    const [namespace, key] = YearZeroDarkness._getSettingKey();
+    return game.settings.get(namespace, key) || 0;
+  }
+
+  /**
+   * Adds Darkness Points and whispers the gain to the GMs.
+   * @param {number}  gain The quantity of Darkness Points to add
+   * @param {Object} [options]
+   * @param {Object} [options.speaker] The speaker who gave the points
+   * @returns {Promise<number>} The new total of Darkness Points
+   * @static
+   * @async
+   */
+  static async addPoints(gain, { speaker = null } = {}) {
+    const [namespace, key] = YearZeroDarkness._getSettingKey();
+    const total = YearZeroDarkness.getPoints() + gain;
+    await game.settings.set(namespace, key, total);
+
+    await ChatMessage.create({
+      user: game.user._id,
+      speaker: speaker || ChatMessage.getSpeaker(),
+      content: game.i18n.format('YZUR.CHAT.DARKNESS.gained', {
+        name: speaker?.alias || '',
+        gain,
+        total,
+      }),
+      whisper: game.users.filter(u => u.isGM).map(u => u._id),
+      type: CONST.CHAT_MESSAGE_TYPES.OTHER,
+    });
+    return total;
+  }
+
+  /**
+   * Splits the name of the Darkness Points setting.
+   * @returns {string[]} The namespace and the key of the setting
+   * @throws {ReferenceError} When no setting is defined
+   * @private
+   * @static
+   */
+  static _getSettingKey() {
+    const setting = CONFIG.YZUR.DARKNESS.setting;
+    const index = setting.lastIndexOf('.');
+    if (index <= 0) {
+      throw new ReferenceError(`${YearZeroDarkness.name} | Invalid Darkness Points setting: "${setting}".`);
+    }
+    return [setting.slice(0, index), setting.slice(index + 1)];
+  }
+}
+
+/* -------------------------------------------- */
+/*  Table Draws                                 */
+/* -------------------------------------------- */
+
+/**
+ * Interface for the draws on RollTables with the table dice (D66 & D666).
+ *
+ * The ranges of the RollTable use the numbering of the die, e.g. `11-16`, `21-26`, etc. for a D66.
+ * The roll and the drawn entry are posted as a single chat card.
+ *
+ * @abstract
+ * @interface
+ *
+ * @example
+ * YearZeroTables.draw('Mutations', { type: 'd66', speaker: ChatMessage.getSpeaker({ actor }) });
+ */
+export class YearZeroTables {
+  /**
+   * Gets a RollTable by its ID or its name.
+   * @param {string} tableId The ID or the name of the RollTable
+   * @returns {?RollTable}
+   * @static
+   */
+  static getTable(tableId) {
+    if (!tableId) return null;
+    return game.tables.get(tableId) || game.tables.getName(tableId) || null;
+  }
+
+  /**
+   * Gets the entry of a RollTable for a total.
+   * @param {RollTable} table The RollTable
+   * @param {number}    total The total of the roll
+   * @returns {?{ text: string, img: ?string, flags: Object }} The entry,
+   *   or `null` if the total is outside of the ranges
+   * @static
+   */
+  static getResult(table, total) {
+    const [result] = table.getResultsForRoll(total);
+    if (!result) return null;
+    const data = result.data || result;
+    return { text: data.text, img: data.img || null, flags: data.flags || {} };
+  }
+
+  /**
+   * Rolls a table die and posts the drawn entry of a RollTable in the chat.
+   * @param {RollTable|string} table The RollTable, or its ID or name
+   * @param {Object}   [options]
+   * @param {string}   [options.type='d66'] The type of the table die (`d66` or `d666`)
+   * @param {string}   [options.flavor]     The title of the card (default: the name of the RollTable)
+   * @param {Object}   [options.speaker]    The speaker of the card
+   * @param {string[]} [options.whisper]    The users who can see the card
+   * @param {boolean}  [options.blind]      Whether the card is blind
+   * @returns {Promise<ChatMessage>}
+   * @throws {ReferenceError} When the RollTable is not found
+   * @static
+   * @async
+   */
+  static async draw(table, { type = 'd66', flavor = null, speaker = null, whisper = [], blind = false } = {}) {
+    const tableId = table;
+    if (typeof table === 'string') table = YearZeroTables.getTable(table);
+    if (!table) throw new ReferenceError(`${YearZeroTables.name} | RollTable not found: "${tableId}".`);
+    if (!TABLE_DICE[type]) throw new DieTypeError(type);
+
+    const roll = new YearZeroRoll(`1d${TABLE_DICE[type].denomination}`).roll();
+    const entry = YearZeroTables.getResult(table, roll.total);
+
+    const content = await renderTemplate(CONFIG.YZUR.TABLES.template, {
+      flavor: flavor || table.name,
+      formula: roll.formula,
+      tooltip: await roll.getTooltip(),
+      total: roll.total,
+      entry,
+    });
+    return ChatMessage.create({
+      user: game.user._id,
+      speaker: speaker || ChatMessage.getSpeaker(),
+      content,
+      whisper,
+      blind,
+      type: CONST.CHAT_MESSAGE_TYPES.ROLL,
+      roll: JSON.stringify(roll),
+      sound: CONFIG.sounds.dice,
+    });
+  }
+}
+
+/* -------------------------------------------- */
+/*  Critical Injuries                           */
+/* -------------------------------------------- */
+
+/**
+ * Interface for the critical injuries of MYZ, FBL and the Alien RPG.
+ *
+ * The GM rolls a D66 on the critical injury table of the game,
+ * shifted by the extra successes of the damaging roll (see `YearZeroRoll#critical`).
+ * The built-in tables of `CONFIG.YZUR.CRITS.TABLES` can be replaced by the RollTables
+ * named in `CONFIG.YZUR.CRITS.rollTables`. The results of these RollTables can store the
+ * lethality and the times of the injury in their `yzur.critical` flags.
+ *
+ * The injury is posted as a chat card, with its structured data in the `yzur.critical` flags of the message.
+ *
+ * @abstract
+ * @interface
+ *
+ * @example
+ * YearZeroCriticals.rollCritical('myz', { modifier: 2 });
+ */
+export class YearZeroCriticals {
+  /**
+   * Tells if a game has a critical injury table.
+   * @param {GameTypeString} yzGame The game used
+   * @returns {boolean}
+   * @static
+   */
+  static hasTable(yzGame) {
+    return !!(CONFIG.YZUR.CRITS.TABLES[yzGame] || CONFIG.YZUR.CRITS.rollTables[yzGame]);
+  }
+
+  /**
+   * Rolls a critical injury and posts it in the chat.
+   * @param {GameTypeString} yzGame The game used
+   * @param {Object}   [options]
+   * @param {number}   [options.modifier=0] The modifier of the D66 (e.g. the extra successes)
+   * @param {string}   [options.originId]   The ID of the chat message of the damaging roll
+   * @param {Object}   [options.speaker]    The speaker of the card
+   * @param {string[]} [options.whisper]    The users who can see the card
+   * @param {boolean}  [options.blind]      Whether the card is blind
+   * @returns {Promise<ChatMessage>}
+   * @throws {ReferenceError} When the game has no critical injury table
+   * @static
+   * @async
+   */
+  static async rollCritical(yzGame, {
+    modifier = 0, originId = null, speaker = null, whisper = [], blind = false,
+  } = {}) {
+    if (!YearZeroCriticals.hasTable(yzGame)) {
+      throw new ReferenceError(`${YearZeroCriticals.name} | No critical injury table for "${yzGame}".`);
+    }
+    const roll = new YearZeroRoll('1d66', { game: yzGame }).roll();
+    const result = shiftTableResult(roll.total, modifier);
+    const injury = await YearZeroCriticals.getInjury(yzGame, result);
+    const critical = { ...injury, game: yzGame, roll: roll.total, modifier, result };
+
+    const content = await renderTemplate(CONFIG.YZUR.CRITS.template, {
+      formula: roll.formula,
+      tooltip: await roll.getTooltip(),
+      critical,
+      timeUnit: critical.timeLimit ? `YZUR.TIME.${critical.timeLimit.unit}` : null,
+      originId,
+    });
+    return ChatMessage.create({
+      user: game.user._id,
+      speaker: speaker || ChatMessage.getSpeaker(),
+      content,
+      whisper,
+      blind,
+      type: CONST.CHAT_MESSAGE_TYPES.ROLL,
+      roll: JSON.stringify(roll),
+      sound: CONFIG.sounds.dice,
+      flags: { yzur: { critical } },
+    });
+  }
+
+  /**
+   * Gets the critical injury of a result:
+   * from the RollTable named in `CONFIG.YZUR.CRITS.rollTables`, if any, or from the built-in table.
+   * @param {GameTypeString} yzGame The game used
+   * @param {number}         result The result of the D66, with its modifier
+   * @returns {Promise<CriticalInjury & { img: ?string }>}
+   * @static
+   * @async
+   */
+  static async getInjury(yzGame, result) {
+    const tableId = CONFIG.YZUR.CRITS.rollTables[yzGame];
+    const table = YearZeroTables.getTable(tableId);
+    if (tableId && !table) {
+      console.warn(`${YearZeroCriticals.name} | RollTable not found: "${tableId}". Using the built-in table.`);
+    }
+    const entry = table ? YearZeroTables.getResult(table, result) : null;
+    if (entry) {
+      const data = entry.flags.yzur?.critical || {};
+      return {
+        name: entry.text,
+        effect: data.effect || '',
+        lethal: !!data.lethal,
+        timeLimit: data.timeLimit || null,
+        healingTime: data.healingTime || null,
+        img: entry.img,
+      };
+    }
+    // Results outside of the RollTable's ranges use the built-in table.
+    const builtInTable = CONFIG.YZUR.CRITS.TABLES[yzGame];
+    if (!builtInTable) return { name: '', effect: '', lethal: false, timeLimit: null, healingTime: null, img: null };
+    const injury = getCriticalInjury(result, builtInTable);
+    return {
+      name: injury.name,
+      effect: injury.effect,
+      lethal: injury.lethal,
+      timeLimit: injury.timeLimit,
+      healingTime: injury.healingTime,
+      img: null,
+    };
+  }
+}
+
+/* -------------------------------------------- */
+/*  Resource Dice                               */
+/* -------------------------------------------- */
+
+/**
+ * Interface for the resource dice of Forbidden Lands (food, water, arrows, torches).
+ *
+ * A resource die is rolled when the resource is used: a "1" or a "2" steps it down
+ * (D12 → D10 → D8 → D6), and the resource runs out below the D6.
+ * The size of the die can be read from and written to an item,
+ * at the path of `CONFIG.YZUR.RESOURCES.dataPath` in its data.
+ *
+ * @abstract
+ * @interface
+ *
+ * @example
+ * const { to } = await YearZeroResources.rollResource(8, { flavor: 'Food' });
+ * await YearZeroResources.rollResource(null, { item: actor.items.get(itemId) });
+ */
+export class YearZeroResources {
+  /**
+   * Rolls a resource die, updates the item, if any, and posts the drop in the chat.
+   * @param {?number|string} current The size of the die: its faces (`8`), its name (`d8`) or its type (`resD8`),
+   *   or `null` to read it from the item
+   * @param {Object}  [options]
+   * @param {Item}    [options.item]     The item of the resource, updated with the new size
+   * @param {string}  [options.dataPath] The path of the size in the data of the item
+   * @param {string}  [options.flavor]   The name of the resource (default: the name of the item)
+   * @param {Object}  [options.speaker]  The speaker of the card
+   * @returns {Promise<{ type: string, result: number, steppedDown: boolean, from: number, to: number }>}
+   *   The roll of the die, and its sizes before and after the roll (`to` is `0` when the resource runs out)
+   * @throws {RangeError} When the size is not a resource die
+   * @static
+   * @async
+   */
+  static async rollResource(current, {
+    item = null, dataPath = CONFIG.YZUR.RESOURCES.dataPath, flavor = null, speaker = null,
+  } = {}) {
+    if (current == null && item) current = getProperty(item.data, dataPath);
+    const type = getResourceDieType(current);
+    if (!type) throw new RangeError(`${YearZeroResources.name} | Invalid resource die: "${current}".`);
+
+    const cls = CONFIG.YZUR.DICE.DIE_TYPES[type];
+    const die = new cls({ number: 1 });
+    const restoreGenerator = YearZeroRandom.swapGenerator(YearZeroRandom.getGenerator());
+    try {
+      die.evaluate();
+    }
+    finally {
+      restoreGenerator();
+    }
+    const [{ result }] = die.results;
+    const resource = { type, result, ...stepResourceDie(type, result) };
+    if (item && resource.steppedDown) await item.update({ [dataPath]: resource.to });
+
+    const content = await renderTemplate(CONFIG.YZUR.RESOURCES.template, {
+      ...resource,
+      flavor: flavor || item?.name || '',
+      // The resource dice are from Forbidden Lands, whatever the default game.
+      label: cls.getResultLabel(result, 'fbl'),
+    });
+    await ChatMessage.create({
+      user: game.user._id,
+      speaker: speaker || ChatMessage.getSpeaker(),
+      content,
+      type: CONST.CHAT_MESSAGE_TYPES.OTHER,
+      sound: CONFIG.sounds.dice,
+      flags: { yzur: { resource } },
+    });
+    return resource;
+  }
+}
+
+/* -------------------------------------------- */
+/*  Supply                                      */
+/* -------------------------------------------- */
+
+/**
+ * Interface for the supply rolls of the Alien RPG (air, power, ammunition).
+ *
+ * A supply roll has a stress die per supply point, and each "1" reduces the supply by one.
+ * The supply can be read from and written to an actor or an item,
+ * at the path of `CONFIG.YZUR.SUPPLY.dataPath` in its data,
+ * and rolling under low supply can add stress to the actor.
+ *
+ * @abstract
+ * @interface
+ *
+ * @example
+ * const roll = await YearZeroSupply.rollSupply(5, { flavor: 'Air' });
+ * await YearZeroSupply.rollSupply(null, { item: actor.items.get(itemId), stress: 1 });
+ */
+export class YearZeroSupply {
+  /**
+   * Rolls a supply, updates the actor or the item, if any, and posts the roll in the chat.
+   * @param {?number} current The current supply, or `null` to read it from the item or the actor
+   * @param {Object}  [options]
+   * @param {Actor}   [options.actor]    The actor of the supply, who gains the stress
+   * @param {Item}    [options.item]     The item of the supply (default: the actor holds the supply)
+   * @param {string}  [options.dataPath] The path of the supply in the data of the item or the actor
+   * @param {number}  [options.stress=0] The stress gained by rolling under low supply
+   * @param {string}  [options.flavor]   The name of the supply (default: the name of the item)
+   * @param {Object}  [options.speaker]  The speaker of the chat message
+   * @returns {Promise<YearZeroRoll>} The supply roll (see `YearZeroRoll#supplyDrop`)
+   * @throws {RangeError} When there is no supply to roll
+   * @static
+   * @async
+   */
+  static async rollSupply(current, {
+    actor = null, item = null, dataPath = CONFIG.YZUR.SUPPLY.dataPath, stress = 0, flavor = null, speaker = null,
+  } = {}) {
+    actor = actor || item?.actor || null;
+    const holder = item || actor;
+    if (current == null && holder) current = getProperty(holder.data, dataPath);
+
+    const roll = YearZeroRoll.createSupply(current, { stress });
+    roll.name = flavor || item?.name || game.i18n.localize('YZUR.CHAT.ROLL.supply');
+    await roll.toMessage({ speaker: speaker || ChatMessage.getSpeaker({ actor }) });
+
+    const { dropped, to, stress: stressGain } = roll.supplyDrop;
+    if (holder && dropped) await holder.update({ [dataPath]: to });
+    if (actor && stressGain) {
+      const stressPath = CONFIG.YZUR.SUPPLY.stressPath;
+      await actor.update({ [stressPath]: (parseInt(getProperty(actor.data, stressPath)) || 0) + stressGain });
+    }
+    return roll;
+  }
+}
+
+/* -------------------------------------------- */
+/*  Custom Dialog                               */
+/* -------------------------------------------- */
+
+/**
+ * Dialog for building a pool of Year Zero dice.
+ *
+ * To build a roll and send it to the chat,
+ * call the static `YZRollDialog.create()` method.
+ *
+ * @extends {Dialog}
+ *
+ * @example
+ * const roll = await YZRollDialog.create({ dice: { base: 3, skill: 2 }, name: 'Sneak' });
+ */
+export class YZRollDialog extends Dialog {
+  /**
+   * @param {Object}          dialogData     An object of dialog data (see Dialog)
+   * @param {Object}         [options]       Dialog rendering options
+   * @param {GameTypeString} [options.yzGame] The game used
+   */
+  constructor(dialogData, options = {}) {
+    super(dialogData, options);
+    this.yzGame = options.yzGame || CONFIG.YZUR.game;
+    this._oddsTimeout = null;
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  activateListeners(html) {
+    super.activateListeners(html);
+    html.find('input').focus(ev => ev.currentTarget.select());
+    // Updates while typing or clicking the spinners: the odds are debounced.
+    html.find('input, select').on('input change', () => this._updatePreview(html));
+    this._updatePreview(html);
+  }
+
+  /** @override */
+  close() {
+    clearTimeout(this._oddsTimeout);
+    return super.close();
+  }
+
+  /**
+   * Updates the formula preview of the dialog.
+   * @param {JQuery} html The HTML content of the dialog
+   * @private
+   */
+  _updatePreview(html) {
+    const preview = html.find('.formula-preview');
+    try {
+      // The roll is built once per change, for both the preview and the odds.
+      const roll = YZRollDialog.createRoll(YZRollDialog.getFormData(html), this.yzGame);
+      const dice = roll.getDiceQuantities();
+      preview.text(roll.formula);
+      // The odds are computed once the inputs settle.
+      html.find('[data-odds]').text('…');
+      clearTimeout(this._oddsTimeout);
+      this._oddsTimeout = setTimeout(() => this._renderOdds(html, dice), YZRollDialog.ODDS_DELAY);
+    }
+    catch (error) {
+      preview.text(error.message);
+      html.find('[data-odds]').text('–');
+    }
+  }
+
+  /**
+   * Renders the success odds of the pool of the dialog.
+   * @param {JQuery}         html The HTML content of the dialog
+   * @param {DiceQuantities} dice The quantities of dice of the pool
+   * @private
+   */
+  _renderOdds(html, dice) {
+    const odds = html.find('[data-odds]');
+    try {
+      const values = YZRollDialog.getOdds(dice, this.yzGame);
+      if (!values) return odds.text('–');
+      odds.each((i, el) => {
+        el.textContent = `${Math.round((values[el.dataset.odds] || 0) * 100)}%`;
+      });
+    }
+    catch (error) {
+      odds.text('–');
+    }
+  }
+
+  /**
+   * Gets the success odds of a pool of dice, before and after a push.
+   * The odds are cached by pool (see `YZRollDialog.ODDS_CACHE_SIZE`).
+   * @param {DiceQuantities} dice   An object with quantities of dice
+   * @param {GameTypeString} yzGame The game used
+   * @returns {?{ atLeast1: number, atLeast2: number, atLeast3: number, push: number, mishap: number }}
+   *   The odds, or `null` when the pool is too large (see `YZRollDialog.ODDS_MAX_STATES`)
+   * @static
+   */
+  static getOdds(dice, yzGame) {
+    const key = `${yzGame}|${Object.keys(dice).sort().filter(k => dice[k] > 0).map(k => `${k}${dice[k]}`).join(',')}`;
+    const cache = YZRollDialog._oddsCache;
+    if (cache.has(key)) return cache.get(key);
+
+    let values = null;
+    try {
+      // The pushed roll also gives the odds of its initial roll.
+      const proba = YearZeroRoll.probability(dice, { yzGame, pushes: 1, maxStates: YZRollDialog.ODDS_MAX_STATES });
+      values = {
+        atLeast1: proba.initial.atLeast[1],
+        atLeast2: proba.initial.atLeast[2],
+        atLeast3: proba.initial.atLeast[3],
+        push: proba.pushedToSuccess,
+        mishap: proba.initial.chances.mishap,
+      };
+    }
+    catch (error) {
+      // The odds of a large pool would freeze the client.
+      if (!(error instanceof RangeError)) throw error;
+    }
+    // Forgets the oldest pool when the cache is full.
+    if (cache.size >= YZRollDialog.ODDS_CACHE_SIZE) cache.delete(cache.keys().next().value);
+    cache.set(key, values);
+    return values;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Reads the values of the dialog's form.
+   * @param {JQuery} html The HTML content of the dialog
+   * @returns {{ dice: DiceQuantities, modifier: number, maxPush: number, rollMode: string }}
+   * @static
+   */
+  static getFormData(html) {
+    const dice = {};
+    html.find('input[data-die-type]').each((i, input) => {
+      dice[input.dataset.dieType] = parseInt(input.value) || 0;
+    });
+    return {
+      dice,
+      modifier: parseInt(html.find('input[name="modifier"]').val()) || 0,
+      maxPush: parseInt(html.find('input[name="maxPush"]').val()) || 1,
+      rollMode: html.find('select[name="rollMode"]').val(),
+    };
+  }
+
+  /**
+   * Creates a roll from the values of the dialog's form.
+   * @param {Object}          data           The values of the form
+   * @param {DiceQuantities}  data.dice      An object with quantities of dice
+   * @param {number}         [data.modifier] Difficulty modifier (bonus or malus)
+   * @param {number}         [data.maxPush]  The maximum number of pushes
+   * @param {GameTypeString} [yzGame]        The game used
+   * @returns {YearZeroRoll}
+   * @static
+   */
+  static createRoll({ dice, modifier = 0, maxPush = null }, yzGame) {
+    let roll = YearZeroRoll.createFromDiceQuantities(dice, { yzGame, maxPush });
+    if (modifier) roll = roll.modify(modifier);
+    return roll;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Renders a dialog for building a pool of dice, then rolls it and sends it to the chat.
+   * @param {Object}          [data]
+   * @param {string}          [data.title]     The title of the dialog
+   * @param {string}          [data.name]      The name of the roll
+   * @param {GameTypeString}  [data.yzGame]    The game used
+   * @param {DiceQuantities}  [data.dice]      The initial quantities of dice
+   * @param {number}          [data.modifier=0] The initial difficulty modifier
+   * @param {number}          [data.maxPush]   The initial maximum number of pushes
+   * @param {string}          [data.rollMode]  The initial roll mode
+   * @param {Object}          [data.speaker]   The speaker of the chat message
+   * @param {boolean}         [data.damage=false] Whether the roll inflicts damage (see `YearZeroRoll#critical`)
+   * @param {string}          [data.template]  The path to the template
+   * @param {Object}          [options]        Dialog rendering options
+   * @returns {Promise<YearZeroRoll|null>} The roll, or `null` if the dialog was closed
+   * @static
+   * @async
+   */
+  static async create({
+    title = null,
+    name: rollName = null,
+    yzGame = null,
+    dice = {},
+    modifier = 0,
+    maxPush = null,
+    rollMode = null,
+    speaker = null,
+    damage = false,
+    template = null,
+  } = {}, options = {}) {
+    yzGame = yzGame || CONFIG.YZUR.game;
+    if (!YearZeroRollManager.GAMES.includes(yzGame)) throw new GameTypeError(yzGame);
+
+    const content = await renderTemplate(template || CONFIG.YZUR.ROLL.dialogTemplate, {
+      dice: YearZeroRollManager.DIE_TYPES_MAP[yzGame].map(type => ({
+        type,
+        label: game.i18n.localize(`YZUR.DIETYPES.${CONFIG.YZUR.DICE.DIE_TYPES[type].name}`),
+        value: dice[type] || 0,
+      })),
+      modifier,
+      maxPush: maxPush || CONFIG.YZUR.ROLL.maxPush || 1,
+      rollMode: rollMode || game.settings.get('core', 'rollMode'),
+      rollModes: CONFIG.Dice.rollModes,
+      showMishap: yzGame === 't2k',
+    });
+
+    return new Promise(resolve => {
+      // The dialog is closed as soon as the roll button is clicked, before the roll is sent to the chat.
+      let submitted = false;
+      new this({
+        title: title || rollName || game.i18n.localize('YZUR.DIALOG.title'),
+        content,
+        buttons: {
+          roll: {
+            icon: '<i class="fas fa-dice"></i>',
+            label: game.i18n.localize('YZUR.DIALOG.roll'),
+            callback: async html => {
+              submitted = true;
+              try {
+                const data = this.getFormData(html);
+                const roll = this.createRoll(data, yzGame);
+                roll.name = rollName;
+                roll.damage = damage;
+                await roll.toMessage({
+                  speaker: speaker || ChatMessage.getSpeaker(),
+                }, { rollMode: data.rollMode });
+                resolve(roll);
+              }
+              catch (error) {
+                console.error(error);
+                ui.notifications.error(error.message);
+                resolve(null);
+              }
+            },
+          },
+          cancel: {
+            icon: '<i class="fas fa-times"></i>',
+            label: game.i18n.localize('Cancel'),
+            callback: () => resolve(null),
+          },
+        },
+        default: 'roll',
+        close: () => {
+          if (!submitted) resolve(null);
+        },
+      }, { ...options, yzGame }).render(true);
+    });
+  }
+}
+
+/**
+ * The delay (in milliseconds) before the odds of the dialog are computed.
+ * @type {number}
+ * @constant
+ */
+YZRollDialog.ODDS_DELAY = 300;
+
+/**
+ * The maximum quantity of pools whose odds are cached.
+ * @type {number}
+ * @constant
+ */
+YZRollDialog.ODDS_CACHE_SIZE = 100;
+
+/**
+ * The maximum number of states computed for the odds of a pool (see `probability()` of the core).
+ * The odds are computed in the client's thread, so the larger pools show no odds.
+ * @type {number}
+ * @constant
+ */
+YZRollDialog.ODDS_MAX_STATES = 150000;
+
+/**
+ * The cached odds of the pools, by game and quantities of dice.
+ * @type {Map<string, Object>}
+ * @private
+ */
+YZRollDialog._oddsCache = new Map();
 
 /* -------------------------------------------- */
 /*  Custom Errors                               */
@@ -1427,6 +3609,14 @@ class DieTypeError extends TypeError {
   }
 }
 
+class CommandError extends SyntaxError {
+  constructor(msg, yzGame) {
+    super(msg);
+    this.name = 'YZ Command Error';
+    if (yzGame) this.yzGame = yzGame;
+  }
+}
+
 // class RollError extends SyntaxError {
 //   constructor(msg, obj) {
 //     super(msg);
@@ -0,0 +1,244 @@
+/*
+ * ===============================================================================
+ *  YZUR
+ *    DICE SO NICE INTEGRATION
+ * ===============================================================================
+ * Optional integration of the Year Zero dice with the "Dice So Nice!" module.
+ *
+ * - YearZeroDiceSoNice.register(): Registers a dice system with 3D presets
+ *     labelled with the icons of the current dice theme.
+ *     Each die class has its own type of 3D die, so the plain dice keep their faces.
+ *
+ * - YearZeroDiceSoNice.onRollStart(): Shows the Year Zero dice of a roll
+ *     with their own 3D presets.
+ *
+ * - YearZeroDiceSoNice.showPushedDice(): Animates only the dice
+ *     that were rolled by the last push of a roll.
+ * ===============================================================================
+ */
+
+import { YearZeroRoll, YearZeroRollManager, YearZeroDiceThemes } from './yearzero-dice.js';
+
+/**
+ * Interface for the "Dice So Nice!" module.
+ *
+ * @abstract
+ * @interface
+ *
+ * @example
+ * Hooks.once('diceSoNiceReady', dice3d => YearZeroDiceSoNice.register(dice3d));
+ * Hooks.on('diceSoNiceRollStart', (messageId, context) => YearZeroDiceSoNice.onRollStart(messageId, context));
+ * Hooks.on('updateChatMessage', (message, data) => YearZeroDiceSoNice.showPushedDice(message, data));
+ */
+export class YearZeroDiceSoNice {
+  /**
+   * Registers the Year Zero dice system and a preset for each die registered for the games.
+   *
+   * You must call this method in `Hooks.once('diceSoNiceReady')`.
+   *
+   * @param {Dice3D} dice3d The "Dice So Nice!" API
+   * @static
+   */
+  static register(dice3d) {
+    const system = YearZeroDiceSoNice.SYSTEM;
+    dice3d.addSystem(system, 'preferred');
+
+    // The default game is registered last, as its faces take precedence on the dice shared by the games.
+    const yzGames = CONFIG.YZUR.games.length ? CONFIG.YZUR.games : [CONFIG.YZUR.game];
+    for (const yzGame of [...yzGames].reverse()) {
+      YearZeroDiceSoNice.registerGame(dice3d, yzGame);
+    }
+    console.log(`${YearZeroDiceSoNice.name} | Registration complete!`);
+  }
+
+  /**
+   * Registers the presets of the dice of a game.
+   * @param {Dice3D}          dice3d The "Dice So Nice!" API
+   * @param {GameTypeString}  yzGame The game used
+   * @static
+   */
+  static registerGame(dice3d, yzGame) {
+    const system = YearZeroDiceSoNice.SYSTEM;
+    for (const type of YearZeroRollManager.DIE_TYPES_MAP[yzGame]) {
+      const cls = CONFIG.YZUR.DICE.DIE_TYPES[type];
+      const faces = new cls({}).faces;
+      const colorset = YearZeroDiceSoNice.COLORSETS[type];
+
+      if (colorset) {
+        dice3d.addColorset({
+          name: `${system.id}-${type}`,
+          description: `${system.name} ${cls.name}`,
+          category: system.name,
+          ...colorset,
+        });
+      }
+
+      YearZeroDiceSoNice.registerDiceClass(cls);
+      dice3d.addDicePreset({
+        type: YearZeroDiceSoNice.getDiceType(cls),
+        labels: [...Array(faces).keys()].map(i => YearZeroDiceSoNice.getFaceLabel(cls, i + 1, yzGame)),
+        colorset: colorset ? `${system.id}-${type}` : undefined,
+        system: system.id,
+      }, `d${faces}`);
+    }
+  }
+
+  /**
+   * Gets the type of the 3D die of a die class, e.g. `dyzurbase` or `dyzurartod8`.
+   * @param {class} cls The class of the die
+   * @returns {string}
+   * @static
+   */
+  static getDiceType(cls) {
+    const type = CONFIG.YZUR.DICE.DIE_TYPES_BY_CLASS[cls.name];
+    return `d${YearZeroDiceSoNice.SYSTEM.id}${type.toLowerCase()}`;
+  }
+
+  /**
+   * Registers the class of the dice shown with the 3D die of a die class:
+   * a subclass whose denomination is the type of the 3D die.
+   * @param {class} cls The class of the die
+   * @returns {class}
+   * @static
+   */
+  static registerDiceClass(cls) {
+    const classes = YearZeroDiceSoNice._diceClasses;
+    if (!classes.has(cls)) {
+      const diceClass = class extends cls {};
+      diceClass.DENOMINATION = YearZeroDiceSoNice.getDiceType(cls).slice(1);
+      classes.set(cls, diceClass);
+    }
+    return classes.get(cls);
+  }
+
+  /**
+   * Gets a copy of a roll whose Year Zero dice are shown with their own 3D presets.
+   * @param {Roll} roll The roll to show
+   * @returns {Roll}
+   * @static
+   */
+  static getDiceSoNiceRoll(roll) {
+    const dsnRoll = roll.constructor.fromData(roll.toJSON());
+    dsnRoll.terms = dsnRoll.terms.map(t => {
+      const cls = YearZeroDiceSoNice._diceClasses.get(t.constructor);
+      if (!cls) return t;
+      const term = new cls({ number: t.number, faces: t.faces, options: t.options });
+      term.results = t.results;
+      term._evaluated = true;
+      return term;
+    });
+    return dsnRoll;
+  }
+
+  /**
+   * Shows the Year Zero dice of a roll with their own 3D presets.
+   *
+   * Call this method in the `diceSoNiceRollStart` Hooks.
+   *
+   * @param {string} messageId The ID of the chat message of the roll
+   * @param {{ roll: Roll }} context The context of the animation
+   * @static
+   */
+  static onRollStart(messageId, context) {
+    if (context.roll instanceof YearZeroRoll) {
+      context.roll = YearZeroDiceSoNice.getDiceSoNiceRoll(context.roll);
+    }
+  }
+
+  /**
+   * Gets the label of a 3D die's face: the image of the current theme,
+   * or the emoji label (3D dice cannot render HTML snippets).
+   * @param {class}           cls    The class of the die
+   * @param {number}          result The result of the die
+   * @param {GameTypeString} [yzGame] The game used
+   * @returns {string}
+   * @static
+   */
+  static getFaceLabel(cls, result, yzGame) {
+    const face = YearZeroDiceThemes.getFace(cls.TYPE, result, { yzGame });
+    return face.img || YearZeroDiceThemes.getLabel(cls.TYPE, result, { yzGame, theme: 'emoji' });
+  }
+
+  /**
+   * Animates the dice rerolled by the last push of a roll.
+   *
+   * Call this method in the `updateChatMessage` Hooks.
+   * Every client animates the dice on its own.
+   *
+   * @param {ChatMessage} message The updated chat message
+   * @param {Object}      data    The differential data of the update
+   * @returns {Promise<boolean>|void}
+   * @static
+   */
+  static showPushedDice(message, data) {
+    if (!game.dice3d || !data.roll || !message.isContentVisible) return;
+
+    const cls = CONFIG.Dice.rolls[CONFIG.YZUR.ROLL.index] || YearZeroRoll;
+    const roll = cls.fromData(JSON.parse(data.roll));
+    if (!roll.pushed) return;
+
+    const whisper = message.data.whisper?.length ? message.data.whisper : null;
+    return game.dice3d.showForRoll(
+      YearZeroDiceSoNice.getDiceSoNiceRoll(YearZeroDiceSoNice.getPushedDice(roll)),
+      game.users.get(message.data.user),
+      false,
+      whisper,
+      message.data.blind,
+    );
+  }
+
+  /**
+   * Gets a copy of a roll with only the dice rolled by its last push:
+   * the rerolled dice, the extra dice (e.g. a stress die) and the location dice of new hits.
+   * @param {YearZeroRoll} roll The pushed roll
+   * @returns {YearZeroRoll}
+   * @static
+   */
+  static getPushedDice(roll) {
+    const pushedRoll = roll.constructor.fromData(roll.toJSON());
+    const pushCount = roll.pushCount;
+    for (const t of pushedRoll.terms) {
+      if (!(t instanceof DiceTerm)) continue;
+      // A term that was not rerolled by the last push keeps the index of an older push.
+      t.results = t.results.filter(r => r.active && r.indexPush === pushCount);
+      t.number = t.results.length;
+    }
+    return pushedRoll;
+  }
+}
+
+/**
+ * The "Dice So Nice!" dice system of the Year Zero dice.
+ * @type {{ id: string, name: string }}
+ * @constant
+ */
+YearZeroDiceSoNice.SYSTEM = { id: 'yzur', name: 'Year Zero' };
+
+/**
+ * The classes of the dice shown with their own 3D presets, by class of die.
+ * @type {Map<class, class>}
+ * @private
+ */
+YearZeroDiceSoNice._diceClasses = new Map();
+
+/**
+ * Colour sets of the 3D dice, by type of die.
+ * @type {Object<DieTypeString, Object>}
+ * @constant
+ */
+YearZeroDiceSoNice.COLORSETS = {
+  'base': { foreground: '#000000', background: '#ffc107', outline: 'none', edge: '#ffc107' },
+  'skill': { foreground: '#ffffff', background: '#2e7d32', outline: 'none', edge: '#2e7d32' },
+  'gear': { foreground: '#ffffff', background: '#212121', outline: 'none', edge: '#212121' },
+  'neg': { foreground: '#ffffff', background: '#c62828', outline: 'none', edge: '#c62828' },
+  'stress': { foreground: '#000000', background: '#fdd835', outline: 'none', edge: '#fdd835' },
+  'artoD8': { foreground: '#000000', background: '#ff9800', outline: 'none', edge: '#ff9800' },
+  'artoD10': { foreground: '#000000', background: '#ff9800', outline: 'none', edge: '#ff9800' },
+  'artoD12': { foreground: '#000000', background: '#ff9800', outline: 'none', edge: '#ff9800' },
+  'a': { foreground: '#ffffff', background: '#1b5e20', outline: 'none', edge: '#1b5e20' },
+  'b': { foreground: '#ffffff', background: '#33691e', outline: 'none', edge: '#33691e' },
+  'c': { foreground: '#000000', background: '#827717', outline: 'none', edge: '#827717' },
+  'd': { foreground: '#000000', background: '#9e9d24', outline: 'none', edge: '#9e9d24' },
+  'ammo': { foreground: '#000000', background: '#bdbdbd', outline: 'none', edge: '#bdbdbd' },
+  'loc': { foreground: '#000000', background: '#ffffff', outline: 'none', edge: '#ffffff' },
+};
@@ -0,0 +1,284 @@
+#!/usr/bin/env node
+/* eslint-env node */
+/*
+ * ===============================================================================
+ *  YZUR
+ *    COMMAND-LINE ROLLER
+ * ===============================================================================
+ * Rolls a pool of Year Zero dice outside of the Foundry VTT,
+ * with the same rules as `YearZeroRoll` (see `yearzero-core.js`).
+ *
+ * Usage: yzroll --game fbl 3b 2s 1g --push
+ * ===============================================================================
+ */
+
+import { pathToFileURL } from 'url';
+import {
+  GAMES,
+  DIE_RULES,
+  getDieAliases,
+  getFaceLabel,
+  modifyDice,
+  createSeededRandom,
+  YearZeroDicePool,
+} from './yearzero-core.js';
+
+const USAGE = `Usage: yzroll [options] <dice...>
+
+Dice:
+  3b 2s 1g, base 3, d8     Quantities of dice (aliases of the game's die types)
+  +1, -2                   Difficulty modifier
+
+Options:
+  --game <game>            The game used: ${GAMES.join(', ')} (default: myz)
+  --push                   Pushes the roll (repeat to push several times)
+  --seed <n>               The seed of the random numbers
+  --simulate <n>           Rolls the pool n times and prints the distribution of successes,
+                           with the exact odds unless the pool is too large to compute them
+  --json                   Prints the output as JSON
+  -h, --help               Prints this help`;
+
+/**
+ * The options of the command line.
+ * @typedef {Object} RollerOptions
+ * @property {string}  yzGame    The game used
+ * @property {Object<string, number>} dice The quantities of dice
+ * @property {number}  modifier  The difficulty modifier
+ * @property {number}  pushes    The number of pushes
+ * @property {?number} seed      The seed of the random numbers
+ * @property {number}  simulate  The number of simulated rolls (0 = a single roll)
+ * @property {boolean} json      Whether to print JSON
+ * @property {boolean} help      Whether to print the help
+ */
+
+/**
+ * Parses the arguments of the command line.
+ * @param {string[]} argv The arguments, without the node executable and the script
+ * @returns {RollerOptions}
+ * @throws {SyntaxError} When an argument is invalid
+ */
+export function parseArgs(argv) {
+  const out = { yzGame: 'myz', dice: {}, modifier: 0, pushes: 0, seed: null, simulate: 0, json: false, help: false };
+  const args = [...argv];
+
+  // The game comes first, as the die aliases depend on it.
+  const gameIndex = args.findIndex(a => a === '--game' || a.startsWith('--game='));
+  if (gameIndex >= 0) {
+    const [arg] = args.splice(gameIndex, 1);
+    out.yzGame = (arg.includes('=') ? arg.split('=')[1] : args.splice(gameIndex, 1)[0] || '').toLowerCase();
+    if (!GAMES.includes(out.yzGame)) throw new SyntaxError(`Unknown game: "${out.yzGame}".`);
+  }
+  const aliases = getDieAliases(out.yzGame);
+
+  const addDice = (alias, qty) => {
+    const type = aliases[alias.toLowerCase()];
+    if (!type) throw new SyntaxError(`Unknown die type: "${alias}".`);
+    out.dice[type] = (out.dice[type] || 0) + parseInt(qty);
+  };
+  const readInteger = (flag, value) => {
+    if (!/^\d+$/.test(value || '')) throw new SyntaxError(`Missing number after "${flag}".`);
+    return parseInt(value);
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const diceMatch = arg.match(/^(\d+)([a-z]\w*)$/i);
+
+    if (arg === '-h' || arg === '--help') {
+      out.help = true;
+    }
+    else if (arg === '--json') {
+      out.json = true;
+    }
+    else if (arg === '--push') {
+      out.pushes++;
+    }
+    else if (arg === '--seed') {
+      out.seed = readInteger(arg, args[++i]);
+    }
+    else if (arg === '--simulate') {
+      out.simulate = readInteger(arg, args[++i]);
+    }
+    // Modifier: +1, -2
+    else if (/^[+-]\d+$/.test(arg)) {
+      out.modifier += parseInt(arg);
+    }
+    // Quantity then die type: 3b, 2skill
+    else if (diceMatch) {
+      addDice(diceMatch[2], diceMatch[1]);
+    }
+    // Die type then quantity: base 3
+    else if (aliases[arg.toLowerCase()]) {
+      if (!/^\d+$/.test(args[i + 1] || '')) throw new SyntaxError(`Missing quantity after "${arg}".`);
+      addDice(arg, args[++i]);
+    }
+    else {
+      throw new SyntaxError(`Invalid argument: "${arg}".`);
+    }
+  }
+
+  if (!out.help && !Object.values(out.dice).some(n => n > 0)) throw new SyntaxError('No dice to roll.');
+  return out;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Creates the pool of dice described by the options.
+ * @param {RollerOptions}      options
+ * @param {function(): number} [random] A generator of numbers in [0, 1)
+ * @returns {YearZeroDicePool}
+ */
+function createPool({ yzGame, dice, modifier, pushes, seed }, random) {
+  const quantities = modifyDice({ ...dice }, modifier, yzGame);
+  return new YearZeroDicePool(quantities, { yzGame, maxPush: Math.max(1, pushes), seed, random });
+}
+
+/**
+ * Gets the formula of a pool, e.g. `3db + 2ds`.
+ * @param {YearZeroDicePool} pool
+ * @returns {string}
+ */
+function getFormula(pool) {
+  // The terms added by a push (e.g. a stress die) have no dice asked for.
+  return pool.terms.filter(t => t.number > 0).map(t => `${t.number}d${t.rules.denomination}`).join(' + ');
+}
+
+/**
+ * Gets the counters of a roll that are relevant to its dice.
+ * @param {Object} data The JSON data of the roll
+ * @returns {Array<[string, number|boolean]>}
+ */
+function getCounters(data) {
+  // The dice rolled, with the extra dice of the pushes.
+  const types = data.results.map(t => DIE_RULES[t.type].type);
+  const counters = [['Successes', data.successCount]];
+  if (types.includes('base') && data.game !== 't2k') counters.push(['Trauma', data.attributeTrauma]);
+  if (types.includes('gear')) counters.push(['Gear damage', data.gearDamage]);
+  if (types.includes('stress')) counters.push(['Stress', data.stress], ['Panic', data.panic]);
+  if (types.includes('ammo')) counters.push(['Hits', data.hitCount], ['Ammo spent', data.ammoSpent]);
+  if (data.game === 't2k') counters.push(['Banes', data.baneCount], ['Mishap', data.mishap ? 'yes' : 'no']);
+  return counters;
+}
+
+/**
+ * Prints a single roll.
+ * @param {RollerOptions} options
+ * @param {function(string)} write
+ */
+function printRoll(options, write) {
+  const pool = createPool(options).roll();
+  for (let i = 0; i < options.pushes; i++) pool.push();
+  const data = pool.toJSON();
+
+  if (options.json) return write(JSON.stringify(data, null, 2));
+
+  write(`${pool.game}: ${getFormula(pool)}${pool.seed != null ? ` (seed ${pool.seed})` : ''}`);
+  for (let p = 0; p <= pool.pushCount; p++) {
+    // Each row shows the dice after the roll, then after each push.
+    const row = pool.terms.map(t => {
+      const faces = [];
+      for (const r of t.results) {
+        if (r.indexPush <= p) faces[r.indexResult] = getFaceLabel(pool.game, t.type, r.result);
+      }
+      return `${t.dieType} ${faces.join(' ')}`;
+    });
+    write(`${(p ? `Push ${p}` : 'Roll').padEnd(7)} ${row.join(' | ')}`);
+  }
+  write(getCounters(data).map(([k, v]) => `${k}: ${v}`).join(' · '));
+}
+
+/**
+ * Prints the distribution of successes of many rolls.
+ * @param {RollerOptions} options
+ * @param {function(string)} write
+ */
+function printSimulation(options, write) {
+  const random = options.seed != null ? createSeededRandom(options.seed) : Math.random;
+  const n = options.simulate;
+  const successes = {};
+  const chances = { trauma: 0, gearDamage: 0, panic: 0, mishap: 0 };
+  for (let i = 0; i < n; i++) {
+    const roll = createPool(options, random).roll();
+    for (let p = 0; p < options.pushes; p++) roll.push();
+    successes[roll.successCount] = (successes[roll.successCount] || 0) + 1;
+    if (roll.attributeTrauma > 0) chances.trauma++;
+    if (roll.gearDamage > 0) chances.gearDamage++;
+    if (roll.panic > 0) chances.panic++;
+    if (roll.mishap) chances.mishap++;
+  }
+  // The pool asked for, not rolled: the description and the exact odds do not depend on the rolls.
+  // The exact odds are skipped when the pool is too large for the engine (see `PROBABILITY_MAX_STATES`).
+  const pool = createPool(options);
+  let exact = null;
+  try {
+    exact = pool.probability(options.pushes);
+  }
+  catch (err) {
+    if (!(err instanceof RangeError)) throw err;
+  }
+
+  if (options.json) {
+    return write(JSON.stringify({
+      game: pool.game,
+      dice: pool.getDiceQuantities(),
+      pushes: options.pushes,
+      seed: options.seed,
+      rolls: n,
+      successes,
+      chances,
+      exact,
+    }, null, 2));
+  }
+
+  const pct = x => `${(100 * x).toFixed(2).padStart(6)} %`;
+  const pushes = options.pushes ? `, ${options.pushes} push${options.pushes > 1 ? 'es' : ''}` : '';
+  write(`${pool.game}: ${getFormula(pool)} — ${n} rolls${pushes}`);
+  if (!exact) write('The pool is too large to compute its exact odds.');
+  write(`Successes   Simulated${exact ? '   Exact' : ''}`);
+  const keys = [...new Set([...Object.keys(successes), ...Object.keys(exact?.successes || {})])]
+    .map(Number)
+    .sort((a, b) => a - b);
+  for (const k of keys) {
+    const row = `${String(k).padStart(9)}   ${pct((successes[k] || 0) / n)}`;
+    write(exact ? `${row}    ${pct(exact.successes[k] || 0)}` : row);
+  }
+  const labels = { trauma: 'Trauma', gearDamage: 'Gear damage', panic: 'Panic', mishap: 'Mishap' };
+  for (const [k, label] of Object.entries(labels)) {
+    if (exact ? !exact.chances[k] : !chances[k]) continue;
+    const simulated = pct(chances[k] / n).trim();
+    write(exact ? `${label}: ${simulated} (exact ${pct(exact.chances[k]).trim()})` : `${label}: ${simulated}`);
+  }
+}
+
+/**
+ * Runs the command line.
+ * @param {string[]} argv The arguments, without the node executable and the script
+ * @param {Object}  [streams]
+ * @param {function(string)} [streams.write] Prints a line of the output
+ * @param {function(string)} [streams.error] Prints a line of the errors
+ * @returns {number} The exit code
+ */
+export function run(argv, { write = console.log, error = console.error } = {}) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  }
+  catch (err) {
+    error(`yzroll: ${err.message}`);
+    error(USAGE);
+    return 1;
+  }
+  if (options.help) {
+    write(USAGE);
+    return 0;
+  }
+  if (options.simulate > 0) printSimulation(options, write);
+  else printRoll(options, write);
+  return 0;
+}
+
+// Runs only when called from the command line.
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  process.exitCode = run(process.argv.slice(2));
+}